@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// ==========================================
+// AUTENTICACIÓN DE RUTAS DE ADMINISTRACIÓN
+// Las rutas /api/admin, las de empleados, los registros de asistencia y las altas y cambios
+// de turnos, ubicaciones y WhatsApp exigen el token ADMIN_API_TOKEN
+// Las rutas /api/kiosk (pantallas con el código del sitio) aceptan KIOSK_API_TOKEN o el de administración
+// El panel pide los tokens al iniciar sesión: no se incluyen en el build del frontend
+// ==========================================
+
+const ADMIN_AUTH_CONFIG = {
+    API_TOKEN: process.env.ADMIN_API_TOKEN || '',
+    KIOSK_API_TOKEN: process.env.KIOSK_API_TOKEN || '',
+    HEADER_NAME: 'x-admin-token'    // Alternativa a "Authorization: Bearer <token>"
+};
+
+/**
+ * Extraer token de la petición
+ */
+function getRequestToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return req.headers[ADMIN_AUTH_CONFIG.HEADER_NAME] || '';
+}
+
+/**
+ * Comparar tokens en tiempo constante
+ */
+function isValidToken(token, expectedToken = ADMIN_AUTH_CONFIG.API_TOKEN) {
+    const expected = Buffer.from(expectedToken);
+    const received = Buffer.from(String(token));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Middleware de Express: solo deja pasar peticiones con el token de administración
+ */
+function requireAdmin(req, res, next) {
+    // Sin token configurado las rutas quedan deshabilitadas en lugar de abiertas
+    if (!ADMIN_AUTH_CONFIG.API_TOKEN) {
+        return res.status(503).json({
+            success: false,
+            error: 'Rutas de administración deshabilitadas: falta configurar ADMIN_API_TOKEN'
+        });
+    }
+
+    if (!isValidToken(getRequestToken(req))) {
+        return res.status(401).json({
+            success: false,
+            error: 'Token de administración inválido'
+        });
+    }
+
+    next();
+}
+
+/**
+ * Middleware de Express para los kioskos: token del kiosko o de administración
+ */
+function requireKiosk(req, res, next) {
+    const validTokens = [ADMIN_AUTH_CONFIG.KIOSK_API_TOKEN, ADMIN_AUTH_CONFIG.API_TOKEN].filter(Boolean);
+
+    if (validTokens.length === 0) {
+        return res.status(503).json({
+            success: false,
+            error: 'Rutas de kiosko deshabilitadas: falta configurar KIOSK_API_TOKEN o ADMIN_API_TOKEN'
+        });
+    }
+
+    const token = getRequestToken(req);
+    if (!validTokens.some(expectedToken => isValidToken(token, expectedToken))) {
+        return res.status(401).json({
+            success: false,
+            error: 'Token de kiosko inválido'
+        });
+    }
+
+    next();
+}
+
+module.exports = {
+    ADMIN_AUTH_CONFIG,
+    requireAdmin,
+    requireKiosk
+};
@@ -0,0 +1,63 @@
+const { query, parseJsonColumn } = require('./db');
+
+// ==========================================
+// AUDITORÍA DE REGISTROS DE ASISTENCIA
+// Cada cambio hecho a mano sobre attendance_records deja una fila con quién, cuándo,
+// el antes y el después. Las filas solo se insertan: no hay funciones para modificarlas.
+// ==========================================
+
+/**
+ * Tomar solo los campos indicados del registro (para guardar el antes/después)
+ */
+function pickAuditFields(record, fields) {
+    if (!record) {
+        return null;
+    }
+
+    return fields.reduce((data, field) => {
+        data[field] = record[field] instanceof Date ? record[field].toISOString() : (record[field] ?? null);
+        return data;
+    }, {});
+}
+
+/**
+ * Registrar un cambio sobre un registro de asistencia
+ */
+async function recordAuditEntry(recordId, action, { changedBy, changedByPhone = null, before = null, after = null, reason = null }) {
+    await query(`
+        INSERT INTO attendance_audit_log (record_id, action, changed_by, changed_by_phone, before_data, after_data, reason)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        recordId,
+        action,
+        changedBy,
+        changedByPhone,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        reason
+    ]);
+
+    console.log(`🧾 Auditoría: registro ${recordId} ${action} por ${changedBy}`);
+}
+
+/**
+ * Historial de cambios de un registro (del más antiguo al más reciente)
+ */
+async function getRecordAuditTrail(recordId) {
+    const rows = await query(
+        'SELECT * FROM attendance_audit_log WHERE record_id = ? ORDER BY created_at ASC, id ASC',
+        [recordId]
+    );
+
+    return rows.map(row => ({
+        ...row,
+        before_data: parseJsonColumn(row.before_data),
+        after_data: parseJsonColumn(row.after_data)
+    }));
+}
+
+module.exports = {
+    pickAuditFields,
+    recordAuditEntry,
+    getRecordAuditTrail
+};
@@ -0,0 +1,240 @@
+const { query, parseJsonColumn } = require('./db');
+const { pickAuditFields, recordAuditEntry } = require('./attendance-audit');
+const { ACTION_PREDECESSORS, validateActionSequenceAt } = require('./attendance-state-control');
+
+// ==========================================
+// EDICIÓN MANUAL DE REGISTROS DE ASISTENCIA
+// Altas manuales, cambios de hora, anulaciones y revalidaciones desde la API de administración.
+// Cada cambio exige motivo y responsable, y deja el antes/después en attendance_audit_log.
+// Los registros anulados (VOID) no se borran: dejan de contar para el estado y las horas.
+// ==========================================
+
+// Estados que se pueden asignar al revalidar un registro
+const REVALIDATION_STATUSES = ['VALID', 'INVALID'];
+
+// Campos del registro que quedan en la auditoría
+const RECORD_AUDIT_FIELDS = ['action_type', 'source', 'validation_status', 'timestamp', 'voided_at', 'voided_by', 'void_reason'];
+
+const RECORD_QUERY = `
+    SELECT a.*, COALESCE(l.name, a.location_name) AS location_name, l.timezone AS location_timezone,
+        e.id AS employee_id, e.name AS employee_name
+    FROM attendance_records a
+    LEFT JOIN locations l ON l.id = a.location_id
+    LEFT JOIN employees e ON e.phone_number = SUBSTRING_INDEX(a.phone_number, '@', 1)
+`;
+
+/**
+ * Validar motivo y responsable, comunes a todos los cambios ({ reason, changed_by })
+ */
+function validateChangeAuthor(data, errors) {
+    if (!data.changed_by || !String(data.changed_by).trim()) {
+        errors.push('Indica quién hace el cambio (changed_by)');
+    }
+
+    if (!data.reason || !String(data.reason).trim()) {
+        errors.push('El motivo es obligatorio');
+    }
+}
+
+/**
+ * Validar hora de un registro (ISO 8601, no futura)
+ */
+function validateRecordTime(value, errors, now = new Date()) {
+    const time = new Date(value);
+
+    if (!value || isNaN(time.getTime())) {
+        errors.push('Hora inválida (usar formato ISO 8601)');
+    } else if (time > now) {
+        errors.push('La hora no puede ser futura');
+    }
+}
+
+/**
+ * Validar alta manual ({ employee_id, action_type, timestamp, reason, changed_by })
+ */
+function validateManualRecordData(data, now = new Date()) {
+    const errors = [];
+
+    if (!data.employee_id) {
+        errors.push('El empleado es obligatorio (employee_id)');
+    }
+
+    if (!ACTION_PREDECESSORS[data.action_type]) {
+        errors.push(`Acción inválida. Valores permitidos: ${Object.keys(ACTION_PREDECESSORS).join(', ')}`);
+    }
+
+    validateRecordTime(data.timestamp, errors, now);
+    validateChangeAuthor(data, errors);
+    return errors;
+}
+
+/**
+ * Validar cambio de hora ({ timestamp, reason, changed_by })
+ */
+function validateTimeEditData(data, record, now = new Date()) {
+    const errors = [];
+
+    if (record.validation_status === 'VOID') {
+        errors.push('El registro está anulado');
+    }
+
+    validateRecordTime(data.timestamp, errors, now);
+    validateChangeAuthor(data, errors);
+    return errors;
+}
+
+/**
+ * Validar anulación ({ reason, changed_by })
+ */
+function validateVoidData(data, record) {
+    const errors = [];
+
+    if (record.validation_status === 'VOID') {
+        errors.push('El registro ya está anulado');
+    }
+
+    validateChangeAuthor(data, errors);
+    return errors;
+}
+
+/**
+ * Validar revalidación ({ validation_status, reason, changed_by })
+ */
+function validateRevalidationData(data, record) {
+    const errors = [];
+
+    if (record.validation_status === 'VOID') {
+        errors.push('El registro está anulado');
+    } else if (!REVALIDATION_STATUSES.includes(data.validation_status)) {
+        errors.push(`Estado inválido. Valores permitidos: ${REVALIDATION_STATUSES.join(', ')}`);
+    } else if (data.validation_status === record.validation_status) {
+        errors.push(`El registro ya está ${record.validation_status}`);
+    }
+
+    validateChangeAuthor(data, errors);
+    return errors;
+}
+
+/**
+ * Obtener un registro de asistencia con el nombre del empleado y la ubicación
+ */
+async function getAttendanceRecord(recordId) {
+    const rows = await query(`${RECORD_QUERY} WHERE a.id = ?`, [recordId]);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    return {
+        ...rows[0],
+        fraud_flags: parseJsonColumn(rows[0].fraud_flags) || [],
+        rejection_reasons: parseJsonColumn(rows[0].rejection_reasons) || []
+    };
+}
+
+/**
+ * Verificar que la acción encaja en esa hora con los demás registros válidos del empleado
+ */
+async function assertSequence(whatsappId, action, time, ignoreRecordId = null) {
+    const sequence = await validateActionSequenceAt(whatsappId, action, time, ignoreRecordId);
+    if (!sequence.isValid) {
+        const error = new Error(sequence.reason);
+        error.code = 'SEQUENCE_CONFLICT';
+        throw error;
+    }
+}
+
+/**
+ * Auditar el cambio comparando el registro antes y después
+ */
+async function auditChange(recordId, action, before, data) {
+    const after = await getAttendanceRecord(recordId);
+
+    await recordAuditEntry(recordId, action, {
+        changedBy: String(data.changed_by).trim(),
+        before: pickAuditFields(before, RECORD_AUDIT_FIELDS),
+        after: pickAuditFields(after, RECORD_AUDIT_FIELDS),
+        reason: String(data.reason).trim()
+    });
+
+    return after;
+}
+
+/**
+ * Crear un registro manual (válido, sin validación GPS)
+ */
+async function createManualRecord(whatsappId, data) {
+    const time = new Date(data.timestamp);
+    await assertSequence(whatsappId, data.action_type, time);
+
+    const result = await query(`
+        INSERT INTO attendance_records (phone_number, action_type, source, validation_status, timestamp)
+        VALUES (?, ?, 'MANUAL', 'VALID', ?)
+    `, [whatsappId, data.action_type, time]);
+
+    console.log(`🛠️ Registro manual ${result.insertId} creado: ${data.action_type} de ${whatsappId} por ${data.changed_by}`);
+    return auditChange(result.insertId, 'MANUAL_CREATED', null, data);
+}
+
+/**
+ * Cambiar la hora de un registro
+ */
+async function editRecordTime(record, data) {
+    const time = new Date(data.timestamp);
+
+    // Solo los registros válidos tienen que encajar con el resto
+    if (record.validation_status === 'VALID') {
+        await assertSequence(record.phone_number, record.action_type, time, record.id);
+    }
+
+    await query('UPDATE attendance_records SET timestamp = ? WHERE id = ?', [time, record.id]);
+
+    console.log(`🛠️ Registro ${record.id}: hora cambiada a ${time.toISOString()} por ${data.changed_by}`);
+    return auditChange(record.id, 'TIME_EDITED', record, data);
+}
+
+/**
+ * Anular un registro (se conserva, pero deja de contar); un anulado ya no espera aprobación del supervisor
+ */
+async function voidRecord(record, data, now = new Date()) {
+    await query(`
+        UPDATE attendance_records
+        SET validation_status = 'VOID', voided_at = ?, voided_by = ?, void_reason = ?,
+            approval_status = IF(approval_status = 'PENDING', NULL, approval_status)
+        WHERE id = ?
+    `, [now, String(data.changed_by).trim(), String(data.reason).trim(), record.id]);
+
+    console.log(`🛠️ Registro ${record.id} anulado por ${data.changed_by}`);
+    return auditChange(record.id, 'VOIDED', record, data);
+}
+
+/**
+ * Revalidar un registro: darlo por válido o invalidarlo a mano
+ */
+async function revalidateRecord(record, data) {
+    if (data.validation_status === 'VALID') {
+        await assertSequence(record.phone_number, record.action_type, new Date(record.timestamp), record.id);
+    }
+
+    // La decisión manual reemplaza la aprobación pendiente del supervisor (punch-approvals.js)
+    await query(`
+        UPDATE attendance_records
+        SET validation_status = ?, approval_status = IF(approval_status = 'PENDING', NULL, approval_status)
+        WHERE id = ?
+    `, [data.validation_status, record.id]);
+
+    console.log(`🛠️ Registro ${record.id} revalidado como ${data.validation_status} por ${data.changed_by}`);
+    return auditChange(record.id, 'REVALIDATED', record, data);
+}
+
+module.exports = {
+    REVALIDATION_STATUSES,
+    validateManualRecordData,
+    validateTimeEditData,
+    validateVoidData,
+    validateRevalidationData,
+    getAttendanceRecord,
+    createManualRecord,
+    editRecordTime,
+    voidRecord,
+    revalidateRecord
+};
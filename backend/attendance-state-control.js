@@ -3,21 +3,73 @@
 // Previene pérdida de estado y usa número de celular como ID
 // ==========================================
 
+const { query } = require('./db');
+const { getEmployeeByPhone, getEmployeeDisplayName } = require('./employee-registry');
+const {
+    getShiftForEmployee,
+    getShiftWindow,
+    getShiftOccurrence,
+    getLatestShiftOccurrence,
+    evaluateShiftEntry,
+    describeShift
+} = require('./shift-schedules');
+const { getLocationTimezone } = require('./location-registry');
+const {
+    PENDING_REQUEST_CONFIG,
+    createPendingRequest,
+    getPendingRequest,
+    deletePendingRequest
+} = require('./pending-requests');
+const { getPendingCorrections } = require('./time-corrections');
+const { formatTime, formatDate } = require('./time-utils');
+
 // Cache persistente para estados actuales de empleados
 const employeeStates = new Map();
 const employeeSessions = new Map(); // Para mantener sesiones activas
 
 // Configuración de control de estados
 const STATE_CONTROL_CONFIG = {
-    WORK_DAY_START: 6,              // 6:00 AM - inicio posible de jornada
-    WORK_DAY_END: 22,               // 10:00 PM - fin posible de jornada
     MAX_WORK_HOURS: 12,             // Máximo 12 horas de trabajo continuo
-    MISSING_EXIT_THRESHOLD: 2,       // 2 horas después del fin de jornada para detectar salida faltante
-    MAX_ENTRIES_PER_DAY: 3,         // Máximo 3 entradas por día (considerando breaks)
+    MISSING_EXIT_THRESHOLD: 2,       // 2 horas después del fin del turno para detectar salida faltante
+    MAX_ENTRIES_PER_SHIFT: 3,       // Máximo 3 entradas por turno (las pausas se registran con pausa/regreso)
+    BREAK_REQUIRES_GPS: false,      // Si pausa/regreso piden ubicación GPS como entrada/salida
+    MAX_BREAK_MINUTES: 60,          // Pausas más largas generan advertencia
     MIN_TIME_BETWEEN_ACTIONS: 5,    // Mínimo 5 minutos entre entrada/salida
     STATE_CACHE_DURATION: 60       // Duración del cache en minutos
 };
 
+// Emoji, texto y terminación de género (REGISTRADA/REGISTRADO) de cada acción de asistencia
+const ATTENDANCE_ACTIONS = {
+    entrada: { emoji: '🟢', text: 'ENTRADA', ending: 'A' },
+    salida: { emoji: '🔴', text: 'SALIDA', ending: 'A' },
+    pausa: { emoji: '☕', text: 'PAUSA', ending: 'A' },
+    regreso: { emoji: '🔙', text: 'REGRESO', ending: 'O' }
+};
+
+// Acción válida inmediatamente anterior a cada acción (null = sin registros previos)
+const ACTION_PREDECESSORS = {
+    entrada: [null, 'salida'],
+    salida: ['entrada', 'pausa', 'regreso'],
+    pausa: ['entrada', 'regreso'],
+    regreso: ['pausa']
+};
+
+/**
+ * Obtener emoji y texto para mostrar una acción
+ */
+function getActionLabel(action) {
+    return ATTENDANCE_ACTIONS[action] || { emoji: '📌', text: String(action).toUpperCase(), ending: 'O' };
+}
+
+/**
+ * Texto del estado actual para mensajes
+ */
+function formatStatusLabel(status) {
+    if (status === 'IN') return '🟢 DENTRO';
+    if (status === 'BREAK') return '☕ EN PAUSA';
+    return '🔴 FUERA';
+}
+
 /**
  * Extraer número de teléfono limpio desde WhatsApp ID
  */
@@ -53,9 +105,7 @@ function getOrCreateEmployeeSession(whatsappId) {
             displayPhone: formatPhoneForDisplay(phoneNumber),
             firstContact: new Date(),
             lastActivity: new Date(),
-            messageCount: 0,
-            pendingAction: null,
-            pendingActionTime: null
+            messageCount: 0
         });
         
         console.log(`👤 Nueva sesión creada para empleado: ${formatPhoneForDisplay(phoneNumber)}`);
@@ -70,55 +120,214 @@ function getOrCreateEmployeeSession(whatsappId) {
 }
 
 /**
- * Obtener último registro de asistencia del empleado
+ * Obtener último registro VÁLIDO de asistencia del empleado (opcionalmente de un tipo de acción)
  */
-async function getLastAttendanceRecord(phoneNumber, date = null) {
+async function getLastAttendanceRecord(phoneNumber, actionType = null) {
     try {
-        const connection = await connectToDatabase();
-        if (connection) {
-            let query = 'SELECT * FROM attendance_records WHERE phone_number LIKE ?';
-            let params = [`%${phoneNumber}%`]; // Buscar por número contenido
-            
-            if (date) {
-                query += ' AND DATE(timestamp) = DATE(?)';
-                params.push(date);
-            }
-            
-            query += ' ORDER BY timestamp DESC LIMIT 1';
-            
-            const [rows] = await connection.execute(query, params);
-            await connection.end();
-            
-            return rows.length > 0 ? rows[0] : null;
+        // Los registros rechazados o anulados (VOID) no cambian el estado del empleado
+        let sql = "SELECT * FROM attendance_records WHERE phone_number LIKE ? AND validation_status = 'VALID'";
+        const params = [`%${phoneNumber}%`]; // Buscar por número contenido
+        
+        if (actionType) {
+            sql += ' AND action_type = ?';
+            params.push(actionType);
         }
+        
+        sql += ' ORDER BY timestamp DESC LIMIT 1';
+        
+        const rows = await query(sql, params);
+        return rows.length > 0 ? rows[0] : null;
     } catch (error) {
         console.error('❌ Error obteniendo último registro:', error.message);
         return null;
     }
-    return null;
 }
 
 /**
- * Obtener todos los registros del día actual del empleado
+ * Obtener registros del empleado desde una fecha (inicio del turno en curso), sin los anulados
  */
-async function getTodayAttendanceRecords(phoneNumber) {
+async function getAttendanceRecordsSince(phoneNumber, since) {
     try {
-        const connection = await connectToDatabase();
-        if (connection) {
-            const [rows] = await connection.execute(`
-                SELECT * FROM attendance_records 
-                WHERE phone_number LIKE ? AND DATE(timestamp) = CURDATE() 
-                ORDER BY timestamp ASC
-            `, [`%${phoneNumber}%`]);
-            await connection.end();
-            
-            return rows;
-        }
+        return await query(`
+            SELECT * FROM attendance_records 
+            WHERE phone_number LIKE ? AND timestamp >= ? AND validation_status <> 'VOID'
+            ORDER BY timestamp ASC
+        `, [`%${phoneNumber}%`, since]);
     } catch (error) {
-        console.error('❌ Error obteniendo registros del día:', error.message);
+        console.error('❌ Error obteniendo registros del turno:', error.message);
         return [];
     }
-    return [];
+}
+
+/**
+ * Verificar que una acción insertada en una hora pasada encaja con los registros válidos de alrededor
+ * (correcciones y altas manuales); ignoreRecordId excluye el registro que se está editando
+ */
+async function validateActionSequenceAt(whatsappId, action, time, ignoreRecordId = null) {
+    const phoneNumber = extractPhoneNumber(whatsappId);
+    const neighbour = async (comparison, order) => {
+        const rows = await query(`
+            SELECT * FROM attendance_records
+            WHERE phone_number LIKE ? AND validation_status = 'VALID' AND timestamp ${comparison} ? AND id <> ?
+            ORDER BY timestamp ${order} LIMIT 1
+        `, [`%${phoneNumber}%`, time, ignoreRecordId || 0]);
+        return rows.length > 0 ? rows[0] : null;
+    };
+    
+    const previous = await neighbour('<', 'DESC');
+    const next = await neighbour('>', 'ASC');
+    const previousAction = previous ? previous.action_type : null;
+    
+    if (!ACTION_PREDECESSORS[action].includes(previousAction)) {
+        return {
+            isValid: false,
+            reason: previous
+                ? `Antes de esa hora el último registro es ${previousAction.toUpperCase()} (${formatDate(previous.timestamp)} ${formatTime(previous.timestamp)}): no puede seguirle una ${action}`
+                : `No hay registros anteriores: la primera acción debe ser una entrada`
+        };
+    }
+    
+    if (next && !ACTION_PREDECESSORS[next.action_type].includes(action)) {
+        return {
+            isValid: false,
+            reason: `Después de esa hora hay una ${next.action_type.toUpperCase()} (${formatDate(next.timestamp)} ${formatTime(next.timestamp)}) que no puede seguir a una ${action}`
+        };
+    }
+    
+    return { isValid: true, reason: null };
+}
+
+/**
+ * Agrupar registros válidos en sesiones de trabajo (entrada → salida), aunque crucen medianoche
+ */
+function groupIntoWorkSessions(records, now = new Date()) {
+    const sessions = [];
+    let openSession = null;
+    let openBreak = null;
+    
+    records
+        .filter(record => record.validation_status === 'VALID')
+        .forEach(record => {
+            const time = new Date(record.timestamp);
+            
+            if (record.action_type === 'entrada') {
+                // Una entrada sin salida previa queda como sesión sin cerrar
+                if (openSession) {
+                    openSession.isUnmatched = true;
+                    sessions.push(openSession);
+                }
+                openBreak = null;
+                openSession = { entry: record, exit: null, start: time, end: null, breaks: [], isOpen: true, isUnmatched: false };
+            } else if (record.action_type === 'pausa') {
+                if (openSession && !openBreak) {
+                    openBreak = { start: time, end: null };
+                    openSession.breaks.push(openBreak);
+                }
+            } else if (record.action_type === 'regreso') {
+                if (openBreak) {
+                    openBreak.end = time;
+                    openBreak = null;
+                }
+            } else if (record.action_type === 'salida') {
+                if (openSession) {
+                    // Salir durante una pausa la cierra en ese momento
+                    if (openBreak) {
+                        openBreak.end = time;
+                        openBreak = null;
+                    }
+                    openSession.exit = record;
+                    openSession.end = time;
+                    openSession.isOpen = false;
+                    sessions.push(openSession);
+                    openSession = null;
+                } else {
+                    sessions.push({ entry: null, exit: record, start: null, end: time, breaks: [], isOpen: false, isUnmatched: true });
+                }
+            }
+        });
+    
+    if (openSession) {
+        sessions.push(openSession);
+    }
+    
+    // Horas trabajadas = duración de la sesión menos sus pausas
+    sessions.forEach(session => {
+        const end = session.end || (session.isOpen ? now : null);
+        session.breakHours = session.breaks.reduce((total, pause) =>
+            total + ((pause.end || end || now) - pause.start) / (1000 * 60 * 60), 0);
+        session.durationHours = session.start && end && !session.isUnmatched
+            ? Math.max(0, (end - session.start) / (1000 * 60 * 60) - session.breakHours)
+            : 0;
+    });
+    
+    return sessions;
+}
+
+/**
+ * Fin del turno de una entrada y momento desde el que se considera que falta la salida
+ */
+function getMissingExitDeadline(shift, entryTime, timezone = null) {
+    const entryShift = getShiftOccurrence(shift, entryTime, timezone) || getShiftWindow(shift, entryTime, timezone);
+    return {
+        shiftEnd: entryShift.end,
+        deadline: new Date(entryShift.end.getTime() + STATE_CONTROL_CONFIG.MISSING_EXIT_THRESHOLD * 60 * 60 * 1000)
+    };
+}
+
+/**
+ * DETECTAR SALIDAS FALTANTES
+ * Empleados activos que siguen dentro (último registro válido: entrada, pausa o regreso)
+ * pasado el fin de su turno más MISSING_EXIT_THRESHOLD horas
+ */
+async function detectMissingExits(now = new Date()) {
+    const openRecords = await query(`
+        SELECT a.* FROM attendance_records a
+        JOIN (
+            SELECT phone_number, MAX(timestamp) AS last_timestamp
+            FROM attendance_records WHERE validation_status = 'VALID'
+            GROUP BY phone_number
+        ) latest ON latest.phone_number = a.phone_number AND latest.last_timestamp = a.timestamp
+        WHERE a.validation_status = 'VALID'
+        ORDER BY a.id DESC
+    `);
+    
+    const missingExits = [];
+    const checkedPhones = new Set();
+    
+    for (const lastRecord of openRecords) {
+        // Con dos registros en el mismo segundo vale el último insertado
+        if (checkedPhones.has(lastRecord.phone_number)) continue;
+        checkedPhones.add(lastRecord.phone_number);
+        
+        if (lastRecord.action_type === 'salida') continue;
+        
+        const phoneNumber = extractPhoneNumber(lastRecord.phone_number);
+        const employee = await getEmployeeByPhone(phoneNumber);
+        if (!employee || !employee.is_active) continue;
+        
+        const entryRecord = lastRecord.action_type === 'entrada' ? lastRecord : await getLastAttendanceRecord(phoneNumber, 'entrada');
+        if (!entryRecord) continue;
+        
+        const shift = await getShiftForEmployee(employee);
+        const timezone = await getLocationTimezone(entryRecord.location_id);
+        const { shiftEnd, deadline } = getMissingExitDeadline(shift, new Date(entryRecord.timestamp), timezone);
+        
+        if (now > deadline) {
+            missingExits.push({
+                whatsappId: lastRecord.phone_number,
+                phoneNumber: phoneNumber,
+                employee: employee,
+                displayName: getEmployeeDisplayName(employee, formatPhoneForDisplay(phoneNumber)),
+                entryRecord: entryRecord,
+                lastRecord: lastRecord,
+                shiftEnd: shiftEnd,
+                timezone: timezone,
+                hoursSinceShiftEnd: (now - shiftEnd) / (1000 * 60 * 60)
+            });
+        }
+    }
+    
+    return missingExits;
 }
 
 /**
@@ -141,50 +350,86 @@ async function getEmployeeCurrentState(whatsappId, forceRefresh = false) {
     
     console.log(`🔄 Recalculando estado para empleado: ${session.displayPhone}`);
     
+    const employee = await getEmployeeByPhone(phoneNumber);
+    const shift = await getShiftForEmployee(employee);
     const lastRecord = await getLastAttendanceRecord(phoneNumber);
-    const todayRecords = await getTodayAttendanceRecords(phoneNumber);
+    
+    // Los turnos se evalúan en la zona horaria de la última ubicación registrada (o la del negocio)
+    const timezone = await getLocationTimezone(lastRecord ? lastRecord.location_id : null);
     
     const currentTime = new Date();
-    const currentHour = currentTime.getHours();
+    const shiftEntry = evaluateShiftEntry(shift, currentTime, timezone);
+    
+    // El período de trabajo es el turno de la entrada abierta o, si no hay, el último turno iniciado
+    let openEntryTime = null;
+    if (lastRecord && lastRecord.action_type !== 'salida') {
+        const openEntry = lastRecord.action_type === 'entrada' ? lastRecord : await getLastAttendanceRecord(phoneNumber, 'entrada');
+        openEntryTime = openEntry ? new Date(openEntry.timestamp) : null;
+    }
+    const workPeriod = getLatestShiftOccurrence(shift, openEntryTime || currentTime, timezone) ||
+        getShiftWindow(shift, currentTime, timezone);
+    let periodStart = new Date(workPeriod.start.getTime() - shift.graceMinutes * 60 * 1000);
+    if (openEntryTime && openEntryTime < periodStart) {
+        periodStart = openEntryTime;
+    }
     
-    // Contar entradas y salidas válidas del día
-    const validEntries = todayRecords.filter(r => r.action_type === 'entrada' && r.validation_status === 'VALID');
-    const validExits = todayRecords.filter(r => r.action_type === 'salida' && r.validation_status === 'VALID');
+    const periodRecords = await getAttendanceRecordsSince(phoneNumber, periodStart);
+    const workSessions = groupIntoWorkSessions(periodRecords, currentTime);
+    
+    // Contar entradas y salidas válidas del turno
+    const validEntries = periodRecords.filter(r => r.action_type === 'entrada' && r.validation_status === 'VALID');
+    const validExits = periodRecords.filter(r => r.action_type === 'salida' && r.validation_status === 'VALID');
     
     const state = {
         phoneNumber: phoneNumber,
         whatsappId: whatsappId,
         displayPhone: session.displayPhone,
+        employee: employee,
+        displayName: getEmployeeDisplayName(employee, session.displayPhone),
+        isRegistered: !!(employee && employee.is_active),
         currentStatus: 'OUT', // OUT, IN, UNKNOWN
         lastAction: null,
+        pendingAction: null,
+        pendingExpiresAt: null,
         lastActionTime: null,
-        todayEntries: validEntries.length,
-        todayExits: validExits.length,
+        workPeriod: { start: periodStart, end: workPeriod.end },
+        periodRecords: periodRecords,
+        workSessions: workSessions,
+        shiftEntries: validEntries.length,
+        shiftExits: validExits.length,
+        shiftWorkedHours: workSessions.reduce((total, workSession) => total + workSession.durationHours, 0),
+        shiftBreakCount: workSessions.reduce((total, workSession) => total + workSession.breaks.length, 0),
+        shiftBreakMinutes: workSessions.reduce((total, workSession) => total + workSession.breakHours * 60, 0),
+        currentBreakMinutes: 0,
+        sessionStartTime: null,
         workingHours: 0,
         canEnter: false,
         canExit: false,
+        canPause: false,
+        canResume: false,
         warnings: [],
         missingExit: false,
-        isWorkingHours: currentHour >= STATE_CONTROL_CONFIG.WORK_DAY_START && 
-                       currentHour <= STATE_CONTROL_CONFIG.WORK_DAY_END,
+        pendingCorrections: [],
+        shift: shift,
+        shiftEntry: shiftEntry,
+        timezone: timezone,
+        isWorkingHours: shiftEntry.allowed,
         cacheTime: Date.now(),
         session: session
     };
     
-    // Verificar si hay acción pendiente en la sesión
-    if (session.pendingAction && session.pendingActionTime) {
-        const pendingAge = (Date.now() - session.pendingActionTime) / (1000 * 60); // minutos
-        
-        if (pendingAge < 10) { // 10 minutos de validez para acciones pendientes
-            state.pendingAction = session.pendingAction;
-            state.warnings.push(`⏳ Acción pendiente: ${session.pendingAction} (${Math.round(pendingAge)} min)`);
-        } else {
-            // Limpiar acción pendiente expirada
-            session.pendingAction = null;
-            session.pendingActionTime = null;
-        }
+    // Verificar si hay una solicitud pendiente vigente (las vencidas no se devuelven)
+    const pendingRequest = await getPendingRequest(whatsappId, currentTime);
+    if (pendingRequest) {
+        const pendingAge = (currentTime - pendingRequest.createdAt) / (1000 * 60); // minutos
+        state.pendingAction = pendingRequest.action;
+        state.pendingExpiresAt = pendingRequest.expiresAt;
+        state.warnings.push(`⏳ Acción pendiente: ${pendingRequest.action} (${Math.round(pendingAge)} min)`);
     }
     
+    // Las correcciones aprobadas ya son registros válidos; las pendientes solo se informan
+    state.pendingCorrections = await getPendingCorrections(whatsappId);
+    
     if (lastRecord && lastRecord.validation_status === 'VALID') {
         state.lastAction = lastRecord.action_type;
         state.lastActionTime = new Date(lastRecord.timestamp);
@@ -193,17 +438,26 @@ async function getEmployeeCurrentState(whatsappId, forceRefresh = false) {
         const timeSinceLastAction = (currentTime - state.lastActionTime) / (1000 * 60); // minutos
         
         // Determinar estado actual basado en última acción
-        if (state.lastAction === 'entrada') {
-            state.currentStatus = 'IN';
+        if (state.lastAction === 'entrada' || state.lastAction === 'regreso' || state.lastAction === 'pausa') {
+            state.currentStatus = state.lastAction === 'pausa' ? 'BREAK' : 'IN';
+            
+            // Calcular horas trabajando (sin contar pausas)
+            const openSession = workSessions.find(workSession => workSession.isOpen);
+            const entryTime = openEntryTime || state.lastActionTime;
+            state.sessionStartTime = entryTime;
+            state.workingHours = openSession ? openSession.durationHours : timeSinceLastAction / 60;
             
-            // Calcular horas trabajando
-            state.workingHours = timeSinceLastAction / 60;
+            if (state.currentStatus === 'BREAK') {
+                state.currentBreakMinutes = timeSinceLastAction;
+                if (timeSinceLastAction > STATE_CONTROL_CONFIG.MAX_BREAK_MINUTES) {
+                    state.warnings.push(`☕ Pausa extensa: ${Math.round(timeSinceLastAction)} minutos`);
+                }
+            }
             
-            // Detectar posible salida faltante
-            if (currentHour > STATE_CONTROL_CONFIG.WORK_DAY_END && 
-                timeSinceLastAction > (STATE_CONTROL_CONFIG.MISSING_EXIT_THRESHOLD * 60)) {
+            // Detectar posible salida faltante (fin del turno de esa entrada + margen)
+            if (currentTime > getMissingExitDeadline(shift, entryTime, timezone).deadline) {
                 state.missingExit = true;
-                state.warnings.push(`⚠️ Posible salida faltante - Última entrada: ${state.lastActionTime.toLocaleTimeString('es-AR')}`);
+                state.warnings.push(`⚠️ Posible salida faltante - Última entrada: ${formatTime(entryTime, timezone)}`);
             }
             
             // Detectar trabajo excesivo
@@ -223,11 +477,13 @@ async function getEmployeeCurrentState(whatsappId, forceRefresh = false) {
     
     // Determinar qué acciones puede realizar
     state.canEnter = (state.currentStatus === 'OUT') && 
-                    (validEntries.length < STATE_CONTROL_CONFIG.MAX_ENTRIES_PER_DAY) &&
+                    (validEntries.length < STATE_CONTROL_CONFIG.MAX_ENTRIES_PER_SHIFT) &&
                     state.isWorkingHours &&
                     !state.pendingAction; // No puede nueva acción si hay una pendiente
     
-    state.canExit = (state.currentStatus === 'IN') && !state.pendingAction;
+    state.canExit = (state.currentStatus === 'IN' || state.currentStatus === 'BREAK') && !state.pendingAction;
+    state.canPause = (state.currentStatus === 'IN') && !state.pendingAction;
+    state.canResume = (state.currentStatus === 'BREAK') && !state.pendingAction;
     
     // Guardar en cache
     employeeStates.set(cacheKey, state);
@@ -237,37 +493,37 @@ async function getEmployeeCurrentState(whatsappId, forceRefresh = false) {
         canEnter: state.canEnter,
         canExit: state.canExit,
         pendingAction: state.pendingAction,
-        todayEntries: state.todayEntries,
-        todayExits: state.todayExits
+        shiftEntries: state.shiftEntries,
+        shiftExits: state.shiftExits
     });
     
     return state;
 }
 
 /**
- * MARCAR ACCIÓN COMO PENDIENTE
+ * MARCAR ACCIÓN COMO PENDIENTE (esperando ubicación)
  */
-function setPendingAction(whatsappId, action) {
+async function setPendingAction(whatsappId, action) {
     const session = getOrCreateEmployeeSession(whatsappId);
-    session.pendingAction = action;
-    session.pendingActionTime = Date.now();
+    const pendingRequest = await createPendingRequest(whatsappId, action);
     
     // También invalidar cache para forzar recalculo
     const phoneNumber = session.phoneNumber;
     employeeStates.delete(`state_${phoneNumber}`);
     
     console.log(`⏳ Acción pendiente marcada: ${action} para ${session.displayPhone}`);
+    
+    return pendingRequest;
 }
 
 /**
  * LIMPIAR ACCIÓN PENDIENTE
+ * Devuelve la acción que estaba vigente (o null)
  */
-function clearPendingAction(whatsappId) {
+async function clearPendingAction(whatsappId) {
     const session = getOrCreateEmployeeSession(whatsappId);
-    const hadPending = session.pendingAction;
-    
-    session.pendingAction = null;
-    session.pendingActionTime = null;
+    const pendingRequest = await deletePendingRequest(whatsappId);
+    const hadPending = pendingRequest ? pendingRequest.action : null;
     
     // Invalidar cache para forzar recalculo
     const phoneNumber = session.phoneNumber;
@@ -289,8 +545,8 @@ async function validateAttendanceAction(whatsappId, requestedAction) {
     console.log(`🔍 Validando acción "${requestedAction}" para ${employeeState.displayPhone}:`, {
         currentStatus: employeeState.currentStatus,
         lastAction: employeeState.lastAction,
-        todayEntries: employeeState.todayEntries,
-        todayExits: employeeState.todayExits,
+        shiftEntries: employeeState.shiftEntries,
+        shiftExits: employeeState.shiftExits,
         canEnter: employeeState.canEnter,
         canExit: employeeState.canExit,
         pendingAction: employeeState.pendingAction
@@ -303,6 +559,15 @@ async function validateAttendanceAction(whatsappId, requestedAction) {
         suggestions: []
     };
     
+    // Solo empleados registrados y activos pueden marcar asistencia
+    if (!employeeState.isRegistered) {
+        validation.reason = employeeState.employee
+            ? '🚫 Tu usuario de empleado está desactivado'
+            : '🚫 Tu número no está registrado como empleado';
+        validation.suggestions.push('Contacta a tu supervisor para que registre o active tu número');
+        return validation;
+    }
+    
     // Verificar si ya hay una acción pendiente diferente
     if (employeeState.pendingAction && employeeState.pendingAction !== requestedAction) {
         validation.reason = `⏳ Ya tienes una ${employeeState.pendingAction} pendiente. Completa esa acción primero o envía "cancelar".`;
@@ -313,17 +578,18 @@ async function validateAttendanceAction(whatsappId, requestedAction) {
     
     if (requestedAction === 'entrada') {
         if (!employeeState.isWorkingHours) {
-            validation.reason = `⏰ Fuera del horario laboral (${STATE_CONTROL_CONFIG.WORK_DAY_START}:00 - ${STATE_CONTROL_CONFIG.WORK_DAY_END}:00)`;
-            validation.suggestions.push('Intenta registrar entrada durante el horario laboral');
+            validation.reason = employeeState.shiftEntry.reason;
+            validation.suggestions.push(`Tu turno: ${describeShift(employeeState.shift)}`);
+            validation.suggestions.push('Si cambió tu horario, pide a tu supervisor que actualice tu turno');
             
-        } else if (employeeState.currentStatus === 'IN') {
-            const timeSinceEntry = ((new Date() - employeeState.lastActionTime) / (1000 * 60 * 60)).toFixed(1);
-            validation.reason = `🚫 Ya tienes una entrada activa desde las ${employeeState.lastActionTime.toLocaleTimeString('es-AR')} (hace ${timeSinceEntry}h)`;
+        } else if (employeeState.currentStatus !== 'OUT') {
+            const timeSinceEntry = ((new Date() - employeeState.sessionStartTime) / (1000 * 60 * 60)).toFixed(1);
+            validation.reason = `🚫 Ya tienes una entrada activa desde las ${formatTime(employeeState.sessionStartTime, employeeState.timezone)} (hace ${timeSinceEntry}h)`;
             validation.suggestions.push('Registra tu salida primero antes de una nueva entrada');
-            validation.suggestions.push('Si olvidaste registrar salida ayer, contacta a tu supervisor');
+            validation.suggestions.push('Si olvidaste registrar la salida de un turno anterior, contacta a tu supervisor');
             
-        } else if (employeeState.todayEntries >= STATE_CONTROL_CONFIG.MAX_ENTRIES_PER_DAY) {
-            validation.reason = `📊 Límite de entradas diarias alcanzado (${STATE_CONTROL_CONFIG.MAX_ENTRIES_PER_DAY})`;
+        } else if (employeeState.shiftEntries >= STATE_CONTROL_CONFIG.MAX_ENTRIES_PER_SHIFT) {
+            validation.reason = `📊 Límite de entradas por turno alcanzado (${STATE_CONTROL_CONFIG.MAX_ENTRIES_PER_SHIFT})`;
             validation.suggestions.push('Contacta a tu supervisor si necesitas más entradas');
             
         } else if (employeeState.warnings.some(w => w.includes('minutos desde última acción'))) {
@@ -333,15 +599,19 @@ async function validateAttendanceAction(whatsappId, requestedAction) {
         } else {
             validation.isAllowed = true;
             validation.reason = '✅ Entrada permitida';
+            
+            if (employeeState.shiftEntry.isLate) {
+                validation.reason += ` (llegada tarde: ${employeeState.shiftEntry.lateMinutes} min después del inicio de tu turno a las ${employeeState.shift.startTime})`;
+            }
         }
         
     } else if (requestedAction === 'salida') {
         if (employeeState.currentStatus === 'OUT') {
-            if (employeeState.todayExits === 0) {
+            if (employeeState.shiftExits === 0) {
                 validation.reason = '🚫 No puedes registrar salida sin haber registrado entrada primero';
                 validation.suggestions.push('Registra tu entrada primero');
             } else {
-                validation.reason = `🚫 Ya registraste tu salida. Última salida: ${employeeState.lastActionTime.toLocaleTimeString('es-AR')}`;
+                validation.reason = `🚫 Ya registraste tu salida. Última salida: ${formatTime(employeeState.lastActionTime, employeeState.timezone)}`;
                 validation.suggestions.push('Si necesitas registrar una nueva entrada, hazlo primero');
             }
             
@@ -357,6 +627,40 @@ async function validateAttendanceAction(whatsappId, requestedAction) {
             if (employeeState.workingHours > 0) {
                 validation.reason += ` (Tiempo trabajado: ${Math.round(employeeState.workingHours * 10) / 10}h)`;
             }
+            
+            if (employeeState.currentStatus === 'BREAK') {
+                validation.reason += ' - Tu pausa en curso se cerrará con la salida';
+            }
+        }
+        
+    } else if (requestedAction === 'pausa') {
+        if (employeeState.currentStatus === 'OUT') {
+            validation.reason = '🚫 No puedes iniciar una pausa sin haber registrado entrada';
+            validation.suggestions.push('Registra tu entrada primero');
+            
+        } else if (employeeState.currentStatus === 'BREAK') {
+            validation.reason = `🚫 Ya estás en pausa desde las ${formatTime(employeeState.lastActionTime, employeeState.timezone)}`;
+            validation.suggestions.push('Envía "regreso" cuando vuelvas a trabajar');
+            
+        } else if (employeeState.warnings.some(w => w.includes('minutos desde última acción'))) {
+            validation.reason = `⏰ Debes esperar al menos ${STATE_CONTROL_CONFIG.MIN_TIME_BETWEEN_ACTIONS} minutos desde tu última acción`;
+            validation.suggestions.push('Espera unos minutos e intenta nuevamente');
+            
+        } else {
+            validation.isAllowed = true;
+            validation.reason = '✅ Pausa permitida';
+        }
+        
+    } else if (requestedAction === 'regreso') {
+        if (employeeState.currentStatus !== 'BREAK') {
+            validation.reason = '🚫 No tienes una pausa en curso';
+            validation.suggestions.push(employeeState.currentStatus === 'IN'
+                ? 'Envía "pausa" para iniciar una pausa'
+                : 'Registra tu entrada primero');
+            
+        } else {
+            validation.isAllowed = true;
+            validation.reason = `✅ Regreso permitido (pausa de ${Math.round(employeeState.currentBreakMinutes)} min)`;
         }
     }
     
@@ -368,19 +672,23 @@ async function validateAttendanceAction(whatsappId, requestedAction) {
  */
 async function generateEmployeeStatusReport(whatsappId) {
     const state = await getEmployeeCurrentState(whatsappId, true);
-    const todayRecords = await getTodayAttendanceRecords(state.phoneNumber);
+    const periodRecords = state.periodRecords;
     
     let report = '📊 *ESTADO ACTUAL DE ASISTENCIA*\n\n';
     
     // Información del empleado
-    report += `👤 *Empleado:* ${state.displayPhone}\n`;
+    report += `👤 *Empleado:* ${state.displayName}\n`;
+    report += `🗓️ *Turno:* ${describeShift(state.shift)}\n`;
     
     // Estado actual
-    const statusEmoji = state.currentStatus === 'IN' ? '🟢 DENTRO' : '🔴 FUERA';
-    report += `📍 *Estado:* ${statusEmoji}\n`;
+    report += `📍 *Estado:* ${formatStatusLabel(state.currentStatus)}\n`;
+    
+    if (state.currentStatus === 'BREAK') {
+        report += `☕ *Pausa en curso:* ${Math.round(state.currentBreakMinutes)} min\n`;
+    }
     
     if (state.lastAction) {
-        report += `⏰ *Última acción:* ${state.lastAction.toUpperCase()} a las ${state.lastActionTime.toLocaleTimeString('es-AR')}\n`;
+        report += `⏰ *Última acción:* ${state.lastAction.toUpperCase()} a las ${formatTime(state.lastActionTime, state.timezone)}\n`;
     }
     
     // Acción pendiente
@@ -388,19 +696,29 @@ async function generateEmployeeStatusReport(whatsappId) {
         report += `⏳ *Pendiente:* ${state.pendingAction.toUpperCase()} - esperando ubicación\n`;
     }
     
-    // Estadísticas del día
-    report += `\n📈 *HOY (${new Date().toLocaleDateString('es-AR')}):*\n`;
-    report += `• Entradas registradas: ${state.todayEntries}\n`;
-    report += `• Salidas registradas: ${state.todayExits}\n`;
+    // Estadísticas del turno (puede haber comenzado el día anterior)
+    report += `\n📈 *TURNO ACTUAL (desde ${formatDate(state.workPeriod.start, state.timezone)} ${formatTime(state.workPeriod.start, state.timezone)}):*\n`;
+    report += `• Entradas registradas: ${state.shiftEntries}\n`;
+    report += `• Salidas registradas: ${state.shiftExits}\n`;
     
     if (state.workingHours > 0) {
         report += `• Tiempo trabajando: ${Math.round(state.workingHours * 10) / 10} horas\n`;
     }
     
+    if (state.shiftWorkedHours > 0) {
+        report += `• Total trabajado en el turno: ${Math.round(state.shiftWorkedHours * 10) / 10} horas\n`;
+    }
+    
+    if (state.shiftBreakCount > 0) {
+        report += `• Pausas: ${state.shiftBreakCount} (${Math.round(state.shiftBreakMinutes)} min en total)\n`;
+    }
+    
     // Acciones disponibles
     report += `\n🎯 *ACCIONES DISPONIBLES:*\n`;
     report += `• Entrada: ${state.canEnter ? '✅ Permitida' : '❌ No disponible'}\n`;
     report += `• Salida: ${state.canExit ? '✅ Permitida' : '❌ No disponible'}\n`;
+    report += `• Pausa: ${state.canPause ? '✅ Permitida' : '❌ No disponible'}\n`;
+    report += `• Regreso: ${state.canResume ? '✅ Permitido' : '❌ No disponible'}\n`;
     
     // Warnings
     if (state.warnings.length > 0) {
@@ -410,14 +728,36 @@ async function generateEmployeeStatusReport(whatsappId) {
         });
     }
     
-    // Historial del día
-    if (todayRecords.length > 0) {
-        report += `\n📝 *HISTORIAL DE HOY:*\n`;
-        todayRecords.forEach((record, index) => {
-            const emoji = record.action_type === 'entrada' ? '🟢' : '🔴';
+    // Sesiones de trabajo (entrada → salida)
+    if (state.workSessions.length > 0) {
+        report += `\n⏱️ *SESIONES DE TRABAJO:*\n`;
+        state.workSessions.forEach((workSession, index) => {
+            const start = workSession.start ? formatTime(workSession.start, state.timezone) : '¿?';
+            const end = workSession.end ? formatTime(workSession.end, state.timezone) : (workSession.isOpen ? 'en curso' : '¿?');
+            const duration = workSession.durationHours > 0 ? ` (${Math.round(workSession.durationHours * 10) / 10}h)` : '';
+            const breaks = workSession.breaks.length > 0 ? ` - ${workSession.breaks.length} pausa(s)` : '';
+            report += `${index + 1}. ${start} → ${end}${duration}${breaks}${workSession.isUnmatched ? ' ⚠️ sin par' : ''}\n`;
+        });
+    }
+    
+    // Historial del turno
+    if (periodRecords.length > 0) {
+        report += `\n📝 *HISTORIAL DEL TURNO:*\n`;
+        periodRecords.forEach((record, index) => {
+            const emoji = getActionLabel(record.action_type).emoji;
             const status = record.validation_status === 'VALID' ? '✅' : '❌';
-            const time = new Date(record.timestamp).toLocaleTimeString('es-AR');
-            report += `${index + 1}. ${emoji} ${record.action_type.toUpperCase()} - ${time} ${status}\n`;
+            const time = formatTime(record.timestamp, state.timezone);
+            const correction = record.source === 'CORRECTION' ? ' ✏️ corrección' : '';
+            report += `${index + 1}. ${emoji} ${record.action_type.toUpperCase()} - ${time} ${status}${correction}\n`;
+        });
+    }
+    
+    // Correcciones enviadas que el supervisor todavía no respondió
+    if (state.pendingCorrections.length > 0) {
+        report += `\n✏️ *CORRECCIONES PENDIENTES:*\n`;
+        state.pendingCorrections.forEach(correction => {
+            const requestedTime = new Date(correction.requested_time);
+            report += `• #C${correction.id} ${correction.action_type.toUpperCase()} - ${formatDate(requestedTime, state.timezone)} ${formatTime(requestedTime, state.timezone)}\n`;
         });
     }
     
@@ -428,12 +768,11 @@ async function generateEmployeeStatusReport(whatsappId) {
  * Crear mensaje de validación con información mejorada
  */
 function formatStateValidationMessage(action, validation) {
-    const actionEmoji = action === 'entrada' ? '🟢' : '🔴';
-    const actionText = action === 'entrada' ? 'ENTRADA' : 'SALIDA';
+    const { emoji: actionEmoji, text: actionText } = getActionLabel(action);
     
     if (validation.isAllowed) {
         let message = `${actionEmoji} *${actionText} - Validación exitosa* ✅\n\n`;
-        message += `👤 *Empleado:* ${validation.employeeState.displayPhone}\n`;
+        message += `👤 *Empleado:* ${validation.employeeState.displayName}\n`;
         message += `${validation.reason}\n\n`;
         
         if (validation.employeeState.warnings.length > 0) {
@@ -448,14 +787,14 @@ function formatStateValidationMessage(action, validation) {
         
         message += `📱 *AHORA comparte tu ubicación actual* para completar el registro.\n\n`;
         message += `📍 **IMPORTANTE:** Debes estar físicamente en el lugar de trabajo y usar "Ubicación actual" (NO buscar lugares).\n\n`;
-        message += `⏰ Tienes 10 minutos para enviar tu ubicación.\n`;
+        message += `⏰ Tienes ${PENDING_REQUEST_CONFIG.EXPIRY_MINUTES} minutos para enviar tu ubicación.\n`;
         message += `❓ Responde "cancelar" si quieres cancelar.`;
         
         return message;
         
     } else {
         let message = `${actionEmoji} *${actionText} NO PERMITIDA* ❌\n\n`;
-        message += `👤 *Empleado:* ${validation.employeeState.displayPhone}\n`;
+        message += `👤 *Empleado:* ${validation.employeeState.displayName}\n`;
         message += `*Razón:* ${validation.reason}\n\n`;
         
         if (validation.suggestions.length > 0) {
@@ -466,15 +805,20 @@ function formatStateValidationMessage(action, validation) {
             message += `\n`;
         }
         
-        // Agregar información del estado actual
+        // Números no registrados no tienen estado de asistencia que mostrar
         const state = validation.employeeState;
+        if (!state.isRegistered) {
+            return message + `📞 Si necesitas ayuda, contacta a tu supervisor.`;
+        }
+        
+        // Agregar información del estado actual
         message += `📊 *Tu estado actual:*\n`;
-        message += `• Estado: ${state.currentStatus === 'IN' ? '🟢 DENTRO' : '🔴 FUERA'}\n`;
-        message += `• Entradas hoy: ${state.todayEntries}/${STATE_CONTROL_CONFIG.MAX_ENTRIES_PER_DAY}\n`;
-        message += `• Salidas hoy: ${state.todayExits}\n`;
+        message += `• Estado: ${formatStatusLabel(state.currentStatus)}\n`;
+        message += `• Entradas en el turno: ${state.shiftEntries}/${STATE_CONTROL_CONFIG.MAX_ENTRIES_PER_SHIFT}\n`;
+        message += `• Salidas en el turno: ${state.shiftExits}\n`;
         
         if (state.lastActionTime) {
-            message += `• Última acción: ${state.lastAction} a las ${state.lastActionTime.toLocaleTimeString('es-AR')}\n`;
+            message += `• Última acción: ${state.lastAction} a las ${formatTime(state.lastActionTime, state.timezone)}\n`;
         }
         
         if (state.pendingAction) {
@@ -487,6 +831,28 @@ function formatStateValidationMessage(action, validation) {
     }
 }
 
+/**
+ * Confirmar pausa/regreso registrados sin ubicación GPS
+ */
+function formatBreakRegisteredMessage(action, validation) {
+    const { emoji, text, ending } = getActionLabel(action);
+    const state = validation.employeeState;
+    
+    let message = `${emoji} *${text} REGISTRAD${ending}* ✅\n\n`;
+    message += `👤 *Empleado:* ${state.displayName}\n`;
+    message += `🕐 *Hora:* ${formatTime(new Date(), state.timezone)}\n`;
+    
+    if (action === 'pausa') {
+        message += `⏱️ *Trabajado hasta ahora:* ${Math.round(state.workingHours * 10) / 10}h\n\n`;
+        message += `Envía *regreso* cuando vuelvas a trabajar.`;
+    } else {
+        message += `☕ *Duración de la pausa:* ${Math.round(state.currentBreakMinutes)} min\n\n`;
+        message += `¡Buen regreso! 💪`;
+    }
+    
+    return message;
+}
+
 // Exportar funciones mejoradas
 module.exports = {
     extractPhoneNumber,
@@ -495,9 +861,15 @@ module.exports = {
     getEmployeeCurrentState,
     validateAttendanceAction,
     generateEmployeeStatusReport,
+    detectMissingExits,
     formatStateValidationMessage,
+    formatBreakRegisteredMessage,
+    getActionLabel,
     setPendingAction,
     clearPendingAction,
+    groupIntoWorkSessions,
+    validateActionSequenceAt,
+    ACTION_PREDECESSORS,
     STATE_CONTROL_CONFIG,
     
     // Funciones de utilidad
@@ -0,0 +1,114 @@
+// ==========================================
+// MIGRACIONES DE ESQUEMA
+// Ejecuta en orden los archivos de database/migrations que aún no se aplicaron
+//
+// Uso:
+//   npm run migrate                   Aplicar migraciones pendientes (crea la base si no existe)
+//   npm run migrate -- --status       Ver migraciones aplicadas y pendientes
+//   npm run migrate -- --baseline=008 Marcar como aplicadas hasta la 008 sin ejecutarlas
+//                                     (bases creadas antes con los scripts SQL sueltos)
+//
+// La 008 pasa a UTC las fechas guardadas en hora local. Una base marcada con --baseline=008 o
+// posterior se la salta: si tiene registros anteriores al paso a UTC, ejecutar a mano una vez
+// las UPDATE de 008_location_timezones.sql antes de iniciar el backend.
+// ==========================================
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+const { dbConfig } = require('../db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Listar archivos de migración ordenados por versión (ej: "001_initial_schema.sql")
+ */
+function listMigrationFiles() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.sql$/.test(file))
+        .sort()
+        .map(file => ({
+            version: file.split('_')[0],
+            name: file,
+            path: path.join(MIGRATIONS_DIR, file)
+        }));
+}
+
+/**
+ * Conectar al servidor, creando la base de datos si todavía no existe
+ */
+async function connectForMigrations() {
+    const { database, waitForConnections, connectionLimit, ...serverConfig } = dbConfig;
+
+    const connection = await mysql.createConnection({ ...serverConfig, multipleStatements: true });
+    await connection.query(`CREATE DATABASE IF NOT EXISTS \`${database}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`);
+    await connection.query(`USE \`${database}\``);
+    await connection.query("SET time_zone = '+00:00'");
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(10) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    return connection;
+}
+
+async function getAppliedVersions(connection) {
+    const [rows] = await connection.query('SELECT version FROM schema_migrations');
+    return new Set(rows.map(row => row.version));
+}
+
+async function runMigrations() {
+    const args = process.argv.slice(2);
+    const baselineArg = args.find(arg => arg.startsWith('--baseline='));
+    const baseline = baselineArg ? baselineArg.split('=')[1] : null;
+
+    const connection = await connectForMigrations();
+
+    try {
+        const applied = await getAppliedVersions(connection);
+        const migrations = listMigrationFiles();
+
+        if (args.includes('--status')) {
+            migrations.forEach(migration => {
+                console.log(`${applied.has(migration.version) ? '✅' : '⏳'} ${migration.name}`);
+            });
+            return;
+        }
+
+        const pending = migrations.filter(migration => !applied.has(migration.version));
+        if (pending.length === 0) {
+            console.log('✅ Base de datos al día, no hay migraciones pendientes');
+            return;
+        }
+
+        for (const migration of pending) {
+            if (baseline && migration.version <= baseline) {
+                console.log(`📌 Marcada como aplicada: ${migration.name}`);
+            } else {
+                console.log(`🔄 Aplicando ${migration.name}...`);
+                // Las sentencias DDL de MySQL no se pueden revertir: si una falla, se corrige y se reintenta
+                await connection.query(fs.readFileSync(migration.path, 'utf8'));
+            }
+
+            await connection.execute(
+                'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            );
+        }
+
+        console.log(`✅ Migraciones completadas (${pending.length})`);
+    } finally {
+        await connection.end();
+    }
+}
+
+runMigrations().catch(error => {
+    console.error('❌ Error aplicando migraciones:', error.message);
+    process.exit(1);
+});
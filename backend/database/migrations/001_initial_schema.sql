@@ -0,0 +1,38 @@
+-- ==========================================
+-- ESQUEMA INICIAL
+-- Tablas originales del bot: asistencia, mensajes y estado de WhatsApp
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS attendance_records (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    phone_number VARCHAR(50) NOT NULL,          -- WhatsApp ID, ej: 5491123456789@c.us
+    action_type ENUM('entrada', 'salida') NOT NULL,
+    latitude DOUBLE NULL,
+    longitude DOUBLE NULL,
+    location_name VARCHAR(120) NULL,
+    distance_from_point INT NULL,               -- Metros hasta la ubicación autorizada más cercana
+    validation_status ENUM('VALID', 'INVALID') NOT NULL,
+    timestamp DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    accuracy DOUBLE NULL,                       -- Precisión informada por el GPS (metros)
+    gps_timestamp DATETIME NULL,
+    INDEX idx_attendance_phone_time (phone_number, timestamp)
+);
+
+CREATE TABLE IF NOT EXISTS message_logs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    phone_number VARCHAR(50) NOT NULL,
+    message_text TEXT NULL,
+    message_type ENUM('incoming', 'outgoing') NOT NULL,
+    timestamp DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_message_logs_time (timestamp)
+);
+
+-- Una sola fila (id = 1) con el estado de la sesión de WhatsApp
+CREATE TABLE IF NOT EXISTS whatsapp_status (
+    id INT PRIMARY KEY,
+    is_connected TINYINT(1) NOT NULL DEFAULT 0,
+    last_connected DATETIME NULL,
+    qr_code MEDIUMTEXT NULL                     -- QR en formato data URL mientras no hay sesión
+);
+
+INSERT IGNORE INTO whatsapp_status (id, is_connected) VALUES (1, 0);
@@ -0,0 +1,18 @@
+-- ==========================================
+-- REGISTRO DE EMPLEADOS
+-- Solo los números registrados y activos pueden marcar asistencia
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS employees (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(120) NOT NULL,
+    document_id VARCHAR(20) NOT NULL,
+    phone_number VARCHAR(20) NOT NULL,          -- Solo dígitos, ej: 5491123456789
+    department VARCHAR(80) NULL,
+    role ENUM('employee', 'supervisor', 'admin') NOT NULL DEFAULT 'employee',
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_employees_document (document_id),
+    UNIQUE KEY uq_employees_phone (phone_number)
+);
@@ -0,0 +1,30 @@
+-- ==========================================
+-- UBICACIONES DE TRABAJO
+-- Reemplaza la lista fija AUTHORIZED_LOCATIONS de gps-validation.js
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS locations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(120) NOT NULL,
+    latitude DOUBLE NOT NULL,
+    longitude DOUBLE NOT NULL,
+    radius_meters INT NOT NULL DEFAULT 100,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Ubicaciones que antes estaban en el código
+INSERT INTO locations (id, name, latitude, longitude, radius_meters) VALUES
+    (1, 'Valle de los Ciervos', -37.371644652229655, -59.116792790280606, 100),
+    (2, 'Refugio del Valle', -37.37247355171709, -59.11563111651744, 100),
+    (3, 'Explora Tandil', -37.33880343035198, -59.131626087683635, 100);
+
+-- Los registros históricos referencian la ubicación por ID
+ALTER TABLE attendance_records
+    ADD COLUMN location_id INT NULL AFTER location_name,
+    ADD CONSTRAINT fk_attendance_location FOREIGN KEY (location_id) REFERENCES locations(id);
+
+UPDATE attendance_records a
+    JOIN locations l ON l.name = a.location_name
+    SET a.location_id = l.id;
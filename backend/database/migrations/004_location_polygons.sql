@@ -0,0 +1,8 @@
+-- ==========================================
+-- GEOCERCAS POLIGONALES
+-- Perímetro opcional por ubicación; sin polígono se usa el radio
+-- ==========================================
+
+-- Lista de vértices: [{"lat": -37.3716, "lng": -59.1167}, ...]
+ALTER TABLE locations
+    ADD COLUMN polygon JSON NULL AFTER radius_meters;
@@ -0,0 +1,8 @@
+-- ==========================================
+-- DECISIÓN DE GEOCERCA SEGÚN PRECISIÓN GPS
+-- Resultado de comparar el círculo de precisión con la geocerca
+-- ==========================================
+
+ALTER TABLE attendance_records
+    ADD COLUMN geofence_decision ENUM('INSIDE', 'OUTSIDE', 'UNCERTAIN') NULL AFTER validation_status,
+    ADD COLUMN geofence_overlap DECIMAL(4,3) NULL AFTER geofence_decision;  -- Fracción del círculo de precisión dentro de la geocerca
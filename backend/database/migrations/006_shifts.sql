@@ -0,0 +1,21 @@
+-- ==========================================
+-- TURNOS DE TRABAJO POR EMPLEADO
+-- Reemplazan el horario global WORK_DAY_START/END
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS shifts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(80) NOT NULL,
+    days_of_week VARCHAR(20) NOT NULL,          -- Días separados por coma (0 = domingo ... 6 = sábado)
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    grace_minutes INT NOT NULL DEFAULT 10,      -- Tolerancia antes/después del inicio del turno
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Empleados sin turno asignado usan el turno por defecto "Sin turno"
+ALTER TABLE employees
+    ADD COLUMN shift_id INT NULL AFTER role,
+    ADD CONSTRAINT fk_employees_shift FOREIGN KEY (shift_id) REFERENCES shifts(id);
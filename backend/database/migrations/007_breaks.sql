@@ -0,0 +1,6 @@
+-- ==========================================
+-- PAUSAS (comandos "pausa" y "regreso")
+-- ==========================================
+
+ALTER TABLE attendance_records
+    MODIFY COLUMN action_type ENUM('entrada', 'salida', 'pausa', 'regreso') NOT NULL;
@@ -0,0 +1,21 @@
+-- ==========================================
+-- ZONAS HORARIAS
+-- Las fechas se guardan en UTC y se muestran en la zona del negocio
+-- (BUSINESS_TIMEZONE) o en la propia de la ubicación
+-- ==========================================
+
+-- NULL = zona horaria del negocio
+ALTER TABLE locations
+    ADD COLUMN timezone VARCHAR(64) NULL AFTER polygon;
+
+-- Datos anteriores: el backend guardaba las columnas DATETIME en la hora local del servidor,
+-- Argentina (UTC-3, sin horario de verano). Se pasan a UTC junto con el cambio de esquema;
+-- schema_migrations garantiza que se ejecute una sola vez por base.
+-- Las columnas TIMESTAMP no cambian: MySQL ya las guarda en UTC.
+UPDATE attendance_records
+SET timestamp = timestamp + INTERVAL 3 HOUR,
+    gps_timestamp = gps_timestamp + INTERVAL 3 HOUR;
+
+UPDATE message_logs SET timestamp = timestamp + INTERVAL 3 HOUR;
+
+UPDATE whatsapp_status SET last_connected = last_connected + INTERVAL 3 HOUR;
@@ -0,0 +1,13 @@
+-- ==========================================
+-- SOLICITUDES PENDIENTES DE UBICACIÓN
+-- Reemplaza el Map en memoria de server.js (sobrevive a reinicios)
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS pending_requests (
+    whatsapp_id VARCHAR(50) PRIMARY KEY,        -- Una solicitud vigente por empleado
+    action_type ENUM('entrada', 'salida', 'pausa', 'regreso') NOT NULL,
+    created_at DATETIME NOT NULL,
+    expires_at DATETIME NOT NULL,
+    reminder_sent_at DATETIME NULL,
+    INDEX idx_pending_requests_expiry (expires_at)
+);
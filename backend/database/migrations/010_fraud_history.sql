@@ -0,0 +1,33 @@
+-- ==========================================
+-- HISTORIAL ANTI-FRAUDE
+-- Reemplaza los Map en memoria userLocationHistory y suspiciousActivityLog
+-- ==========================================
+
+-- Últimas ubicaciones recibidas por empleado (se conservan las 10 más recientes)
+CREATE TABLE IF NOT EXISTS location_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    phone_number VARCHAR(50) NOT NULL,
+    latitude DOUBLE NOT NULL,
+    longitude DOUBLE NOT NULL,
+    accuracy DOUBLE NULL,
+    recorded_at DATETIME(3) NOT NULL,           -- Hora GPS informada por WhatsApp (o de recepción)
+    INDEX idx_location_history_phone (phone_number, id)
+);
+
+-- Señales de alto riesgo detectadas en un intento de registro
+CREATE TABLE IF NOT EXISTS fraud_incidents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    phone_number VARCHAR(50) NOT NULL,
+    flags JSON NOT NULL,                        -- [{"type": "...", "severity": "HIGH", "message": "..."}]
+    created_at DATETIME NOT NULL,
+    INDEX idx_fraud_incidents_phone (phone_number, created_at)
+);
+
+-- Advertencias acumuladas y bloqueo vigente por empleado
+CREATE TABLE IF NOT EXISTS fraud_user_status (
+    phone_number VARCHAR(50) PRIMARY KEY,
+    warnings INT NOT NULL DEFAULT 0,
+    last_warning_at DATETIME NULL,
+    blocked_until DATETIME NULL,                -- NULL = no bloqueado
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
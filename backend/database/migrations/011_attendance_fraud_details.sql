@@ -0,0 +1,11 @@
+-- ==========================================
+-- DETALLE ANTI-FRAUDE POR REGISTRO
+-- Por qué se rechazó (o se marcó como sospechoso) cada registro de asistencia
+-- ==========================================
+
+ALTER TABLE attendance_records
+    ADD COLUMN fraud_risk ENUM('LOW', 'MEDIUM', 'HIGH', 'BLOCKED') NULL AFTER geofence_overlap,
+    ADD COLUMN fraud_flags JSON NULL AFTER fraud_risk,               -- [{"type": "...", "severity": "HIGH", "message": "..."}]
+    ADD COLUMN rejection_reasons JSON NULL AFTER fraud_flags,        -- Motivos mostrados al empleado (solo si se rechazó)
+    ADD COLUMN failed_step VARCHAR(20) NULL AFTER rejection_reasons, -- BLOCKED, COORDINATES, FRAUD, TIMESTAMP, GEOFENCE
+    ADD INDEX idx_attendance_fraud_risk (fraud_risk);
@@ -0,0 +1,16 @@
+-- ==========================================
+-- COLA DE REVISIÓN ANTI-FRAUDE
+-- Registros MEDIUM/HIGH/BLOCKED quedan pendientes hasta que un supervisor los revise
+-- ==========================================
+
+ALTER TABLE attendance_records
+    ADD COLUMN review_status ENUM('PENDING', 'LEGITIMATE', 'FRAUD_CONFIRMED') NULL AFTER failed_step,
+    ADD COLUMN review_comment TEXT NULL AFTER review_status,
+    ADD COLUMN reviewed_by VARCHAR(120) NULL AFTER review_comment,
+    ADD COLUMN reviewed_at DATETIME NULL AFTER reviewed_by,
+    ADD INDEX idx_attendance_review_status (review_status);
+
+-- Registros marcados antes de esta migración entran a la cola
+UPDATE attendance_records
+    SET review_status = 'PENDING'
+    WHERE fraud_risk IN ('MEDIUM', 'HIGH', 'BLOCKED');
@@ -0,0 +1,18 @@
+-- ==========================================
+-- CHECK-IN CON UBICACIÓN EN TIEMPO REAL
+-- La entrada se registra recién después de varias actualizaciones dentro de la geocerca
+-- ==========================================
+
+-- Modo de la ubicación: STATIC (una ubicación alcanza) o LIVE
+ALTER TABLE locations
+    ADD COLUMN checkin_mode ENUM('STATIC', 'LIVE') NOT NULL DEFAULT 'STATIC' AFTER timezone;
+
+-- Modo propio del empleado (NULL = el de la ubicación)
+ALTER TABLE employees
+    ADD COLUMN checkin_mode ENUM('STATIC', 'LIVE') NULL AFTER shift_id;
+
+-- Actualizaciones recibidas mientras la solicitud espera completar el recorrido
+ALTER TABLE pending_requests
+    ADD COLUMN live_started_at DATETIME(3) NULL AFTER reminder_sent_at,
+    ADD COLUMN live_location_id INT NULL AFTER live_started_at,
+    ADD COLUMN live_track JSON NULL AFTER live_location_id;
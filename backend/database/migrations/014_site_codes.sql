@@ -0,0 +1,21 @@
+-- ==========================================
+-- CÓDIGOS ROTATIVOS POR UBICACIÓN (TOTP)
+-- Segundo factor o reemplazo del GPS en sitios con mala señal
+-- ==========================================
+
+-- OFF: solo GPS | COMPLEMENT: GPS y código | REPLACE: alcanza con el código
+ALTER TABLE locations
+    ADD COLUMN code_mode ENUM('OFF', 'COMPLEMENT', 'REPLACE') NOT NULL DEFAULT 'OFF' AFTER checkin_mode,
+    ADD COLUMN code_secret VARCHAR(64) NULL AFTER code_mode;
+
+-- Código verificado al recibir el comando, mientras se espera la ubicación
+ALTER TABLE pending_requests
+    ADD COLUMN site_code JSON NULL AFTER live_track;
+
+-- Código enviado y resultado de la verificación
+-- Del secreto se guarda solo la huella (primeros 16 hex de SHA-256) para no exponerlo
+ALTER TABLE attendance_records
+    ADD COLUMN site_code VARCHAR(10) NULL AFTER failed_step,
+    ADD COLUMN site_code_result ENUM('VALID', 'INVALID', 'MISSING') NULL AFTER site_code,
+    ADD COLUMN site_code_secret_ref CHAR(16) NULL AFTER site_code_result,
+    ADD COLUMN site_code_step_offset TINYINT NULL AFTER site_code_secret_ref;
@@ -0,0 +1,27 @@
+-- ==========================================
+-- FOTO (SELFIE) EN LA ENTRADA
+-- En ubicaciones que la exigen, la entrada queda pendiente hasta recibir la foto
+-- Sin foto dentro de la ventana de la solicitud el registro queda INCOMPLETE
+-- ==========================================
+
+ALTER TABLE locations
+    ADD COLUMN requires_selfie TINYINT(1) NOT NULL DEFAULT 0 AFTER code_secret;
+
+-- PENDING_PHOTO: ubicación válida, esperando la foto | INCOMPLETE: la foto no llegó
+ALTER TABLE attendance_records
+    MODIFY COLUMN validation_status ENUM('VALID', 'INVALID', 'PENDING_PHOTO', 'INCOMPLETE') NOT NULL;
+
+-- La foto se guarda en disco; en la base queda la ruta relativa al directorio de fotos
+ALTER TABLE attendance_records
+    ADD COLUMN photo_status ENUM('PENDING', 'RECEIVED', 'MISSING') NULL AFTER site_code_step_offset,
+    ADD COLUMN photo_path VARCHAR(255) NULL AFTER photo_status,
+    ADD COLUMN photo_received_at DATETIME NULL AFTER photo_path,
+    ADD COLUMN photo_review_status ENUM('PENDING', 'APPROVED', 'REJECTED') NULL AFTER photo_received_at,
+    ADD COLUMN photo_review_comment TEXT NULL AFTER photo_review_status,
+    ADD COLUMN photo_reviewed_by VARCHAR(120) NULL AFTER photo_review_comment,
+    ADD COLUMN photo_reviewed_at DATETIME NULL AFTER photo_reviewed_by,
+    ADD INDEX idx_attendance_photo_review_status (photo_review_status);
+
+-- Registro que espera la foto del empleado
+ALTER TABLE pending_requests
+    ADD COLUMN photo_record_id INT NULL AFTER site_code;
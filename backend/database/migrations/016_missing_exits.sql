@@ -0,0 +1,33 @@
+-- ==========================================
+-- SALIDAS FALTANTES Y CIERRE AUTOMÁTICO
+-- Un proceso periódico avisa a empleados que siguen dentro pasado su turno (y a su supervisor)
+-- y, vencido el plazo, registra una salida automática que el supervisor debe confirmar
+-- ==========================================
+
+-- Supervisor responsable (NULL = supervisores del mismo departamento)
+ALTER TABLE employees
+    ADD COLUMN supervisor_id INT NULL AFTER shift_id,
+    ADD CONSTRAINT fk_employees_supervisor FOREIGN KEY (supervisor_id) REFERENCES employees(id);
+
+-- Origen del registro: el empleado por WhatsApp o el cierre automático
+ALTER TABLE attendance_records
+    ADD COLUMN source ENUM('EMPLOYEE', 'AUTO_CLOSE') NOT NULL DEFAULT 'EMPLOYEE' AFTER action_type,
+    ADD COLUMN confirmation_status ENUM('PENDING', 'CONFIRMED') NULL AFTER photo_reviewed_at,
+    ADD COLUMN confirmation_comment TEXT NULL AFTER confirmation_status,
+    ADD COLUMN confirmed_by VARCHAR(120) NULL AFTER confirmation_comment,
+    ADD COLUMN confirmed_at DATETIME NULL AFTER confirmed_by,
+    ADD INDEX idx_attendance_confirmation_status (confirmation_status);
+
+-- Avisos enviados por cada entrada sin salida (evita repetirlos en cada revisión)
+CREATE TABLE IF NOT EXISTS missing_exit_alerts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    phone_number VARCHAR(50) NOT NULL,          -- WhatsApp ID del empleado
+    entry_record_id INT NOT NULL,
+    shift_end DATETIME NOT NULL,                -- Fin del turno de la entrada (hora de la salida automática)
+    employee_notified_at DATETIME NULL,
+    supervisors_notified INT NOT NULL DEFAULT 0,
+    auto_closed_at DATETIME NULL,
+    exit_record_id INT NULL,                    -- Salida automática registrada
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_missing_exit_alerts_entry (entry_record_id)
+);
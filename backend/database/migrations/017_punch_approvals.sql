@@ -0,0 +1,26 @@
+-- ==========================================
+-- APROBACIÓN DE REGISTROS RECHAZADOS POR EL SUPERVISOR
+-- Los registros rechazados se reenvían al supervisor por WhatsApp, que responde
+-- "aprobar <id>" o "rechazar <id> <motivo>"; cada decisión queda en la auditoría
+-- ==========================================
+
+ALTER TABLE attendance_records
+    ADD COLUMN approval_status ENUM('PENDING', 'APPROVED', 'REJECTED') NULL AFTER confirmed_at,
+    ADD COLUMN approval_comment TEXT NULL AFTER approval_status,
+    ADD COLUMN approved_by VARCHAR(120) NULL AFTER approval_comment,
+    ADD COLUMN approved_at DATETIME NULL AFTER approved_by,
+    ADD INDEX idx_attendance_approval_status (approval_status);
+
+-- Auditoría de cambios sobre registros de asistencia (solo se insertan filas, nunca se modifican)
+CREATE TABLE IF NOT EXISTS attendance_audit_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    record_id INT NOT NULL,
+    action VARCHAR(40) NOT NULL,                -- APPROVED, REJECTED, ...
+    changed_by VARCHAR(120) NOT NULL,           -- Nombre de quien hizo el cambio
+    changed_by_phone VARCHAR(50) NULL,          -- WhatsApp ID si el cambio llegó por WhatsApp
+    before_data JSON NULL,                      -- Campos del registro antes del cambio
+    after_data JSON NULL,                       -- Campos del registro después del cambio
+    reason TEXT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_attendance_audit_record (record_id)
+);
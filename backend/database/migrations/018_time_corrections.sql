@@ -0,0 +1,27 @@
+-- ==========================================
+-- CORRECCIONES DE HORARIO PEDIDAS POR EL EMPLEADO
+-- "corregir salida ayer 18:30 motivo" crea una solicitud para el supervisor;
+-- al aprobarla se inserta un registro manual (sin validación GPS) enlazado a la solicitud
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS correction_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    phone_number VARCHAR(50) NOT NULL,          -- WhatsApp ID del empleado
+    employee_id INT NOT NULL,
+    action_type ENUM('entrada', 'salida', 'pausa', 'regreso') NOT NULL,
+    requested_time DATETIME NOT NULL,           -- Hora a registrar (UTC)
+    reason TEXT NOT NULL,
+    status ENUM('PENDING', 'APPROVED', 'REJECTED') NOT NULL DEFAULT 'PENDING',
+    decided_by VARCHAR(120) NULL,
+    decision_comment TEXT NULL,
+    decided_at DATETIME NULL,
+    record_id INT NULL,                         -- Registro creado al aprobarla
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_correction_requests_phone_status (phone_number, status),
+    CONSTRAINT fk_correction_requests_employee FOREIGN KEY (employee_id) REFERENCES employees(id)
+);
+
+-- CORRECTION: registro manual creado al aprobar una solicitud
+ALTER TABLE attendance_records
+    MODIFY COLUMN source ENUM('EMPLOYEE', 'AUTO_CLOSE', 'CORRECTION') NOT NULL DEFAULT 'EMPLOYEE',
+    ADD COLUMN correction_request_id INT NULL AFTER source;
@@ -0,0 +1,20 @@
+-- ==========================================
+-- EDICIÓN MANUAL DE REGISTROS DE ASISTENCIA
+-- Altas manuales, cambios de hora, anulaciones y revalidaciones desde la API de administración;
+-- cada cambio deja una fila en attendance_audit_log
+-- ==========================================
+
+-- VOID: registro anulado (no cuenta para el estado ni para las horas; se conserva para la auditoría)
+ALTER TABLE attendance_records
+    MODIFY COLUMN validation_status ENUM('VALID', 'INVALID', 'PENDING_PHOTO', 'INCOMPLETE', 'VOID') NOT NULL,
+    MODIFY COLUMN source ENUM('EMPLOYEE', 'AUTO_CLOSE', 'CORRECTION', 'MANUAL') NOT NULL DEFAULT 'EMPLOYEE',
+    ADD COLUMN voided_at DATETIME NULL AFTER approved_at,
+    ADD COLUMN voided_by VARCHAR(120) NULL AFTER voided_at,
+    ADD COLUMN void_reason TEXT NULL AFTER voided_by;
+
+-- La auditoría es inmutable: se rechaza cualquier modificación o borrado de sus filas
+CREATE TRIGGER trg_attendance_audit_log_no_update BEFORE UPDATE ON attendance_audit_log
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'attendance_audit_log es de solo inserción';
+
+CREATE TRIGGER trg_attendance_audit_log_no_delete BEFORE DELETE ON attendance_audit_log
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'attendance_audit_log es de solo inserción';
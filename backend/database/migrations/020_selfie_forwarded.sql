@@ -0,0 +1,8 @@
+-- ==========================================
+-- FOTOS REENVIADAS EN LA ENTRADA
+-- Una foto reenviada desde otro chat no es una selfie del empleado (posible registro por otra persona):
+-- se rechaza y se cuenta en el registro para que el supervisor lo vea al revisar
+-- ==========================================
+
+ALTER TABLE attendance_records
+    ADD COLUMN photo_forwarded_attempts INT NOT NULL DEFAULT 0 AFTER photo_received_at;
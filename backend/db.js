@@ -0,0 +1,110 @@
+// ==========================================
+// ACCESO A DATOS
+// Pool de conexiones MySQL compartido por todos los módulos
+// ==========================================
+
+const mysql = require('mysql2/promise');
+
+// Configuración de la base de datos
+const dbConfig = {
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'whatsapp_attendance',
+    port: process.env.DB_PORT || 3306,
+    // Fechas en UTC; se convierten a la zona horaria del negocio al mostrarlas
+    timezone: 'Z',
+    waitForConnections: true,
+    connectionLimit: parseInt(process.env.DB_POOL_SIZE, 10) || 10
+};
+
+let pool = null;
+
+/**
+ * Obtener pool de conexiones (se crea en el primer uso)
+ */
+function getPool() {
+    if (!pool) {
+        pool = mysql.createPool(dbConfig);
+
+        // Cada conexión nueva del pool trabaja en UTC (NOW(), CURRENT_TIMESTAMP)
+        pool.on('connection', connection => {
+            connection.query("SET time_zone = '+00:00'");
+        });
+    }
+    return pool;
+}
+
+/**
+ * Ejecutar consulta parametrizada
+ * Devuelve las filas en un SELECT o el resultado (insertId, affectedRows) en INSERT/UPDATE
+ */
+async function query(sql, params = []) {
+    const [rows] = await getPool().execute(sql, params);
+    return rows;
+}
+
+/**
+ * Ejecutar varias consultas en una transacción
+ * El callback recibe la conexión; si lanza un error se revierte todo
+ */
+async function withTransaction(callback) {
+    const connection = await getPool().getConnection();
+
+    try {
+        await connection.beginTransaction();
+        const result = await callback(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Leer columna JSON (mysql2 puede devolverla como texto u objeto)
+ */
+function parseJsonColumn(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Verificar que la base de datos responde
+ */
+async function checkDatabaseConnection() {
+    try {
+        await query('SELECT 1');
+        console.log('✅ Conectado a MySQL');
+        return true;
+    } catch (error) {
+        console.error('❌ Error conectando a MySQL:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Cerrar pool (al apagar el servidor o al terminar un script)
+ */
+async function closePool() {
+    if (pool) {
+        const currentPool = pool;
+        pool = null;
+        await currentPool.end();
+    }
+}
+
+module.exports = {
+    dbConfig,
+    getPool,
+    query,
+    withTransaction,
+    parseJsonColumn,
+    checkDatabaseConnection,
+    closePool
+};
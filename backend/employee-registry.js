@@ -0,0 +1,207 @@
+const { query } = require('./db');
+const { CHECKIN_MODES } = require('./location-registry');
+
+// ==========================================
+// REGISTRO DE EMPLEADOS
+// ==========================================
+
+// Roles posibles de un empleado
+const EMPLOYEE_ROLES = ['employee', 'supervisor', 'admin'];
+
+// Roles que pueden supervisar a otros empleados
+const SUPERVISOR_ROLES = ['supervisor', 'admin'];
+
+// Campos editables desde la API
+const EMPLOYEE_FIELDS = ['name', 'document_id', 'phone_number', 'department', 'role', 'checkin_mode', 'is_active'];
+
+/**
+ * Normalizar número de teléfono (acepta WhatsApp ID o número con formato)
+ */
+function normalizePhoneNumber(phoneOrWhatsappId) {
+    // "5491123456789@c.us" o "+54 9 11 2345-6789" -> "5491123456789"
+    return String(phoneOrWhatsappId || '').split('@')[0].replace(/\D/g, '');
+}
+
+/**
+ * Validar datos de un empleado antes de guardarlos
+ */
+function validateEmployeeData(data, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate || data.name !== undefined) {
+        if (!data.name || !String(data.name).trim()) {
+            errors.push('El nombre es obligatorio');
+        }
+    }
+
+    if (!isUpdate || data.document_id !== undefined) {
+        if (!data.document_id || !String(data.document_id).trim()) {
+            errors.push('El documento es obligatorio');
+        }
+    }
+
+    if (!isUpdate || data.phone_number !== undefined) {
+        if (normalizePhoneNumber(data.phone_number).length < 10) {
+            errors.push('El teléfono debe tener al menos 10 dígitos (con código de país)');
+        }
+    }
+
+    if (data.role !== undefined && !EMPLOYEE_ROLES.includes(data.role)) {
+        errors.push(`Rol inválido. Valores permitidos: ${EMPLOYEE_ROLES.join(', ')}`);
+    }
+
+    // null = usar el modo de la ubicación
+    if (data.checkin_mode !== undefined && data.checkin_mode !== null && !CHECKIN_MODES.includes(data.checkin_mode)) {
+        errors.push(`Modo de check-in inválido. Valores permitidos: ${CHECKIN_MODES.join(', ')} o null`);
+    }
+
+    return errors;
+}
+
+/**
+ * Preparar valores de un empleado para la base de datos
+ */
+function toEmployeeRow(data) {
+    const row = {};
+
+    EMPLOYEE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) {
+            row[field] = data[field];
+        }
+    });
+
+    if (row.name !== undefined) row.name = String(row.name).trim();
+    if (row.document_id !== undefined) row.document_id = String(row.document_id).trim();
+    if (row.phone_number !== undefined) row.phone_number = normalizePhoneNumber(row.phone_number);
+    if (row.department !== undefined) row.department = row.department ? String(row.department).trim() : null;
+    if (row.checkin_mode !== undefined) row.checkin_mode = row.checkin_mode || null;
+    if (row.is_active !== undefined) row.is_active = row.is_active ? 1 : 0;
+
+    return row;
+}
+
+/**
+ * Listar empleados
+ */
+async function listEmployees(includeInactive = false) {
+    return query(`SELECT * FROM employees ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY name ASC`);
+}
+
+/**
+ * Obtener empleado por ID
+ */
+async function getEmployeeById(employeeId) {
+    const rows = await query('SELECT * FROM employees WHERE id = ?', [employeeId]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Obtener empleado por número de teléfono o WhatsApp ID
+ */
+async function getEmployeeByPhone(phoneOrWhatsappId) {
+    try {
+        const rows = await query(
+            'SELECT * FROM employees WHERE phone_number = ?',
+            [normalizePhoneNumber(phoneOrWhatsappId)]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+        console.error('❌ Error obteniendo empleado:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Crear empleado
+ */
+async function createEmployee(data) {
+    const row = toEmployeeRow(data);
+    const columns = Object.keys(row);
+    const result = await query(
+        `INSERT INTO employees (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column])
+    );
+    console.log(`👤 Empleado registrado: ${row.name} (${row.phone_number})`);
+
+    return getEmployeeById(result.insertId);
+}
+
+/**
+ * Actualizar empleado (solo los campos recibidos)
+ */
+async function updateEmployee(employeeId, data) {
+    const row = toEmployeeRow(data);
+    const columns = Object.keys(row);
+
+    if (columns.length > 0) {
+        await query(
+            `UPDATE employees SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => row[column]), employeeId]
+        );
+    }
+
+    return getEmployeeById(employeeId);
+}
+
+/**
+ * Desactivar empleado (se conserva para no romper el historial de asistencia)
+ */
+async function deactivateEmployee(employeeId) {
+    return updateEmployee(employeeId, { is_active: false });
+}
+
+/**
+ * Asignar supervisor responsable a un empleado (null = supervisores del departamento)
+ */
+async function assignSupervisorToEmployee(employeeId, supervisorId) {
+    await query('UPDATE employees SET supervisor_id = ? WHERE id = ?', [supervisorId || null, employeeId]);
+    return getEmployeeById(employeeId);
+}
+
+/**
+ * Supervisores a los que se avisa por un empleado: su supervisor asignado
+ * o, si no tiene, los supervisores activos de su departamento
+ */
+async function getEmployeeSupervisors(employee) {
+    if (!employee) {
+        return [];
+    }
+
+    if (employee.supervisor_id) {
+        const supervisor = await getEmployeeById(employee.supervisor_id);
+        return supervisor && supervisor.is_active ? [supervisor] : [];
+    }
+
+    if (!employee.department) {
+        return [];
+    }
+
+    return query(`
+        SELECT * FROM employees
+        WHERE is_active = 1 AND department = ? AND id <> ? AND role IN (${SUPERVISOR_ROLES.map(() => '?').join(', ')})
+        ORDER BY name ASC
+    `, [employee.department, employee.id, ...SUPERVISOR_ROLES]);
+}
+
+/**
+ * Nombre para mostrar en mensajes y reportes
+ */
+function getEmployeeDisplayName(employee, fallback) {
+    return employee && employee.name ? employee.name : fallback;
+}
+
+module.exports = {
+    EMPLOYEE_ROLES,
+    SUPERVISOR_ROLES,
+    normalizePhoneNumber,
+    validateEmployeeData,
+    listEmployees,
+    getEmployeeById,
+    getEmployeeByPhone,
+    createEmployee,
+    updateEmployee,
+    deactivateEmployee,
+    assignSupervisorToEmployee,
+    getEmployeeSupervisors,
+    getEmployeeDisplayName
+};
@@ -0,0 +1,210 @@
+const { query, parseJsonColumn } = require('./db');
+
+// ==========================================
+// HISTORIAL ANTI-FRAUDE PERSISTENTE
+// Últimas ubicaciones, incidentes y bloqueos por empleado.
+// Se guardan en la base de datos para que un reinicio no borre un bloqueo activo.
+// ==========================================
+
+const FRAUD_HISTORY_CONFIG = {
+    MAX_HISTORY_LOCATIONS: 10,      // Ubicaciones recientes usadas en el análisis de patrones
+    RECENT_INCIDENTS_LIMIT: 20      // Incidentes devueltos por defecto en las consultas
+};
+
+/**
+ * Estado inicial de un empleado sin antecedentes
+ */
+function emptySuspiciousStatus() {
+    return {
+        warnings: 0,
+        lastWarning: null,
+        isBlocked: false,
+        blockUntil: null
+    };
+}
+
+/**
+ * Agregar ubicación al historial y devolver las últimas (de la más antigua a la más reciente)
+ */
+async function addLocationToHistory(phoneNumber, location) {
+    try {
+        await query(
+            'INSERT INTO location_history (phone_number, latitude, longitude, accuracy, recorded_at) VALUES (?, ?, ?, ?, ?)',
+            [phoneNumber, location.lat, location.lng, location.accuracy ?? null, location.recordedAt]
+        );
+
+        // Conservar solo las últimas ubicaciones del empleado
+        await query(`
+            DELETE FROM location_history
+            WHERE phone_number = ? AND id NOT IN (
+                SELECT id FROM (
+                    SELECT id FROM location_history WHERE phone_number = ? ORDER BY id DESC LIMIT ${FRAUD_HISTORY_CONFIG.MAX_HISTORY_LOCATIONS}
+                ) AS recent
+            )
+        `, [phoneNumber, phoneNumber]);
+    } catch (error) {
+        console.error('❌ Error guardando historial de ubicaciones:', error.message);
+    }
+
+    return getLocationHistory(phoneNumber);
+}
+
+/**
+ * Obtener últimas ubicaciones del empleado (de la más antigua a la más reciente)
+ */
+async function getLocationHistory(phoneNumber) {
+    try {
+        const rows = await query(
+            `SELECT * FROM location_history WHERE phone_number = ? ORDER BY id DESC LIMIT ${FRAUD_HISTORY_CONFIG.MAX_HISTORY_LOCATIONS}`,
+            [phoneNumber]
+        );
+
+        return rows.reverse().map(row => ({
+            lat: Number(row.latitude),
+            lng: Number(row.longitude),
+            accuracy: row.accuracy !== null ? Number(row.accuracy) : null,
+            timestamp: new Date(row.recorded_at).getTime()
+        }));
+    } catch (error) {
+        console.error('❌ Error obteniendo historial de ubicaciones:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Ubicaciones recientes de otros empleados dentro de un área (para detectar registros cruzados)
+ * area: { minLat, maxLat, minLng, maxLng }
+ */
+async function getOtherEmployeesLocations(phoneNumber, area, limit = 500) {
+    try {
+        const rows = await query(`
+            SELECT * FROM location_history
+            WHERE phone_number <> ? AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+            ORDER BY id DESC LIMIT ${parseInt(limit, 10)}
+        `, [phoneNumber, area.minLat, area.maxLat, area.minLng, area.maxLng]);
+
+        return rows.map(row => ({
+            phoneNumber: row.phone_number,
+            lat: Number(row.latitude),
+            lng: Number(row.longitude),
+            accuracy: row.accuracy !== null ? Number(row.accuracy) : null,
+            timestamp: new Date(row.recorded_at).getTime()
+        }));
+    } catch (error) {
+        console.error('❌ Error obteniendo ubicaciones de otros empleados:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Convertir fila de fraud_user_status al formato usado por la validación
+ */
+function toSuspiciousStatus(row) {
+    return {
+        warnings: row.warnings,
+        lastWarning: row.last_warning_at ? new Date(row.last_warning_at).getTime() : null,
+        isBlocked: !!row.blocked_until,
+        blockUntil: row.blocked_until ? new Date(row.blocked_until).getTime() : null
+    };
+}
+
+/**
+ * Obtener advertencias y bloqueo vigente del empleado
+ */
+async function getSuspiciousStatus(phoneNumber) {
+    try {
+        const rows = await query('SELECT * FROM fraud_user_status WHERE phone_number = ?', [phoneNumber]);
+        if (rows.length === 0) {
+            return emptySuspiciousStatus();
+        }
+
+        return toSuspiciousStatus(rows[0]);
+    } catch (error) {
+        console.error('❌ Error obteniendo estado anti-fraude:', error.message);
+        return emptySuspiciousStatus();
+    }
+}
+
+/**
+ * Listar empleados con bloqueo vigente (opcionalmente también los que solo tienen advertencias)
+ */
+async function listSuspiciousUsers(includeWarnings = false) {
+    const rows = await query(`
+        SELECT s.*, e.id AS employee_id, e.name AS employee_name
+        FROM fraud_user_status s
+        LEFT JOIN employees e ON e.phone_number = SUBSTRING_INDEX(s.phone_number, '@', 1)
+        WHERE s.blocked_until > ? ${includeWarnings ? 'OR s.warnings > 0' : ''}
+        ORDER BY s.blocked_until IS NULL, s.blocked_until DESC, s.warnings DESC
+    `, [new Date()]);
+
+    return rows.map(row => ({
+        phoneNumber: row.phone_number,
+        employeeId: row.employee_id,
+        employeeName: row.employee_name,
+        ...toSuspiciousStatus(row),
+        isBlocked: !!row.blocked_until && new Date(row.blocked_until).getTime() > Date.now()
+    }));
+}
+
+/**
+ * Guardar advertencias y bloqueo del empleado
+ */
+async function saveSuspiciousStatus(phoneNumber, status) {
+    try {
+        await query(`
+            INSERT INTO fraud_user_status (phone_number, warnings, last_warning_at, blocked_until)
+            VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE warnings = VALUES(warnings), last_warning_at = VALUES(last_warning_at),
+                blocked_until = VALUES(blocked_until)
+        `, [
+            phoneNumber,
+            status.warnings,
+            status.lastWarning ? new Date(status.lastWarning) : null,
+            status.isBlocked && status.blockUntil ? new Date(status.blockUntil) : null
+        ]);
+    } catch (error) {
+        console.error('❌ Error guardando estado anti-fraude:', error.message);
+    }
+}
+
+/**
+ * Registrar incidente con las señales sospechosas detectadas
+ */
+async function addFraudIncident(phoneNumber, flags) {
+    try {
+        await query(
+            'INSERT INTO fraud_incidents (phone_number, flags, created_at) VALUES (?, ?, ?)',
+            [phoneNumber, JSON.stringify(flags), new Date()]
+        );
+    } catch (error) {
+        console.error('❌ Error registrando incidente anti-fraude:', error.message);
+    }
+}
+
+/**
+ * Obtener incidentes recientes del empleado (del más reciente al más antiguo)
+ */
+async function getFraudIncidents(phoneNumber, limit = FRAUD_HISTORY_CONFIG.RECENT_INCIDENTS_LIMIT) {
+    const rows = await query(
+        `SELECT * FROM fraud_incidents WHERE phone_number = ? ORDER BY created_at DESC, id DESC LIMIT ${parseInt(limit, 10)}`,
+        [phoneNumber]
+    );
+
+    return rows.map(row => ({
+        id: row.id,
+        timestamp: new Date(row.created_at).getTime(),
+        flags: parseJsonColumn(row.flags)
+    }));
+}
+
+module.exports = {
+    FRAUD_HISTORY_CONFIG,
+    addLocationToHistory,
+    getLocationHistory,
+    getOtherEmployeesLocations,
+    getSuspiciousStatus,
+    saveSuspiciousStatus,
+    listSuspiciousUsers,
+    addFraudIncident,
+    getFraudIncidents
+};
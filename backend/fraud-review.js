@@ -0,0 +1,184 @@
+const { query, parseJsonColumn } = require('./db');
+const { ADVANCED_FRAUD_CONFIG, COLLUSION_RULE_IDS } = require('./gps-validation');
+const {
+    getLocationHistory,
+    getSuspiciousStatus,
+    saveSuspiciousStatus,
+    getFraudIncidents
+} = require('./fraud-history');
+const { getEmployeeByPhone } = require('./employee-registry');
+
+// ==========================================
+// COLA DE REVISIÓN ANTI-FRAUDE
+// Supervisores revisan los registros marcados como sospechosos
+// ==========================================
+
+// Niveles de riesgo que entran a la cola de revisión
+const REVIEWABLE_FRAUD_RISKS = ['MEDIUM', 'HIGH', 'BLOCKED'];
+
+// Estados de revisión (PENDING = sin revisar)
+const REVIEW_STATUSES = ['PENDING', 'LEGITIMATE', 'FRAUD_CONFIRMED'];
+
+// Decisiones que puede tomar un supervisor
+const REVIEW_DECISIONS = ['LEGITIMATE', 'FRAUD_CONFIRMED'];
+
+const REVIEW_QUERY = `
+    SELECT a.*, COALESCE(l.name, a.location_name) AS location_name, e.id AS employee_id, e.name AS employee_name,
+        (SELECT COUNT(*) FROM fraud_incidents i WHERE i.phone_number = a.phone_number) AS incident_count
+    FROM attendance_records a
+    LEFT JOIN locations l ON l.id = a.location_id
+    LEFT JOIN employees e ON e.phone_number = SUBSTRING_INDEX(a.phone_number, '@', 1)
+`;
+
+/**
+ * Convertir fila de la base de datos a elemento de la cola
+ */
+function toReviewItem(row) {
+    return {
+        ...row,
+        fraud_flags: parseJsonColumn(row.fraud_flags) || [],
+        rejection_reasons: parseJsonColumn(row.rejection_reasons) || [],
+        incident_count: Number(row.incident_count)
+    };
+}
+
+/**
+ * Validar decisión de revisión
+ */
+function validateReviewData(data) {
+    const errors = [];
+
+    if (!REVIEW_DECISIONS.includes(data.decision)) {
+        errors.push(`Decisión inválida. Valores permitidos: ${REVIEW_DECISIONS.join(', ')}`);
+    }
+
+    if (!data.comment || !String(data.comment).trim()) {
+        errors.push('El comentario es obligatorio');
+    }
+
+    return errors;
+}
+
+/**
+ * Listar registros marcados (por defecto solo los pendientes de revisión)
+ */
+async function listReviewQueue(status = 'PENDING', limit = 50) {
+    const params = [];
+    let where = `WHERE a.fraud_risk IN (${REVIEWABLE_FRAUD_RISKS.map(() => '?').join(', ')})`;
+    params.push(...REVIEWABLE_FRAUD_RISKS);
+
+    if (status && status !== 'ALL') {
+        where += ' AND a.review_status = ?';
+        params.push(status);
+    }
+
+    const rows = await query(
+        `${REVIEW_QUERY} ${where} ORDER BY a.timestamp DESC LIMIT ${parseInt(limit, 10) || 50}`,
+        params
+    );
+
+    return rows.map(toReviewItem);
+}
+
+/**
+ * Incidentes de registros cruzados del empleado, con el nombre de los otros empleados involucrados
+ */
+async function getCollusionIncidents(phoneNumber) {
+    const incidents = (await getFraudIncidents(phoneNumber))
+        .filter(incident => incident.flags.some(flag => COLLUSION_RULE_IDS.includes(flag.type)));
+
+    const names = new Map();
+    for (const incident of incidents) {
+        for (const flag of incident.flags) {
+            for (const employee of (flag.details && flag.details.employees) || []) {
+                if (!names.has(employee.phoneNumber)) {
+                    const registered = await getEmployeeByPhone(employee.phoneNumber);
+                    names.set(employee.phoneNumber, registered ? registered.name : null);
+                }
+                employee.employeeName = names.get(employee.phoneNumber);
+            }
+        }
+    }
+
+    return incidents;
+}
+
+/**
+ * Obtener un registro marcado con el historial de ubicaciones, el estado anti-fraude
+ * y las coincidencias con otros empleados
+ */
+async function getReviewItem(recordId) {
+    const rows = await query(`${REVIEW_QUERY} WHERE a.id = ?`, [recordId]);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const item = toReviewItem(rows[0]);
+    item.location_history = await getLocationHistory(item.phone_number);
+    item.suspicious_status = await getSuspiciousStatus(item.phone_number);
+    item.collusion_incidents = await getCollusionIncidents(item.phone_number);
+
+    return item;
+}
+
+/**
+ * Advertencias que sumó el registro al empleado (señales HIGH, solo si se evaluó como HIGH o bloqueó)
+ */
+function countRecordWarnings(item) {
+    if (item.fraud_risk !== 'HIGH' && item.fraud_risk !== 'BLOCKED') {
+        return 0;
+    }
+    return item.fraud_flags.filter(flag => flag.severity === 'HIGH').length;
+}
+
+/**
+ * Registrar decisión del supervisor
+ */
+async function reviewRecord(recordId, data) {
+    const item = await getReviewItem(recordId);
+    if (!item) {
+        return null;
+    }
+
+    if (!REVIEWABLE_FRAUD_RISKS.includes(item.fraud_risk)) {
+        throw new Error('El registro no está marcado como sospechoso');
+    }
+
+    await query(
+        'UPDATE attendance_records SET review_status = ?, review_comment = ?, reviewed_by = ?, reviewed_at = ? WHERE id = ?',
+        [data.decision, String(data.comment).trim(), data.reviewed_by || null, new Date(), recordId]
+    );
+
+    // Confirmar como legítimo descuenta las advertencias; revertir esa decisión las devuelve
+    const warningsDelta = countRecordWarnings(item);
+    const wasLegitimate = item.review_status === 'LEGITIMATE';
+    const isLegitimate = data.decision === 'LEGITIMATE';
+
+    if (warningsDelta > 0 && wasLegitimate !== isLegitimate) {
+        const status = await getSuspiciousStatus(item.phone_number);
+        status.warnings = Math.max(0, status.warnings + (isLegitimate ? -warningsDelta : warningsDelta));
+
+        // Si el bloqueo se debía a estas advertencias, se levanta
+        if (status.isBlocked && status.warnings < ADVANCED_FRAUD_CONFIG.MAX_WARNINGS_PER_USER) {
+            status.isBlocked = false;
+            status.blockUntil = null;
+        }
+
+        await saveSuspiciousStatus(item.phone_number, status);
+        console.log(`🔎 Registro ${recordId} revisado: ${data.decision} (${isLegitimate ? '-' : '+'}${warningsDelta} advertencias para ${item.phone_number})`);
+    } else {
+        console.log(`🔎 Registro ${recordId} revisado: ${data.decision}`);
+    }
+
+    return getReviewItem(recordId);
+}
+
+module.exports = {
+    REVIEWABLE_FRAUD_RISKS,
+    REVIEW_STATUSES,
+    REVIEW_DECISIONS,
+    validateReviewData,
+    listReviewQueue,
+    getReviewItem,
+    reviewRecord
+};
@@ -0,0 +1,156 @@
+// ==========================================
+// MOTOR DE PUNTAJE ANTI-FRAUDE
+// Cada detector es una regla registrada con peso, habilitación y umbrales propios.
+// La suma de los pesos de las reglas que se activan define el nivel de riesgo.
+// Las reglas de ubicación se registran en gps-validation.js
+// ==========================================
+
+// Puntos por defecto según la severidad de la señal
+const SEVERITY_WEIGHTS = {
+    HIGH: 50,
+    MEDIUM: 15,
+    LOW: 2
+};
+
+// Bandas de decisión sobre el puntaje total
+// Con los pesos y reglas por defecto se reproduce el criterio anterior:
+// 2 señales HIGH rechazan; 1 HIGH o 2 MEDIUM pasan a revisión; 1 MEDIUM (con o sin LOW) no.
+// Vale mientras haya como mucho 3 reglas MEDIUM y 1 LOW: 1 HIGH + 3 MEDIUM + 1 LOW = 97 no llega a rechazar
+const FRAUD_SCORING_CONFIG = {
+    REVIEW_SCORE: parseInt(process.env.FRAUD_REVIEW_SCORE, 10) || 20,    // Desde aquí: riesgo MEDIUM (se acepta y queda en revisión)
+    REJECT_SCORE: parseInt(process.env.FRAUD_REJECT_SCORE, 10) || 100    // Desde aquí: riesgo HIGH (se rechaza)
+};
+
+// Reglas registradas, en orden de evaluación
+const fraudRules = new Map();
+
+/**
+ * Registrar regla anti-fraude
+ * detect(context, params) devuelve el mensaje de la señal o null si no se activa
+ * (o { message, details } cuando la señal tiene datos para la revisión, ej: empleados involucrados)
+ * rejects: true rechaza el registro al activarse, sin importar el puntaje
+ * Un peso negativo resta puntos (señal de confianza) y no se reporta como sospechosa
+ */
+function registerFraudRule(rule) {
+    if (!rule.id || typeof rule.detect !== 'function') {
+        throw new Error('La regla anti-fraude necesita id y detect()');
+    }
+
+    fraudRules.set(rule.id, {
+        enabled: true,
+        severity: 'MEDIUM',
+        rejects: false,
+        params: {},
+        ...rule,
+        weight: rule.weight !== undefined ? rule.weight : SEVERITY_WEIGHTS[rule.severity || 'MEDIUM']
+    });
+}
+
+/**
+ * Cambiar peso, habilitación o umbrales de una regla registrada
+ */
+function configureFraudRule(ruleId, changes) {
+    const rule = fraudRules.get(ruleId);
+    if (!rule) {
+        throw new Error(`Regla anti-fraude desconocida: ${ruleId}`);
+    }
+
+    if (changes.enabled !== undefined) rule.enabled = !!changes.enabled;
+    if (changes.weight !== undefined) rule.weight = Number(changes.weight);
+    if (changes.rejects !== undefined) rule.rejects = !!changes.rejects;
+    if (changes.params) rule.params = { ...rule.params, ...changes.params };
+
+    return rule;
+}
+
+/**
+ * Listar reglas con su configuración actual
+ */
+function getFraudRules() {
+    return Array.from(fraudRules.values()).map(({ detect, ...config }) => config);
+}
+
+/**
+ * Nivel de riesgo según el puntaje total
+ */
+function getRiskForScore(score) {
+    if (score >= FRAUD_SCORING_CONFIG.REJECT_SCORE) return 'HIGH';
+    if (score >= FRAUD_SCORING_CONFIG.REVIEW_SCORE) return 'MEDIUM';
+    return 'LOW';
+}
+
+/**
+ * Evaluar todas las reglas habilitadas (o solo las indicadas en ruleIds)
+ * context: { lat, lng, accuracy, timestamp, history, storedHistory, otherEmployeesLocations, message }
+ */
+function evaluateFraudRules(context, ruleIds = null) {
+    const breakdown = [];
+    const flags = [];
+    const rejectedBy = [];
+    let score = 0;
+
+    for (const rule of fraudRules.values()) {
+        if (ruleIds && !ruleIds.includes(rule.id)) {
+            continue;
+        }
+        if (!rule.enabled) {
+            breakdown.push({ rule: rule.id, enabled: false, triggered: false, weight: rule.weight, points: 0 });
+            continue;
+        }
+
+        const detection = rule.detect(context, rule.params);
+        const message = detection && typeof detection === 'object' ? detection.message : detection;
+        const points = message ? rule.weight : 0;
+        score += points;
+
+        breakdown.push({ rule: rule.id, enabled: true, triggered: !!message, weight: rule.weight, points: points });
+        if (message && rule.rejects) {
+            rejectedBy.push(rule.id);
+        }
+        if (message && rule.weight >= 0) {
+            flags.push({
+                type: rule.id,
+                severity: rule.severity,
+                weight: rule.weight,
+                message: message,
+                ...(detection && detection.details && { details: detection.details })
+            });
+        }
+    }
+
+    score = Math.max(0, score);
+
+    return {
+        score: score,
+        risk: rejectedBy.length > 0 ? 'HIGH' : getRiskForScore(score),
+        flags: flags,
+        rejectedBy: rejectedBy,
+        breakdown: breakdown
+    };
+}
+
+/**
+ * Aplicar ajustes de reglas desde el entorno (una vez registradas las reglas)
+ * p. ej. FRAUD_RULE_OVERRIDES='{"ABNORMAL_ACCURACY":{"enabled":false},"IMPOSSIBLE_SPEED":{"params":{"maxSpeedKmH":150}}}'
+ */
+function applyFraudRuleOverrides(overridesJson = process.env.FRAUD_RULE_OVERRIDES) {
+    if (!overridesJson) return;
+
+    try {
+        const overrides = JSON.parse(overridesJson);
+        Object.entries(overrides).forEach(([ruleId, changes]) => configureFraudRule(ruleId, changes));
+    } catch (error) {
+        console.error('❌ FRAUD_RULE_OVERRIDES inválido:', error.message);
+    }
+}
+
+module.exports = {
+    SEVERITY_WEIGHTS,
+    FRAUD_SCORING_CONFIG,
+    registerFraudRule,
+    configureFraudRule,
+    getFraudRules,
+    getRiskForScore,
+    evaluateFraudRules,
+    applyFraudRuleOverrides
+};
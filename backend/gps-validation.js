@@ -1,66 +1,33 @@
-const mysql = require('mysql2/promise');
-
-// Configuración de la base de datos
-const dbConfig = {
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'whatsapp_attendance',
-    port: process.env.DB_PORT || 3306
-};
-
-// Función para conectar a la base de datos
-async function connectToDatabase() {
-    try {
-        const connection = await mysql.createConnection(dbConfig);
-        console.log('✅ Conectado a MySQL');
-        return connection;
-    } catch (error) {
-        console.error('❌ Error conectando a MySQL:', error.message);
-        return null;
-    }
-}
+const { query } = require('./db');
+const { getAuthorizedLocations } = require('./location-registry');
+const { getActionLabel } = require('./attendance-state-control');
+const { formatTime, formatDate } = require('./time-utils');
+const {
+    addLocationToHistory,
+    getLocationHistory,
+    getOtherEmployeesLocations,
+    getSuspiciousStatus,
+    saveSuspiciousStatus,
+    addFraudIncident,
+    getFraudIncidents
+} = require('./fraud-history');
+const {
+    registerFraudRule,
+    evaluateFraudRules,
+    applyFraudRuleOverrides,
+    FRAUD_SCORING_CONFIG
+} = require('./fraud-scoring');
 
 // ==========================================
 // PUNTOS DE ACCESO Y CONFIGURACIÓN
 // ==========================================
 
-// Puntos de acceso autorizados
-const AUTHORIZED_LOCATIONS = [
-    {
-        id: 1,
-        name: 'Valle de los Ciervos',
-        lat: -37.371644652229655,
-        lng: -59.116792790280606,
-        radius: 100 // metros
-    },
-    {
-        id: 2,
-        name: 'Refugio del Valle',
-        lat: -37.37247355171709,
-        lng: -59.11563111651744,
-        radius: 100
-    },
-    {
-        id: 3,
-        name: 'Explora Tandil',
-        lat: -37.33880343035198,
-        lng: -59.131626087683635,
-        radius: 100
-    },
-    {
-        id: 4,
-        name: 'Oficina de Desarrollo (Testing)',
-        lat: -34.689821911341554,
-        lng: -58.61410910531587,
-        radius: 100
-    }
-];
-
 // Configuración de validación básica
 const GPS_CONFIG = {
     MAX_AGE_MINUTES: 2,           
-    MIN_ACCURACY: 50,             
+    // WhatsApp no informa la precisión (el Location de whatsapp-web.js no trae ese dato): sin ella
+    // se decide solo si el punto está dentro de la geocerca y nunca hay resultado "incierto"
+    MIN_GEOFENCE_OVERLAP: 0.8,      // Fracción del círculo de precisión dentro de la geocerca para aceptar
     MAX_RADIUS: 100,              
     MIN_TIME_BETWEEN_SAME_LOCATION: 30,
     SUSPICIOUS_PRECISION_THRESHOLD: 0.0000001
@@ -70,30 +37,32 @@ const GPS_CONFIG = {
 // SISTEMA ANTI-FRAUDE AVANZADO
 // ==========================================
 
-// Cache para análisis de patrones por usuario
-const userLocationHistory = new Map();
-const suspiciousActivityLog = new Map();
+// El historial de ubicaciones, incidentes y bloqueos se guarda en la base de datos (fraud-history.js)
 
 // Configuración avanzada anti-fraude
+// (pesos y umbrales de cada detector: reglas registradas más abajo, ver fraud-scoring.js)
 const ADVANCED_FRAUD_CONFIG = {
-    // Detección de coordenadas "perfectas"
-    MAX_IDENTICAL_LOCATIONS: 3,           
-    MIN_GPS_VARIATION: 0.00001,           
-    SUSPICIOUS_PRECISION_DIGITS: 10,      
-    
     // Análisis temporal
     MIN_TIME_BETWEEN_REQUESTS: 30,        
-    MAX_SPEED_BETWEEN_LOCATIONS: 100,     
-    
-    // Metadata de WhatsApp
-    EXPECTED_ACCURACY_RANGE: [5, 100],    
-    SUSPICIOUS_ACCURACY_VALUES: [1, 2, 3], 
     
     // Patrones sospechosos
     MAX_WARNINGS_PER_USER: 5,             
     BLOCK_DURATION_MINUTES: 30            
 };
 
+// Detección de registros cruzados entre empleados (una persona registrando por varias)
+// Los umbrales de coincidencia son parámetros de las reglas SHARED_LOCATION y SHARED_LOCATION_PATTERN
+const COLLUSION_CONFIG = {
+    SEARCH_MARGIN_METERS: 50,      // Margen alrededor del historial propio para buscar ubicaciones ajenas
+    MAX_CANDIDATES: 500            // Ubicaciones ajenas analizadas como máximo
+};
+
+// Reglas que comparan al empleado con otros (sus incidentes se registran en ambos)
+const COLLUSION_RULE_IDS = ['SHARED_LOCATION', 'SHARED_LOCATION_PATTERN'];
+
+// Reglas que solo miran el mensaje de WhatsApp (se aplican a cada actualización del check-in en tiempo real)
+const MESSAGE_RULE_IDS = ['FORWARDED_LOCATION', 'NAMED_PLACE'];
+
 // ==========================================
 // FUNCIONES DE VALIDACIÓN BÁSICA
 // ==========================================
@@ -115,39 +84,161 @@ function calculateDistance(lat1, lng1, lat2, lng2) {
 }
 
 /**
- * Validar si la ubicación está dentro de un punto autorizado
+ * Proyectar coordenadas a metros (plano local centrado en el punto de referencia)
+ */
+function projectToMeters(lat, lng, originLat, originLng) {
+    const metersPerDegreeLat = 111320;
+    const metersPerDegreeLng = 111320 * Math.cos(originLat * Math.PI / 180);
+    return {
+        x: (lng - originLng) * metersPerDegreeLng,
+        y: (lat - originLat) * metersPerDegreeLat
+    };
+}
+
+/**
+ * Verificar si un punto está dentro de un polígono (ray casting)
  */
-function isLocationAuthorized(userLat, userLng) {
-    for (const location of AUTHORIZED_LOCATIONS) {
-        const distance = calculateDistance(userLat, userLng, location.lat, location.lng);
+function isPointInPolygon(lat, lng, polygon) {
+    let inside = false;
+    
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const vi = polygon[i];
+        const vj = polygon[j];
         
-        if (distance <= location.radius) {
-            return {
-                isValid: true,
-                location: location,
-                distance: distance,
-                message: `Ubicación válida: ${location.name} (${distance}m del punto autorizado)`
-            };
+        const crosses = (vi.lat > lat) !== (vj.lat > lat) &&
+            lng < (vj.lng - vi.lng) * (lat - vi.lat) / (vj.lat - vi.lat) + vi.lng;
+        if (crosses) {
+            inside = !inside;
         }
     }
     
-    // Encontrar la ubicación más cercana para el mensaje de error
-    let closestLocation = null;
+    return inside;
+}
+
+/**
+ * Calcular distancia en metros desde un punto al borde más cercano del polígono
+ */
+function calculateDistanceToPolygonEdge(lat, lng, polygon) {
+    // El punto queda en el origen del plano local
+    const vertices = polygon.map(vertex => projectToMeters(vertex.lat, vertex.lng, lat, lng));
     let minDistance = Infinity;
     
-    for (const location of AUTHORIZED_LOCATIONS) {
-        const distance = calculateDistance(userLat, userLng, location.lat, location.lng);
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const a = vertices[j];
+        const b = vertices[i];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        
+        // Proyección del origen sobre el segmento, limitada a sus extremos
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+        const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+        
         if (distance < minDistance) {
             minDistance = distance;
-            closestLocation = location;
         }
     }
     
+    return Math.round(minDistance);
+}
+
+/**
+ * Evaluar un punto contra la geocerca de una ubicación (polígono o, si no tiene, radio)
+ */
+function evaluateGeofence(userLat, userLng, location) {
+    const distance = calculateDistance(userLat, userLng, location.lat, location.lng);
+    
+    if (location.polygon && location.polygon.length >= 3) {
+        const inside = isPointInPolygon(userLat, userLng, location.polygon);
+        const edgeDistance = calculateDistanceToPolygonEdge(userLat, userLng, location.polygon);
+        
+        return {
+            type: 'POLYGON',
+            inside: inside,
+            distance: distance,
+            // Positivo fuera de la geocerca, negativo dentro
+            boundaryDistance: inside ? -edgeDistance : edgeDistance
+        };
+    }
+    
+    return {
+        type: 'CIRCLE',
+        inside: distance <= location.radius,
+        distance: distance,
+        boundaryDistance: distance - location.radius
+    };
+}
+
+/**
+ * Validar si la ubicación está dentro de un punto autorizado
+ */
+function isLocationAuthorized(userLat, userLng, authorizedLocations, accuracy) {
+    if (authorizedLocations.length === 0) {
+        return {
+            isValid: false,
+            decision: 'OUTSIDE',
+            distance: null,
+            closestLocation: null,
+            message: '❌ No hay ubicaciones autorizadas configuradas. Contacta a tu supervisor.'
+        };
+    }
+    
+    const evaluations = authorizedLocations.map(location => {
+        const geofence = evaluateGeofence(userLat, userLng, location);
+        return {
+            location: location,
+            geofence: geofence,
+            ...decideGeofence(geofence, accuracy)
+        };
+    });
+    
+    const match = evaluations.find(evaluation => evaluation.decision === 'INSIDE');
+    if (match) {
+        const { location, geofence } = match;
+        return {
+            isValid: true,
+            decision: 'INSIDE',
+            overlap: match.overlap,
+            location: location,
+            distance: geofence.distance,
+            geofence: geofence,
+            message: geofence.type === 'POLYGON'
+                ? `Ubicación válida: ${location.name} (dentro del perímetro, a ${-geofence.boundaryDistance}m del borde)`
+                : `Ubicación válida: ${location.name} (${geofence.distance}m del punto autorizado)`
+        };
+    }
+    
+    // La geocerca con mayor superposición (o la más cercana) define el mensaje
+    const closest = evaluations.reduce((best, evaluation) => {
+        if (evaluation.overlap !== best.overlap) {
+            return evaluation.overlap > best.overlap ? evaluation : best;
+        }
+        return evaluation.geofence.boundaryDistance < best.geofence.boundaryDistance ? evaluation : best;
+    });
+    const { location: closestLocation, geofence } = closest;
+    
+    if (closest.decision === 'UNCERTAIN') {
+        return {
+            isValid: false,
+            decision: 'UNCERTAIN',
+            overlap: closest.overlap,
+            distance: geofence.distance,
+            closestLocation: closestLocation,
+            geofence: geofence,
+            message: `📡 Ubicación incierta: con una precisión de ${closest.accuracyUsed}m no se puede confirmar que estés dentro de ${closestLocation.name} (${Math.round(closest.overlap * 100)}% dentro). Reenvía tu ubicación con mejor señal GPS.`
+        };
+    }
+    
     return {
         isValid: false,
-        distance: minDistance,
+        decision: 'OUTSIDE',
+        overlap: 0,
+        distance: geofence.distance,
         closestLocation: closestLocation,
-        message: `❌ Ubicación NO autorizada. Estás a ${minDistance}m de ${closestLocation.name}. Debes estar dentro de ${closestLocation.radius}m.`
+        geofence: geofence,
+        message: geofence.type === 'POLYGON'
+            ? `❌ Ubicación NO autorizada. Estás a ${geofence.boundaryDistance}m fuera del perímetro de ${closestLocation.name}.`
+            : `❌ Ubicación NO autorizada. Estás a ${geofence.distance}m de ${closestLocation.name}. Debes estar dentro de ${closestLocation.radius}m.`
     };
 }
 
@@ -174,19 +265,48 @@ function isLocationTimestampValid(timestamp) {
 }
 
 /**
- * Validar precisión GPS
+ * Calcular qué fracción del círculo de precisión cae dentro de la geocerca
+ * (el borde se aproxima como una recta a la distancia indicada del centro)
+ */
+function calculateAccuracyOverlap(boundaryDistance, accuracy) {
+    if (boundaryDistance <= -accuracy) return 1;
+    if (boundaryDistance >= accuracy) return 0;
+    
+    // Área del segmento circular que queda del otro lado del borde
+    const a = Math.abs(boundaryDistance);
+    const segmentArea = accuracy * accuracy * Math.acos(a / accuracy) - a * Math.sqrt(accuracy * accuracy - a * a);
+    const segmentFraction = segmentArea / (Math.PI * accuracy * accuracy);
+    
+    return boundaryDistance < 0 ? 1 - segmentFraction : segmentFraction;
+}
+
+/**
+ * Decidir la geocerca considerando el círculo de incertidumbre del GPS
+ * INSIDE: el círculo queda dentro | OUTSIDE: queda totalmente fuera | UNCERTAIN: se superpone con el borde
+ * Sin precisión informada (siempre en WhatsApp) se decide con el punto: reenviar no cambiaría el resultado
  */
-function isLocationAccuracyValid(accuracy) {
-    if (!accuracy || accuracy > GPS_CONFIG.MIN_ACCURACY) {
+function decideGeofence(geofence, accuracy) {
+    if (!(accuracy > 0)) {
         return {
-            isValid: false,
-            message: `❌ Precisión GPS insuficiente (${accuracy || 'desconocida'}m). Necesitas precisión menor a ${GPS_CONFIG.MIN_ACCURACY}m. Intenta desde un lugar con mejor señal GPS.`
+            decision: geofence.inside ? 'INSIDE' : 'OUTSIDE',
+            overlap: geofence.inside ? 1 : 0,
+            accuracyUsed: null
         };
     }
     
+    const overlap = calculateAccuracyOverlap(geofence.boundaryDistance, accuracy);
+    
+    let decision = 'UNCERTAIN';
+    if (overlap >= GPS_CONFIG.MIN_GEOFENCE_OVERLAP) {
+        decision = 'INSIDE';
+    } else if (overlap === 0) {
+        decision = 'OUTSIDE';
+    }
+    
     return {
-        isValid: true,
-        message: `✅ Precisión GPS adecuada (${accuracy}m)`
+        decision: decision,
+        overlap: Math.round(overlap * 1000) / 1000,
+        accuracyUsed: accuracy
     };
 }
 
@@ -213,12 +333,16 @@ async function validateGPSLocation(locationData, phoneNumber) {
         reasons: [],
         location: null,
         distance: null,
+        geofenceDecision: null, // INSIDE, OUTSIDE, UNCERTAIN
+        geofenceOverlap: null,
+        failedStep: null, // COORDINATES, TIMESTAMP, GEOFENCE
         warnings: []
     };
     
     // 1. Validar coordenadas básicas
     if (!userLat || !userLng) {
         validationResults.reasons.push('❌ Coordenadas GPS faltantes');
+        validationResults.failedStep = 'COORDINATES';
         return validationResults;
     }
     
@@ -227,27 +351,21 @@ async function validateGPSLocation(locationData, phoneNumber) {
         const timestampValidation = isLocationTimestampValid(timestamp);
         if (!timestampValidation.isValid) {
             validationResults.reasons.push(timestampValidation.message);
+            validationResults.failedStep = 'TIMESTAMP';
             return validationResults;
         } else {
             validationResults.warnings.push(timestampValidation.message);
         }
     }
     
-    // 3. Validar precisión GPS
-    if (accuracy !== undefined) {
-        const accuracyValidation = isLocationAccuracyValid(accuracy);
-        if (!accuracyValidation.isValid) {
-            validationResults.reasons.push(accuracyValidation.message);
-            return validationResults;
-        } else {
-            validationResults.warnings.push(accuracyValidation.message);
-        }
-    }
-    
-    // 4. Validar autorización del lugar
-    const locationValidation = isLocationAuthorized(userLat, userLng);
+    // 3. Validar autorización del lugar considerando la precisión GPS
+    const authorizedLocations = await getAuthorizedLocations();
+    const locationValidation = isLocationAuthorized(userLat, userLng, authorizedLocations, accuracy);
+    validationResults.geofenceDecision = locationValidation.decision;
+    validationResults.geofenceOverlap = locationValidation.overlap;
     if (!locationValidation.isValid) {
         validationResults.reasons.push(locationValidation.message);
+        validationResults.failedStep = 'GEOFENCE';
         validationResults.distance = locationValidation.distance;
         validationResults.closestLocation = locationValidation.closestLocation;
         return validationResults;
@@ -266,202 +384,308 @@ async function validateGPSLocation(locationData, phoneNumber) {
 // FUNCIONES ANTI-FRAUDE AVANZADAS
 // ==========================================
 
-/**
- * Analizar historial de ubicaciones del usuario
- */
-function analyzeLocationHistory(phoneNumber, currentLat, currentLng, timestamp) {
-    if (!userLocationHistory.has(phoneNumber)) {
-        userLocationHistory.set(phoneNumber, []);
+// ==========================================
+// REGLAS ANTI-FRAUDE (motor de puntaje en fraud-scoring.js)
+// context: { lat, lng, accuracy, timestamp, history }
+// ==========================================
+
+// Coordenadas: demasiados ceros consecutivos
+registerFraudRule({
+    id: 'PERFECT_COORDINATES',
+    severity: 'HIGH',
+    detect: ({ lat, lng }) => {
+        const zeros = /0{3,}/;
+        return zeros.test(lat.toString()) || zeros.test(lng.toString())
+            ? '🎯 Coordenadas con patrones sospechosos (demasiados ceros)'
+            : null;
     }
-    
-    const history = userLocationHistory.get(phoneNumber);
-    const suspiciousFlags = [];
-    
-    // Agregar ubicación actual al historial
-    history.push({
-        lat: currentLat,
-        lng: currentLng,
-        timestamp: timestamp || Date.now(),
-        accuracy: null
-    });
-    
-    // Mantener solo últimas 10 ubicaciones
-    if (history.length > 10) {
-        history.shift();
+});
+
+// Coordenadas: precisión excesiva (más decimales de los que entrega un GPS real)
+registerFraudRule({
+    id: 'EXCESSIVE_PRECISION',
+    severity: 'MEDIUM',
+    params: { maxDecimals: 10 },
+    detect: ({ lat, lng }, { maxDecimals }) => {
+        const latDecimals = (lat.toString().split('.')[1] || '').length;
+        const lngDecimals = (lng.toString().split('.')[1] || '').length;
+        return latDecimals > maxDecimals || lngDecimals > maxDecimals
+            ? '🔬 Precisión GPS anormalmente alta (posible coordenada buscada)'
+            : null;
     }
-    
-    // ANÁLISIS 1: Ubicaciones idénticas consecutivas
-    if (history.length >= 2) {
-        let identicalCount = 0;
-        const lastLocation = history[history.length - 1];
+});
+
+// Coordenadas: terminan en .000000
+registerFraudRule({
+    id: 'ROUNDED_COORDINATES',
+    severity: 'HIGH',
+    detect: ({ lat, lng }) => lat.toString().endsWith('.000000') || lng.toString().endsWith('.000000')
+        ? '📍 Coordenadas redondeadas detectadas (ubicación buscada)'
+        : null
+});
+
+// Metadata: precisión sospechosamente perfecta
+registerFraudRule({
+    id: 'SUSPICIOUS_ACCURACY',
+    severity: 'MEDIUM',
+    params: { values: [1, 2, 3] },
+    detect: ({ accuracy }, { values }) => accuracy && values.includes(Math.floor(accuracy))
+        ? `📡 Precisión GPS sospechosa: ${accuracy}m (valor poco común)`
+        : null
+});
+
+// Metadata: sin timestamp (una ubicación buscada no tiene timestamp real)
+registerFraudRule({
+    id: 'MISSING_TIMESTAMP',
+    severity: 'HIGH',
+    detect: ({ timestamp }) => !timestamp
+        ? '⏰ Falta timestamp GPS (posible ubicación buscada)'
+        : null
+});
+
+// Metadata: precisión fuera de rango normal
+registerFraudRule({
+    id: 'ABNORMAL_ACCURACY',
+    severity: 'LOW',
+    params: { range: [5, 100] },
+    detect: ({ accuracy }, { range }) => accuracy && (accuracy < range[0] || accuracy > range[1])
+        ? `📊 Precisión GPS fuera de rango normal: ${accuracy}m`
+        : null
+});
+
+// Historial: ubicaciones idénticas consecutivas
+registerFraudRule({
+    id: 'IDENTICAL_LOCATIONS',
+    severity: 'HIGH',
+    params: { maxIdentical: 3 },
+    detect: ({ history }, { maxIdentical }) => {
+        if (history.length < 2) return null;
         
+        const lastLocation = history[history.length - 1];
+        let identicalCount = 0;
         for (let i = history.length - 2; i >= 0; i--) {
-            const prevLocation = history[i];
-            if (lastLocation.lat === prevLocation.lat && 
-                lastLocation.lng === prevLocation.lng) {
-                identicalCount++;
-            } else {
-                break;
-            }
+            if (history[i].lat !== lastLocation.lat || history[i].lng !== lastLocation.lng) break;
+            identicalCount++;
         }
         
-        if (identicalCount >= ADVANCED_FRAUD_CONFIG.MAX_IDENTICAL_LOCATIONS) {
-            suspiciousFlags.push({
-                type: 'IDENTICAL_LOCATIONS',
-                severity: 'HIGH',
-                message: `⚠️ ${identicalCount + 1} ubicaciones idénticas consecutivas detectadas`
-            });
-        }
+        return identicalCount >= maxIdentical
+            ? `⚠️ ${identicalCount + 1} ubicaciones idénticas consecutivas detectadas`
+            : null;
     }
-    
-    // ANÁLISIS 2: Variación GPS demasiado baja
-    if (history.length >= 3) {
+});
+
+// Historial: variación GPS demasiado baja en las últimas 3 ubicaciones
+registerFraudRule({
+    id: 'LOW_GPS_VARIATION',
+    severity: 'MEDIUM',
+    params: { minVariation: 0.00001 },
+    detect: ({ history }, { minVariation }) => {
+        if (history.length < 3) return null;
+        
         const recent = history.slice(-3);
         let totalVariation = 0;
-        
         for (let i = 1; i < recent.length; i++) {
-            const latDiff = Math.abs(recent[i].lat - recent[i-1].lat);
-            const lngDiff = Math.abs(recent[i].lng - recent[i-1].lng);
-            totalVariation += latDiff + lngDiff;
+            totalVariation += Math.abs(recent[i].lat - recent[i-1].lat) + Math.abs(recent[i].lng - recent[i-1].lng);
         }
         
-        if (totalVariation < ADVANCED_FRAUD_CONFIG.MIN_GPS_VARIATION) {
-            suspiciousFlags.push({
-                type: 'LOW_GPS_VARIATION',
-                severity: 'MEDIUM',
-                message: '🔍 Variación GPS anormalmente baja (posible ubicación buscada)'
-            });
-        }
+        return totalVariation < minVariation
+            ? '🔍 Variación GPS anormalmente baja (posible ubicación buscada)'
+            : null;
     }
-    
-    // ANÁLISIS 3: Velocidad humanamente imposible
-    if (history.length >= 2) {
+});
+
+// Historial: velocidad humanamente imposible respecto de la ubicación anterior
+registerFraudRule({
+    id: 'IMPOSSIBLE_SPEED',
+    severity: 'HIGH',
+    params: { maxSpeedKmH: 100, minDistanceMeters: 1000 },
+    detect: ({ history }, { maxSpeedKmH, minDistanceMeters }) => {
+        if (history.length < 2) return null;
+        
         const current = history[history.length - 1];
         const previous = history[history.length - 2];
-        
-        const distance = calculateDistance(
-            previous.lat, previous.lng,
-            current.lat, current.lng
-        );
-        
+        const distance = calculateDistance(previous.lat, previous.lng, current.lat, current.lng);
         const timeDiff = (current.timestamp - previous.timestamp) / 1000; // segundos
         const speedKmH = (distance / 1000) / (timeDiff / 3600);
         
-        if (speedKmH > ADVANCED_FRAUD_CONFIG.MAX_SPEED_BETWEEN_LOCATIONS && distance > 1000) {
-            suspiciousFlags.push({
-                type: 'IMPOSSIBLE_SPEED',
-                severity: 'HIGH',
-                message: `🚗 Velocidad imposible: ${Math.round(speedKmH)} km/h entre ubicaciones`
-            });
-        }
+        return speedKmH > maxSpeedKmH && distance > minDistanceMeters
+            ? `🚗 Velocidad imposible: ${Math.round(speedKmH)} km/h entre ubicaciones`
+            : null;
     }
-    
-    return {
-        history: history,
-        suspiciousFlags: suspiciousFlags,
-        riskLevel: suspiciousFlags.length > 0 ? 'HIGH' : 'LOW'
-    };
-}
+});
+
+// ==========================================
+// REGISTROS CRUZADOS ENTRE EMPLEADOS
+// context.otherEmployeesLocations: ubicaciones recientes de otros empleados en la zona
+// ==========================================
 
 /**
- * Detectar coordenadas "demasiado perfectas"
+ * ¿Dos ubicaciones son prácticamente la misma lectura GPS?
+ * Con precisión en ambas: coordenadas cercanas y precisión parecida.
+ * Si falta en alguna (siempre en WhatsApp) la cercanía no alcanza, porque dos compañeros
+ * en la misma puerta dan coordenadas casi iguales: se exigen coordenadas idénticas.
  */
-function detectPerfectCoordinates(lat, lng) {
-    const suspiciousFlags = [];
-    
-    // Convertir a string para analizar dígitos decimales
-    const latStr = lat.toString();
-    const lngStr = lng.toString();
-    
-    // ANÁLISIS 1: Demasiados ceros consecutivos
-    const latZeros = (latStr.match(/0{3,}/g) || []).length;
-    const lngZeros = (lngStr.match(/0{3,}/g) || []).length;
-    
-    if (latZeros > 0 || lngZeros > 0) {
-        suspiciousFlags.push({
-            type: 'PERFECT_COORDINATES',
-            severity: 'HIGH',
-            message: '🎯 Coordenadas con patrones sospechosos (demasiados ceros)'
-        });
+function isSameGPSReading(a, b, maxDistanceMeters, maxAccuracyDiff) {
+    const accuracyA = a.accuracy ?? null;
+    const accuracyB = b.accuracy ?? null;
+    if (accuracyA === null || accuracyB === null) {
+        return a.lat === b.lat && a.lng === b.lng;
     }
-    
-    // ANÁLISIS 2: Precisión excesiva (más de 8 decimales es sospechoso)
-    const latDecimals = (latStr.split('.')[1] || '').length;
-    const lngDecimals = (lngStr.split('.')[1] || '').length;
-    
-    if (latDecimals > ADVANCED_FRAUD_CONFIG.SUSPICIOUS_PRECISION_DIGITS || 
-        lngDecimals > ADVANCED_FRAUD_CONFIG.SUSPICIOUS_PRECISION_DIGITS) {
-        suspiciousFlags.push({
-            type: 'EXCESSIVE_PRECISION',
-            severity: 'MEDIUM',
-            message: '🔬 Precisión GPS anormalmente alta (posible coordenada buscada)'
-        });
+    return Math.abs(accuracyA - accuracyB) <= maxAccuracyDiff &&
+        calculateDistance(a.lat, a.lng, b.lat, b.lng) <= maxDistanceMeters;
+}
+
+/**
+ * Detalle de los empleados involucrados (uno por empleado)
+ */
+function toCollusionDetails(matches) {
+    const byPhone = new Map();
+    matches.forEach(match => {
+        const current = byPhone.get(match.phoneNumber);
+        byPhone.set(match.phoneNumber, { phoneNumber: match.phoneNumber, matches: (current ? current.matches : 0) + 1 });
+    });
+    return { employees: Array.from(byPhone.values()) };
+}
+
+// Otro empleado envió la misma lectura GPS (ver isSameGPSReading) pocos minutos antes o después
+registerFraudRule({
+    id: 'SHARED_LOCATION',
+    severity: 'HIGH',
+    params: { windowMinutes: 10, maxDistanceMeters: 2, maxAccuracyDiff: 1 },
+    detect: ({ lat, lng, accuracy, timestamp, otherEmployeesLocations }, { windowMinutes, maxDistanceMeters, maxAccuracyDiff }) => {
+        if (!otherEmployeesLocations || otherEmployeesLocations.length === 0) return null;
+        
+        const current = { lat, lng, accuracy: accuracy ?? null, timestamp: timestamp ? timestamp * 1000 : Date.now() };
+        const matches = otherEmployeesLocations.filter(other =>
+            Math.abs(other.timestamp - current.timestamp) <= windowMinutes * 60 * 1000 &&
+            isSameGPSReading(current, other, maxDistanceMeters, maxAccuracyDiff)
+        );
+        if (matches.length === 0) return null;
+        
+        const details = toCollusionDetails(matches);
+        return {
+            message: `👥 Ubicación casi idéntica a la de ${details.employees.length} otro(s) empleado(s) en ${windowMinutes} min (posible registro por otra persona)`,
+            details: details
+        };
     }
-    
-    // ANÁLISIS 3: Coordenadas que terminan en .000000
-    if (latStr.endsWith('.000000') || lngStr.endsWith('.000000')) {
-        suspiciousFlags.push({
-            type: 'ROUNDED_COORDINATES',
-            severity: 'HIGH',
-            message: '📍 Coordenadas redondeadas detectadas (ubicación buscada)'
+});
+
+// El historial del empleado repite las mismas lecturas GPS que el de otro empleado
+registerFraudRule({
+    id: 'SHARED_LOCATION_PATTERN',
+    severity: 'HIGH',
+    params: { minMatches: 3, maxDistanceMeters: 2, maxAccuracyDiff: 1 },
+    detect: ({ storedHistory, otherEmployeesLocations }, { minMatches, maxDistanceMeters, maxAccuracyDiff }) => {
+        if (!storedHistory || storedHistory.length < minMatches || !otherEmployeesLocations) return null;
+        
+        const matches = [];
+        const otherPhones = new Set(otherEmployeesLocations.map(other => other.phoneNumber));
+        otherPhones.forEach(phoneNumber => {
+            const otherHistory = otherEmployeesLocations.filter(other => other.phoneNumber === phoneNumber);
+            const matchingPoints = storedHistory.filter(own =>
+                otherHistory.some(other => isSameGPSReading(own, other, maxDistanceMeters, maxAccuracyDiff))
+            );
+            if (matchingPoints.length >= minMatches) {
+                matchingPoints.forEach(() => matches.push({ phoneNumber }));
+            }
         });
+        if (matches.length === 0) return null;
+        
+        const details = toCollusionDetails(matches);
+        return {
+            message: `🧬 El historial de ubicaciones coincide con el de ${details.employees.length} otro(s) empleado(s) (posible cuenta usada por la misma persona)`,
+            details: details
+        };
     }
-    
-    return suspiciousFlags;
+});
+
+/**
+ * Ubicaciones de otros empleados alrededor del historial propio
+ */
+async function getCollusionCandidates(phoneNumber, history) {
+    const latMargin = COLLUSION_CONFIG.SEARCH_MARGIN_METERS / 111320;
+    const lats = history.map(point => point.lat);
+    const lngs = history.map(point => point.lng);
+    const maxAbsLat = Math.min(89, Math.max(...lats.map(Math.abs)));
+    const lngMargin = latMargin / Math.cos(maxAbsLat * Math.PI / 180);
+
+    return getOtherEmployeesLocations(phoneNumber, {
+        minLat: Math.min(...lats) - latMargin,
+        maxLat: Math.max(...lats) + latMargin,
+        minLng: Math.min(...lngs) - lngMargin,
+        maxLng: Math.max(...lngs) + lngMargin
+    }, COLLUSION_CONFIG.MAX_CANDIDATES);
 }
 
 /**
- * Validar metadata de precisión GPS
+ * Registrar la coincidencia como incidente en ambos empleados
+ * Al otro empleado se le guarda la señal apuntando a quien lo coincidió
  */
-function validateGPSMetadata(accuracy, timestamp) {
-    const suspiciousFlags = [];
-    
-    // ANÁLISIS 1: Precisión sospechosamente perfecta
-    if (accuracy && ADVANCED_FRAUD_CONFIG.SUSPICIOUS_ACCURACY_VALUES.includes(Math.floor(accuracy))) {
-        suspiciousFlags.push({
-            type: 'SUSPICIOUS_ACCURACY',
-            severity: 'MEDIUM',
-            message: `📡 Precisión GPS sospechosa: ${accuracy}m (valor poco común)`
-        });
-    }
-    
-    // ANÁLISIS 2: Sin timestamp (ubicación buscada no tiene timestamp real)
-    if (!timestamp) {
-        suspiciousFlags.push({
-            type: 'MISSING_TIMESTAMP',
-            severity: 'HIGH',
-            message: '⏰ Falta timestamp GPS (posible ubicación buscada)'
-        });
+async function recordCollusionIncidents(phoneNumber, flags) {
+    const collusionFlags = flags.filter(flag => COLLUSION_RULE_IDS.includes(flag.type));
+    if (collusionFlags.length === 0) {
+        return;
     }
-    
-    // ANÁLISIS 3: Precisión fuera de rango normal
-    if (accuracy && (accuracy < ADVANCED_FRAUD_CONFIG.EXPECTED_ACCURACY_RANGE[0] || 
-                     accuracy > ADVANCED_FRAUD_CONFIG.EXPECTED_ACCURACY_RANGE[1])) {
-        suspiciousFlags.push({
-            type: 'ABNORMAL_ACCURACY',
-            severity: 'LOW',
-            message: `📊 Precisión GPS fuera de rango normal: ${accuracy}m`
-        });
+
+    await addFraudIncident(phoneNumber, collusionFlags);
+
+    for (const flag of collusionFlags) {
+        for (const employee of flag.details.employees) {
+            await addFraudIncident(employee.phoneNumber, [{
+                ...flag,
+                message: `👥 ${flag.type === 'SHARED_LOCATION' ? 'Ubicación casi idéntica' : 'Historial de ubicaciones coincidente'} con otro empleado`,
+                details: { employees: [{ phoneNumber: phoneNumber, matches: employee.matches }] }
+            }]);
+        }
     }
-    
-    return suspiciousFlags;
+
+    console.log(`👥 Posible registro cruzado: ${phoneNumber} con ${collusionFlags.flatMap(flag => flag.details.employees.map(employee => employee.phoneNumber)).join(', ')}`);
+}
+
+// Mensaje: ubicación reenviada desde otro chat (no es la ubicación del empleado)
+registerFraudRule({
+    id: 'FORWARDED_LOCATION',
+    severity: 'HIGH',
+    rejects: true,
+    detect: ({ message }) => message && message.isForwarded
+        ? '↪️ Ubicación reenviada: debes compartir tu propia ubicación actual'
+        : null
+});
+
+// Mensaje: lugar elegido con nombre o dirección (no es "Ubicación actual")
+registerFraudRule({
+    id: 'NAMED_PLACE',
+    severity: 'HIGH',
+    detect: ({ message }) => message && (message.placeName || message.placeAddress)
+        ? `🏷️ Se envió un lugar elegido (${message.placeName || message.placeAddress}) en vez de la ubicación actual`
+        : null
+});
+
+// Mensaje: ubicación en tiempo real (difícil de falsificar, resta puntos)
+registerFraudRule({
+    id: 'LIVE_LOCATION',
+    severity: 'LOW',
+    weight: -10,
+    detect: ({ message }) => message && message.isLive
+        ? '📡 Ubicación en tiempo real'
+        : null
+});
+
+applyFraudRuleOverrides();
+
+/**
+ * Evaluar solo las reglas del mensaje (reenviado, lugar con nombre) para una ubicación
+ * Devuelve las señales activadas; vacío si el mensaje no tiene nada sospechoso
+ */
+function checkLocationMessageSignals(messageSignals) {
+    return evaluateFraudRules({ message: messageSignals }, MESSAGE_RULE_IDS).flags;
 }
 
 /**
  * Gestionar usuarios sospechosos
  */
-function manageSuspiciousUser(phoneNumber, suspiciousFlags) {
-    if (!suspiciousActivityLog.has(phoneNumber)) {
-        suspiciousActivityLog.set(phoneNumber, {
-            warnings: 0,
-            lastWarning: null,
-            isBlocked: false,
-            blockUntil: null,
-            incidents: []
-        });
-    }
-    
-    const userLog = suspiciousActivityLog.get(phoneNumber);
+async function manageSuspiciousUser(phoneNumber, suspiciousFlags) {
+    const userLog = await getSuspiciousStatus(phoneNumber);
     
     // Verificar si el usuario está bloqueado
     if (userLog.isBlocked && userLog.blockUntil > Date.now()) {
@@ -475,6 +699,7 @@ function manageSuspiciousUser(phoneNumber, suspiciousFlags) {
         userLog.isBlocked = false;
         userLog.blockUntil = null;
         userLog.warnings = 0; // Reset warnings después del bloqueo
+        await saveSuspiciousStatus(phoneNumber, userLog);
     }
     
     // Registrar incidentes actuales
@@ -482,26 +707,26 @@ function manageSuspiciousUser(phoneNumber, suspiciousFlags) {
     if (highSeverityFlags.length > 0) {
         userLog.warnings += highSeverityFlags.length;
         userLog.lastWarning = Date.now();
-        userLog.incidents.push({
-            timestamp: Date.now(),
-            flags: suspiciousFlags
-        });
         
-        // Mantener solo últimos 20 incidentes
-        if (userLog.incidents.length > 20) {
-            userLog.incidents.shift();
+        // Los incidentes de registro cruzado ya los guardó recordCollusionIncidents
+        const incidentFlags = suspiciousFlags.filter(f => !COLLUSION_RULE_IDS.includes(f.type));
+        if (incidentFlags.length > 0) {
+            await addFraudIncident(phoneNumber, incidentFlags);
         }
         
         // Bloquear si supera el límite de warnings
         if (userLog.warnings >= ADVANCED_FRAUD_CONFIG.MAX_WARNINGS_PER_USER) {
             userLog.isBlocked = true;
             userLog.blockUntil = Date.now() + (ADVANCED_FRAUD_CONFIG.BLOCK_DURATION_MINUTES * 60 * 1000);
+            await saveSuspiciousStatus(phoneNumber, userLog);
             
             return {
                 isBlocked: true,
                 message: `🚫 Usuario bloqueado temporalmente por múltiples actividades sospechosas (${userLog.warnings} warnings). Duración: ${ADVANCED_FRAUD_CONFIG.BLOCK_DURATION_MINUTES} minutos.`
             };
         }
+        
+        await saveSuspiciousStatus(phoneNumber, userLog);
     }
     
     return {
@@ -511,6 +736,21 @@ function manageSuspiciousUser(phoneNumber, suspiciousFlags) {
     };
 }
 
+/**
+ * Bloquear usuario o extender su bloqueo vigente (acción de supervisor)
+ */
+async function extendUserBlock(phoneNumber, minutes) {
+    const userLog = await getSuspiciousStatus(phoneNumber);
+    const now = Date.now();
+    const blockStart = userLog.isBlocked && userLog.blockUntil > now ? userLog.blockUntil : now;
+
+    userLog.isBlocked = true;
+    userLog.blockUntil = blockStart + (minutes * 60 * 1000);
+    await saveSuspiciousStatus(phoneNumber, userLog);
+
+    return userLog;
+}
+
 /**
  * VALIDACIÓN GPS CON ANÁLISIS ANTI-FRAUDE AVANZADO
  */
@@ -519,7 +759,9 @@ async function validateGPSLocationAdvanced(locationData, phoneNumber) {
         latitude: userLat,
         longitude: userLng,
         accuracy,
-        timestamp
+        timestamp,
+        messageSignals = null, // { isForwarded, placeName, placeAddress, isLive } del mensaje de WhatsApp
+        liveTrack = null // Actualizaciones del check-in en tiempo real [{ lat, lng, accuracy, timestamp }]
     } = locationData;
     
     console.log(`🔍 VALIDACIÓN ANTI-FRAUDE AVANZADA para ${phoneNumber}:`, {
@@ -527,7 +769,8 @@ async function validateGPSLocationAdvanced(locationData, phoneNumber) {
         lng: userLng,
         accuracy,
         timestamp,
-        hasTimestamp: !!timestamp
+        hasTimestamp: !!timestamp,
+        messageSignals
     });
     
     const validationResults = {
@@ -536,14 +779,21 @@ async function validateGPSLocationAdvanced(locationData, phoneNumber) {
         warnings: [],
         suspiciousFlags: [],
         fraudRisk: 'LOW', // LOW, MEDIUM, HIGH, BLOCKED
+        fraudScore: 0,
+        rejectedBy: [],
+        scoreBreakdown: [], // Puntos aportados por cada regla anti-fraude
         location: null,
-        distance: null
+        distance: null,
+        geofenceDecision: null, // INSIDE, OUTSIDE, UNCERTAIN
+        geofenceOverlap: null,
+        failedStep: null // BLOCKED, COORDINATES, FRAUD, TIMESTAMP, GEOFENCE
     };
     
     // 1. Verificar si el usuario está bloqueado
-    const userStatus = manageSuspiciousUser(phoneNumber, []);
+    const userStatus = await manageSuspiciousUser(phoneNumber, []);
     if (userStatus.isBlocked) {
         validationResults.fraudRisk = 'BLOCKED';
+        validationResults.failedStep = 'BLOCKED';
         validationResults.reasons.push(userStatus.message);
         return validationResults;
     }
@@ -551,69 +801,90 @@ async function validateGPSLocationAdvanced(locationData, phoneNumber) {
     // 2. Validar coordenadas básicas
     if (!userLat || !userLng) {
         validationResults.reasons.push('❌ Coordenadas GPS faltantes');
+        validationResults.failedStep = 'COORDINATES';
         return validationResults;
     }
     
-    // 3. ANÁLISIS ANTI-FRAUDE: Coordenadas perfectas
-    const perfectCoordFlags = detectPerfectCoordinates(userLat, userLng);
-    validationResults.suspiciousFlags.push(...perfectCoordFlags);
-    
-    // 4. ANÁLISIS ANTI-FRAUDE: Metadata GPS
-    const metadataFlags = validateGPSMetadata(accuracy, timestamp);
-    validationResults.suspiciousFlags.push(...metadataFlags);
-    
-    // 5. ANÁLISIS ANTI-FRAUDE: Historial de ubicaciones
-    const historyAnalysis = analyzeLocationHistory(phoneNumber, userLat, userLng, timestamp);
-    validationResults.suspiciousFlags.push(...historyAnalysis.suspiciousFlags);
-    
-    // 6. Evaluar nivel de riesgo de fraude
-    const highRiskFlags = validationResults.suspiciousFlags.filter(f => f.severity === 'HIGH');
-    const mediumRiskFlags = validationResults.suspiciousFlags.filter(f => f.severity === 'MEDIUM');
+    // 3. Agregar ubicación actual al historial (se conservan las últimas 10)
+    // El timestamp de WhatsApp viene en segundos
+    const storedHistory = await addLocationToHistory(phoneNumber, {
+        lat: userLat,
+        lng: userLng,
+        accuracy: accuracy,
+        recordedAt: timestamp ? new Date(timestamp * 1000) : new Date()
+    });
+    // En check-in en tiempo real las reglas de historial analizan el recorrido recibido
+    const history = liveTrack || storedHistory;
     
-    if (highRiskFlags.length >= 2) {
-        validationResults.fraudRisk = 'HIGH';
-    } else if (highRiskFlags.length >= 1 || mediumRiskFlags.length >= 2) {
-        validationResults.fraudRisk = 'MEDIUM';
-    }
+    // 4. ANÁLISIS ANTI-FRAUDE: reglas de coordenadas, metadata GPS, historial y
+    // coincidencias con otros empleados, con puntaje ponderado
+    const fraudEvaluation = evaluateFraudRules({
+        lat: userLat,
+        lng: userLng,
+        accuracy: accuracy,
+        timestamp: timestamp,
+        history: history,
+        storedHistory: storedHistory,
+        otherEmployeesLocations: await getCollusionCandidates(phoneNumber, storedHistory.length > 0 ? storedHistory : [{ lat: userLat, lng: userLng }]),
+        message: messageSignals
+    });
+    validationResults.suspiciousFlags.push(...fraudEvaluation.flags);
+    validationResults.fraudScore = fraudEvaluation.score;
+    validationResults.scoreBreakdown = fraudEvaluation.breakdown;
+    validationResults.fraudRisk = fraudEvaluation.risk;
+    validationResults.rejectedBy = fraudEvaluation.rejectedBy; // Reglas que rechazan por sí solas
+    await recordCollusionIncidents(phoneNumber, fraudEvaluation.flags);
     
-    // 7. Gestionar usuario sospechoso
+    // 5. Gestionar usuario sospechoso
     if (validationResults.fraudRisk === 'HIGH') {
-        const userManagement = manageSuspiciousUser(phoneNumber, validationResults.suspiciousFlags);
+        const userManagement = await manageSuspiciousUser(phoneNumber, validationResults.suspiciousFlags);
         if (userManagement.isBlocked) {
             validationResults.fraudRisk = 'BLOCKED';
+            validationResults.failedStep = 'BLOCKED';
             validationResults.reasons.push(userManagement.message);
             return validationResults;
         }
     }
     
-    // 8. Validación de ubicación original (si pasa filtros anti-fraude)
+    // 6. Validación de ubicación original (si pasa filtros anti-fraude)
     const originalValidation = await validateGPSLocation(locationData, phoneNumber);
     
-    // 9. Combinar resultados
+    // 7. Combinar resultados
     validationResults.isValid = originalValidation.isValid && (validationResults.fraudRisk !== 'HIGH' && validationResults.fraudRisk !== 'BLOCKED');
     validationResults.location = originalValidation.location;
     validationResults.distance = originalValidation.distance;
+    validationResults.geofenceDecision = originalValidation.geofenceDecision;
+    validationResults.geofenceOverlap = originalValidation.geofenceOverlap;
+    validationResults.failedStep = originalValidation.failedStep;
     validationResults.reasons.push(...originalValidation.reasons);
     validationResults.warnings.push(...originalValidation.warnings);
     
-    // 10. Agregar warnings de fraude
+    // 8. Agregar warnings de fraude
     if (validationResults.suspiciousFlags.length > 0) {
         validationResults.warnings.push(`⚠️ Detectadas ${validationResults.suspiciousFlags.length} señales de actividad sospechosa`);
         
         // Log detallado para administradores
         console.log(`🚨 ACTIVIDAD SOSPECHOSA detectada para ${phoneNumber}:`, {
             riskLevel: validationResults.fraudRisk,
+            score: `${validationResults.fraudScore} (revisión ${FRAUD_SCORING_CONFIG.REVIEW_SCORE}, rechazo ${FRAUD_SCORING_CONFIG.REJECT_SCORE})`,
             flags: validationResults.suspiciousFlags.map(f => f.message),
             location: { lat: userLat, lng: userLng },
             approved: validationResults.isValid
         });
     }
     
-    // 11. Rechazar si es alto riesgo de fraude
+    // 9. Rechazar si es alto riesgo de fraude
     if (validationResults.fraudRisk === 'HIGH' || validationResults.fraudRisk === 'BLOCKED') {
         validationResults.isValid = false;
         if (validationResults.fraudRisk === 'HIGH') {
-            validationResults.reasons.push('🚨 Registro rechazado: Múltiples indicadores de ubicación fraudulenta detectados');
+            validationResults.failedStep = 'FRAUD';
+            if (validationResults.rejectedBy.length > 0) {
+                validationResults.suspiciousFlags
+                    .filter(flag => validationResults.rejectedBy.includes(flag.type))
+                    .forEach(flag => validationResults.reasons.push(`🚨 Registro rechazado: ${flag.message}`));
+            } else {
+                validationResults.reasons.push('🚨 Registro rechazado: Múltiples indicadores de ubicación fraudulenta detectados');
+            }
         }
     }
     
@@ -626,36 +897,51 @@ async function validateGPSLocationAdvanced(locationData, phoneNumber) {
 
 /**
  * Guardar registro de asistencia en base de datos
+ * Devuelve el ID del registro (null si no se pudo guardar)
  */
 async function saveAttendanceRecord(phoneNumber, action, locationData, validationResult) {
     try {
-        const connection = await connectToDatabase();
-        if (connection) {
-            await connection.execute(`
-                INSERT INTO attendance_records 
-                (phone_number, action_type, latitude, longitude, location_name, 
-                distance_from_point, validation_status, timestamp, accuracy, gps_timestamp) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?)
-            `, [
-                phoneNumber,
-                action,
-                locationData.latitude,
-                locationData.longitude,
-                validationResult.isValid ? validationResult.location.name : null,
-                validationResult.distance,
-                validationResult.isValid ? 'VALID' : 'INVALID',
-                locationData.accuracy,
-                locationData.timestamp ? new Date(locationData.timestamp * 1000) : null
-            ]);
-            
-            await connection.end();
-            console.log(`✅ Registro de asistencia guardado: ${phoneNumber} - ${action}`);
-            
-            return true;
-        }
+        const result = await query(`
+            INSERT INTO attendance_records 
+            (phone_number, action_type, latitude, longitude, location_name, location_id, 
+            distance_from_point, validation_status, timestamp, accuracy, gps_timestamp, 
+            geofence_decision, geofence_overlap, fraud_risk, fraud_flags, rejection_reasons, failed_step, review_status,
+            site_code, site_code_result, site_code_secret_ref, site_code_step_offset, photo_status) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            phoneNumber,
+            action,
+            locationData.latitude,
+            locationData.longitude,
+            validationResult.isValid && validationResult.location ? validationResult.location.name : null,
+            validationResult.isValid && validationResult.location ? validationResult.location.id : null,
+            validationResult.distance,
+            // Con foto obligatoria la entrada no cuenta hasta recibirla (selfie-photos.js)
+            validationResult.isValid ? (validationResult.awaitingPhoto ? 'PENDING_PHOTO' : 'VALID') : 'INVALID',
+            locationData.accuracy,
+            locationData.timestamp ? new Date(locationData.timestamp * 1000) : null,
+            validationResult.geofenceDecision || null,
+            validationResult.geofenceOverlap !== undefined ? validationResult.geofenceOverlap : null,
+            validationResult.fraudRisk || null,
+            validationResult.suspiciousFlags ? JSON.stringify(validationResult.suspiciousFlags) : null,
+            // Los motivos solo se guardan si el registro fue rechazado
+            !validationResult.isValid && validationResult.reasons ? JSON.stringify(validationResult.reasons) : null,
+            validationResult.failedStep || null,
+            // Los registros sospechosos quedan pendientes de revisión por un supervisor
+            ['MEDIUM', 'HIGH', 'BLOCKED'].includes(validationResult.fraudRisk) ? 'PENDING' : null,
+            // Código del kiosko enviado con el comando y su verificación
+            validationResult.siteCode ? validationResult.siteCode.code : null,
+            validationResult.siteCode ? validationResult.siteCode.result : null,
+            validationResult.siteCode ? validationResult.siteCode.secretRef : null,
+            validationResult.siteCode ? validationResult.siteCode.stepOffset : null,
+            validationResult.isValid && validationResult.awaitingPhoto ? 'PENDING' : null
+        ]);
+        
+        console.log(`✅ Registro de asistencia guardado: ${phoneNumber} - ${action}`);
+        return result.insertId;
     } catch (error) {
         console.error('❌ Error guardando registro de asistencia:', error.message);
-        return false;
+        return null;
     }
 }
 
@@ -663,20 +949,21 @@ async function saveAttendanceRecord(phoneNumber, action, locationData, validatio
  * Formatear mensaje de respuesta básica
  */
 function formatValidationResponse(action, validationResult, phoneNumber) {
-    const actionEmoji = action === 'entrada' ? '🟢' : '🔴';
-    const actionText = action === 'entrada' ? 'ENTRADA' : 'SALIDA';
+    const { emoji: actionEmoji, text: actionText, ending } = getActionLabel(action);
     
     if (validationResult.isValid) {
-        let response = `${actionEmoji} *${actionText} REGISTRADA* ✅\n\n`;
+        let response = `${actionEmoji} *${actionText} REGISTRAD${ending}* ✅\n\n`;
         response += `📍 *Ubicación:* ${validationResult.location.name}\n`;
         response += `📏 *Distancia:* ${validationResult.distance}m del punto autorizado\n`;
-        response += `🕐 *Hora:* ${new Date().toLocaleTimeString('es-AR')}\n`;
-        response += `📅 *Fecha:* ${new Date().toLocaleDateString('es-AR')}\n\n`;
+        const now = new Date();
+        const timezone = validationResult.location.timezone;
+        response += `🕐 *Hora:* ${formatTime(now, timezone)}\n`;
+        response += `📅 *Fecha:* ${formatDate(now, timezone)}\n\n`;
         response += `¡Registro exitoso! 🎉`;
         
         return response;
     } else {
-        let response = `${actionEmoji} *${actionText} RECHAZADA* ❌\n\n`;
+        let response = `${actionEmoji} *${actionText} RECHAZAD${ending}* ❌\n\n`;
         response += `*Razones del rechazo:*\n`;
         
         validationResult.reasons.forEach((reason, index) => {
@@ -698,11 +985,10 @@ function formatValidationResponse(action, validationResult, phoneNumber) {
  * Formatear respuesta con sistema anti-fraude
  */
 function formatAdvancedValidationResponse(action, validationResult, phoneNumber) {
-    const actionEmoji = action === 'entrada' ? '🟢' : '🔴';
-    const actionText = action === 'entrada' ? 'ENTRADA' : 'SALIDA';
+    const { emoji: actionEmoji, text: actionText, ending } = getActionLabel(action);
     
     if (validationResult.fraudRisk === 'BLOCKED') {
-        return `${actionEmoji} *${actionText} BLOQUEADA* 🚫\n\n` +
+        return `${actionEmoji} *${actionText} BLOQUEAD${ending}* 🚫\n\n` +
                validationResult.reasons.join('\n') +
                '\n\n💡 *Para resolver este bloqueo:*\n' +
                '• Contacta a tu supervisor inmediatamente\n' +
@@ -710,12 +996,30 @@ function formatAdvancedValidationResponse(action, validationResult, phoneNumber)
                '• El bloqueo se levantará automáticamente después del tiempo especificado';
     }
     
+    // Precisión insuficiente para decidir: se pide reenviar sin contar como rechazo definitivo
+    if (!validationResult.isValid && validationResult.geofenceDecision === 'UNCERTAIN' &&
+        validationResult.fraudRisk !== 'HIGH') {
+        return `${actionEmoji} *${actionText} - UBICACIÓN INCIERTA* 📡\n\n` +
+               validationResult.reasons.join('\n') +
+               '\n\n📱 *Reenvía tu ubicación actual* para completar el registro.\n' +
+               '💡 Sal a un lugar abierto o cerca de una ventana y espera unos segundos a que mejore la señal GPS.\n' +
+               '❓ Responde "cancelar" si quieres cancelar.';
+    }
+    
     if (validationResult.isValid) {
-        let response = `${actionEmoji} *${actionText} REGISTRADA* ✅\n\n`;
+        let response = `${actionEmoji} *${actionText} REGISTRAD${ending}* ✅\n\n`;
         response += `📍 *Ubicación:* ${validationResult.location.name}\n`;
-        response += `📏 *Distancia:* ${validationResult.distance}m del punto autorizado\n`;
-        response += `🕐 *Hora:* ${new Date().toLocaleTimeString('es-AR')}\n`;
-        response += `📅 *Fecha:* ${new Date().toLocaleDateString('es-AR')}\n`;
+        // Registros solo con código del kiosko no tienen distancia GPS
+        if (validationResult.distance !== null && validationResult.distance !== undefined) {
+            response += `📏 *Distancia:* ${validationResult.distance}m del punto autorizado\n`;
+        }
+        if (validationResult.siteCode && validationResult.siteCode.result === 'VALID') {
+            response += `🔢 *Código del sitio:* verificado\n`;
+        }
+        const now = new Date();
+        const timezone = validationResult.location.timezone;
+        response += `🕐 *Hora:* ${formatTime(now, timezone)}\n`;
+        response += `📅 *Fecha:* ${formatDate(now, timezone)}\n`;
         
         // Agregar warnings si hay actividad sospechosa
         if (validationResult.fraudRisk === 'MEDIUM' || validationResult.fraudRisk === 'HIGH') {
@@ -727,7 +1031,7 @@ function formatAdvancedValidationResponse(action, validationResult, phoneNumber)
         response += `\n¡Registro exitoso! 🎉`;
         return response;
     } else {
-        let response = `${actionEmoji} *${actionText} RECHAZADA* ❌\n\n`;
+        let response = `${actionEmoji} *${actionText} RECHAZAD${ending}* ❌\n\n`;
         response += `*Razones del rechazo:*\n`;
         
         validationResult.reasons.forEach((reason, index) => {
@@ -758,18 +1062,29 @@ module.exports = {
     saveAttendanceRecord,
     formatValidationResponse,
     formatAdvancedValidationResponse,
-    AUTHORIZED_LOCATIONS,
+    isLocationAuthorized,
+    isPointInPolygon,
+    calculateDistance,
+    calculateDistanceToPolygonEdge,
     GPS_CONFIG,
     ADVANCED_FRAUD_CONFIG,
+    COLLUSION_CONFIG,
+    COLLUSION_RULE_IDS,
+    MESSAGE_RULE_IDS,
+    checkLocationMessageSignals,
     // Funciones adicionales para debugging/admin
-    getUserLocationHistory: (phoneNumber) => userLocationHistory.get(phoneNumber),
-    getSuspiciousActivity: (phoneNumber) => suspiciousActivityLog.get(phoneNumber),
-    clearUserWarnings: (phoneNumber) => {
-        if (suspiciousActivityLog.has(phoneNumber)) {
-            const log = suspiciousActivityLog.get(phoneNumber);
-            log.warnings = 0;
-            log.isBlocked = false;
-            log.blockUntil = null;
-        }
-    }
+    getUserLocationHistory: (phoneNumber) => getLocationHistory(phoneNumber),
+    getSuspiciousActivity: async (phoneNumber) => ({
+        ...await getSuspiciousStatus(phoneNumber),
+        incidents: await getFraudIncidents(phoneNumber)
+    }),
+    clearUserWarnings: async (phoneNumber) => {
+        const log = await getSuspiciousStatus(phoneNumber);
+        log.warnings = 0;
+        log.isBlocked = false;
+        log.blockUntil = null;
+        await saveSuspiciousStatus(phoneNumber, log);
+        return log;
+    },
+    extendUserBlock
 };
\ No newline at end of file
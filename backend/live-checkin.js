@@ -0,0 +1,260 @@
+const {
+    validateGPSLocationAdvanced,
+    isLocationAuthorized,
+    calculateDistance,
+    checkLocationMessageSignals
+} = require('./gps-validation');
+const { getAuthorizedLocations } = require('./location-registry');
+const { getPendingRequest, startLiveTrack, addLiveTrackPoint } = require('./pending-requests');
+
+// ==========================================
+// CHECK-IN CON UBICACIÓN EN TIEMPO REAL (MODO LIVE)
+// Con el modo LIVE (de la ubicación o del empleado) la entrada no se registra con una
+// ubicación fija: el empleado comparte su "ubicación en tiempo real" y el backend junta
+// varias actualizaciones durante una ventana corta. Se exige que todas queden dentro de
+// la geocerca con la variación natural de un GPS real.
+//
+// WhatsApp actualiza las coordenadas del mensaje original y whatsapp-web.js no emite un
+// evento por cada actualización, así que el mensaje se relee (message.reload()) cada
+// POLL_INTERVAL_SECONDS mientras dura la ventana.
+// ==========================================
+
+const LIVE_CHECKIN_CONFIG = {
+    ACTIONS: ['entrada'],                                                   // Acciones que usan el modo LIVE
+    MIN_UPDATES: parseInt(process.env.LIVE_CHECKIN_MIN_UPDATES, 10) || 3,   // Actualizaciones necesarias
+    MIN_WINDOW_SECONDS: parseInt(process.env.LIVE_CHECKIN_WINDOW_SECONDS, 10) || 60, // Tiempo mínimo entre la primera y la última
+    POLL_INTERVAL_SECONDS: parseInt(process.env.LIVE_CHECKIN_POLL_SECONDS, 10) || 20, // Cada cuánto se relee el mensaje
+    MIN_JITTER_METERS: 1,        // Menos dispersión que esto: posición fija (simulada)
+    MAX_JITTER_METERS: 60        // Más dispersión que esto: el empleado no está quieto en el lugar
+};
+
+// Empleados con un check-in en tiempo real leyéndose en este proceso
+// (tras un reinicio el recorrido guardado queda huérfano y el empleado puede volver a compartir)
+const activeLiveCheckins = new Set();
+
+/**
+ * ¿La acción debe registrarse con ubicación en tiempo real?
+ * El modo del empleado tiene prioridad; si no tiene, decide la ubicación detectada
+ */
+function requiresLiveCheckin(action, employee, location) {
+    if (!LIVE_CHECKIN_CONFIG.ACTIONS.includes(action)) {
+        return false;
+    }
+    const mode = (employee && employee.checkin_mode) || (location && location.checkinMode) || 'STATIC';
+    return mode === 'LIVE';
+}
+
+/**
+ * Convertir ubicación recibida en punto del recorrido
+ */
+function toTrackPoint(locationData, now = new Date()) {
+    return {
+        lat: locationData.latitude,
+        lng: locationData.longitude,
+        accuracy: locationData.accuracy ?? null,
+        // Se usa la hora del GPS si viene (segundos); si no, la de recepción
+        timestamp: locationData.timestamp ? locationData.timestamp * 1000 : now.getTime(),
+        receivedAt: now.getTime()
+    };
+}
+
+/**
+ * ¿El mensaje es una ubicación en tiempo real? (whatsapp-web.js no lo expone fuera de _data)
+ */
+function isLiveLocationMessage(message) {
+    return !!(message && message._data && message._data.isLive);
+}
+
+/**
+ * ¿Se está leyendo el check-in en tiempo real de este empleado?
+ */
+function isLiveCheckinActive(whatsappId) {
+    return activeLiveCheckins.has(whatsappId);
+}
+
+/**
+ * Iniciar el check-in con la primera posición (ya validada) de la ubicación en tiempo real
+ */
+async function startLiveCheckin(whatsappId, location, locationData) {
+    await startLiveTrack(whatsappId, location.id, toTrackPoint(locationData));
+    console.log(`📡 Check-in en tiempo real iniciado para ${whatsappId} en ${location.name}`);
+}
+
+/**
+ * Agregar actualización al check-in en curso y devolver el recorrido
+ */
+async function addLiveCheckinUpdate(whatsappId, locationData) {
+    return addLiveTrackPoint(whatsappId, toTrackPoint(locationData));
+}
+
+/**
+ * Releer la ubicación en tiempo real hasta completar el recorrido
+ * readLocation(message) arma los datos de la ubicación (coordenadas y señales del mensaje).
+ * Cada actualización pasa antes por las reglas del mensaje (reenviado, lugar con nombre):
+ * si alguna se activa se deja de leer y se devuelve con messageFlags.
+ * Devuelve { track, locationData, messageFlags } o null si la solicitud se canceló o venció.
+ */
+async function collectLiveCheckin(message, whatsappId, readLocation) {
+    activeLiveCheckins.add(whatsappId);
+    try {
+        let track = (await getPendingRequest(whatsappId))?.liveTrack || [];
+        let locationData = readLocation(message);
+
+        while (!isLiveTrackComplete(track)) {
+            await new Promise(resolve => setTimeout(resolve, LIVE_CHECKIN_CONFIG.POLL_INTERVAL_SECONDS * 1000));
+
+            // El empleado canceló o la solicitud venció mientras se leía
+            const pendingRequest = await getPendingRequest(whatsappId);
+            if (!pendingRequest || !pendingRequest.liveTrack) {
+                console.log(`📡 Check-in en tiempo real de ${whatsappId} cancelado`);
+                return null;
+            }
+
+            const updated = await message.reload();
+            if (!updated || !updated.location) {
+                // El mensaje ya no está disponible: se valida con lo recibido hasta ahora
+                break;
+            }
+
+            locationData = readLocation(updated);
+            const messageFlags = checkLocationMessageSignals(locationData.messageSignals);
+            if (messageFlags.length > 0) {
+                return { track, locationData, messageFlags };
+            }
+
+            track = await addLiveCheckinUpdate(whatsappId, locationData);
+        }
+
+        return { track, locationData, messageFlags: [] };
+    } finally {
+        activeLiveCheckins.delete(whatsappId);
+    }
+}
+
+/**
+ * ¿El recorrido ya tiene suficientes actualizaciones en una ventana suficiente?
+ */
+function isLiveTrackComplete(track) {
+    if (track.length < LIVE_CHECKIN_CONFIG.MIN_UPDATES) {
+        return false;
+    }
+    const windowSeconds = (track[track.length - 1].receivedAt - track[0].receivedAt) / 1000;
+    return windowSeconds >= LIVE_CHECKIN_CONFIG.MIN_WINDOW_SECONDS;
+}
+
+/**
+ * Analizar el recorrido: todas las actualizaciones dentro de la geocerca y dispersión natural
+ */
+function analyzeLiveTrack(track, location) {
+    const reasons = [];
+
+    const outside = track.filter(point =>
+        isLocationAuthorized(point.lat, point.lng, [location], point.accuracy).decision !== 'INSIDE'
+    );
+    if (outside.length > 0) {
+        reasons.push(`❌ ${outside.length} de ${track.length} actualizaciones quedaron fuera de ${location.name}`);
+    }
+
+    // Dispersión: distancia máxima de cada actualización al centro del recorrido
+    const center = {
+        lat: track.reduce((sum, point) => sum + point.lat, 0) / track.length,
+        lng: track.reduce((sum, point) => sum + point.lng, 0) / track.length
+    };
+    const jitter = Math.max(...track.map(point => calculateDistance(center.lat, center.lng, point.lat, point.lng)));
+    const isFrozen = track.every(point => point.lat === track[0].lat && point.lng === track[0].lng);
+
+    if (isFrozen || jitter < LIVE_CHECKIN_CONFIG.MIN_JITTER_METERS) {
+        reasons.push('🧊 Tu ubicación en tiempo real no varió en absoluto (posible ubicación simulada)');
+    } else if (jitter > LIVE_CHECKIN_CONFIG.MAX_JITTER_METERS) {
+        reasons.push(`🚶 Te desplazaste ${jitter}m durante el registro: quédate en el lugar mientras compartes tu ubicación`);
+    }
+
+    return {
+        isValid: reasons.length === 0,
+        reasons: reasons,
+        updates: track.length,
+        jitterMeters: jitter,
+        windowSeconds: Math.round((track[track.length - 1].receivedAt - track[0].receivedAt) / 1000)
+    };
+}
+
+/**
+ * Validar check-in en tiempo real completo
+ * La última actualización pasa por la validación anti-fraude (con el recorrido como historial)
+ * y además se exige que el recorrido sea válido para la ubicación donde empezó y que ninguna
+ * actualización haya activado las reglas del mensaje
+ */
+async function validateLiveCheckin(locationData, phoneNumber, locationId, track, messageFlags = []) {
+    const validationResult = await validateGPSLocationAdvanced({ ...locationData, liveTrack: track }, phoneNumber);
+
+    const locations = await getAuthorizedLocations();
+    const location = locations.find(item => item.id === locationId);
+    const trackAnalysis = location
+        ? analyzeLiveTrack(track, location)
+        : { isValid: false, reasons: ['❌ La ubicación donde empezó el registro ya no está habilitada'] };
+
+    if (messageFlags.length > 0) {
+        trackAnalysis.isValid = false;
+        trackAnalysis.reasons = messageFlags.map(flag => flag.message).concat(trackAnalysis.reasons);
+    } else if (!isLiveTrackComplete(track)) {
+        trackAnalysis.isValid = false;
+        trackAnalysis.reasons = [
+            `❌ Se recibieron ${track.length} de ${LIVE_CHECKIN_CONFIG.MIN_UPDATES} actualizaciones: no dejes de compartir tu ubicación hasta recibir la respuesta`
+        ].concat(trackAnalysis.reasons);
+    }
+
+    validationResult.liveCheckin = trackAnalysis;
+
+    if (validationResult.isValid && !trackAnalysis.isValid) {
+        validationResult.isValid = false;
+        validationResult.failedStep = 'LIVE_TRACK';
+        validationResult.reasons = trackAnalysis.reasons;
+    }
+
+    return validationResult;
+}
+
+/**
+ * Mensaje al pedir la ubicación en tiempo real
+ */
+function formatLiveCheckinStartMessage(action, location) {
+    return `📡 *${action.toUpperCase()} - UBICACIÓN EN TIEMPO REAL*\n\n` +
+           `Detectamos que estás en *${location.name}*. Para completar el registro:\n\n` +
+           '1️⃣ Toca el clip 📎 → Ubicación\n' +
+           '2️⃣ Elige *"Compartir ubicación en tiempo real"*\n' +
+           `3️⃣ Mantente en el lugar al menos ${Math.ceil(LIVE_CHECKIN_CONFIG.MIN_WINDOW_SECONDS / 60)} min ` +
+           `(necesitamos ${LIVE_CHECKIN_CONFIG.MIN_UPDATES} actualizaciones)\n\n` +
+           '❓ Responde "cancelar" si quieres cancelar.';
+}
+
+/**
+ * Mensaje al recibir la ubicación en tiempo real (empieza la lectura)
+ */
+function formatLiveCheckinCollectingMessage(location) {
+    return `📡 Recibimos tu ubicación en tiempo real en *${location.name}*. ` +
+           `La leeremos durante ${Math.ceil(LIVE_CHECKIN_CONFIG.MIN_WINDOW_SECONDS / 60)} min: ` +
+           'no dejes de compartirla y mantente en el lugar hasta recibir la respuesta.';
+}
+
+/**
+ * Mensaje cuando llega otra ubicación mientras se lee la ubicación en tiempo real
+ */
+function formatLiveCheckinBusyMessage() {
+    return '⏳ Ya estamos leyendo tu ubicación en tiempo real. Espera la respuesta del registro.';
+}
+
+module.exports = {
+    LIVE_CHECKIN_CONFIG,
+    requiresLiveCheckin,
+    isLiveLocationMessage,
+    isLiveCheckinActive,
+    startLiveCheckin,
+    addLiveCheckinUpdate,
+    collectLiveCheckin,
+    isLiveTrackComplete,
+    analyzeLiveTrack,
+    validateLiveCheckin,
+    formatLiveCheckinStartMessage,
+    formatLiveCheckinCollectingMessage,
+    formatLiveCheckinBusyMessage
+};
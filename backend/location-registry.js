@@ -0,0 +1,282 @@
+const { query } = require('./db');
+const { isValidTimezone } = require('./time-utils');
+const { SITE_CODE_MODES, generateSiteCodeSecret } = require('./site-codes');
+
+// ==========================================
+// UBICACIONES DE TRABAJO
+// ==========================================
+
+// Radio por defecto para ubicaciones nuevas (metros)
+const DEFAULT_LOCATION_RADIUS = 100;
+
+// Cache de ubicaciones activas (se recarga cuando un admin las modifica)
+let authorizedLocationsCache = null;
+
+// Mínimo de vértices para un perímetro válido
+const MIN_POLYGON_VERTICES = 3;
+
+// Modos de check-in: STATIC (una ubicación) o LIVE (ubicación en tiempo real, ver live-checkin.js)
+const CHECKIN_MODES = ['STATIC', 'LIVE'];
+
+/**
+ * Leer polígono guardado como JSON (mysql2 puede devolverlo como texto)
+ */
+function parsePolygon(polygon) {
+    if (!polygon) {
+        return null;
+    }
+    const vertices = typeof polygon === 'string' ? JSON.parse(polygon) : polygon;
+    return vertices.map(vertex => ({ lat: Number(vertex.lat), lng: Number(vertex.lng) }));
+}
+
+/**
+ * Convertir fila de la base de datos al formato usado por la validación GPS
+ */
+function toAuthorizedLocation(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        lat: Number(row.latitude),
+        lng: Number(row.longitude),
+        radius: row.radius_meters,
+        polygon: parsePolygon(row.polygon),
+        // null = zona horaria del negocio
+        timezone: row.timezone || null,
+        checkinMode: row.checkin_mode || 'STATIC',
+        codeMode: row.code_mode || 'OFF',
+        codeSecret: row.code_secret || null,
+        requiresSelfie: !!row.requires_selfie
+    };
+}
+
+/**
+ * Ubicación para la API (el secreto del código nunca sale del backend)
+ */
+function toPublicLocation(row) {
+    if (!row) {
+        return null;
+    }
+    const { code_secret: codeSecret, ...location } = row;
+    return { ...location, has_code_secret: !!codeSecret };
+}
+
+/**
+ * Validar lista de vértices de un polígono
+ */
+function validatePolygon(polygon) {
+    if (!Array.isArray(polygon) || polygon.length < MIN_POLYGON_VERTICES) {
+        return `El polígono debe tener al menos ${MIN_POLYGON_VERTICES} vértices`;
+    }
+
+    const hasInvalidVertex = polygon.some(vertex => {
+        const lat = Number(vertex && vertex.lat);
+        const lng = Number(vertex && vertex.lng);
+        return isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180;
+    });
+
+    return hasInvalidVertex ? 'El polígono tiene vértices con coordenadas inválidas' : null;
+}
+
+/**
+ * Validar datos de una ubicación antes de guardarlos
+ */
+function validateLocationData(data, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate || data.name !== undefined) {
+        if (!data.name || !String(data.name).trim()) {
+            errors.push('El nombre es obligatorio');
+        }
+    }
+
+    if (!isUpdate || data.latitude !== undefined) {
+        const latitude = Number(data.latitude);
+        if (data.latitude === null || data.latitude === '' || isNaN(latitude) || latitude < -90 || latitude > 90) {
+            errors.push('Latitud inválida (debe estar entre -90 y 90)');
+        }
+    }
+
+    if (!isUpdate || data.longitude !== undefined) {
+        const longitude = Number(data.longitude);
+        if (data.longitude === null || data.longitude === '' || isNaN(longitude) || longitude < -180 || longitude > 180) {
+            errors.push('Longitud inválida (debe estar entre -180 y 180)');
+        }
+    }
+
+    if (data.radius_meters !== undefined && !(Number(data.radius_meters) > 0)) {
+        errors.push('El radio debe ser mayor a 0 metros');
+    }
+
+    // null elimina el polígono y vuelve a usar el radio
+    if (data.polygon !== undefined && data.polygon !== null) {
+        const polygonError = validatePolygon(data.polygon);
+        if (polygonError) {
+            errors.push(polygonError);
+        }
+    }
+
+    if (data.timezone && !isValidTimezone(data.timezone)) {
+        errors.push('Zona horaria inválida (usar formato IANA, ej: America/Argentina/Buenos_Aires)');
+    }
+
+    if (data.checkin_mode !== undefined && !CHECKIN_MODES.includes(data.checkin_mode)) {
+        errors.push(`Modo de check-in inválido. Valores permitidos: ${CHECKIN_MODES.join(', ')}`);
+    }
+
+    if (data.code_mode !== undefined && !SITE_CODE_MODES.includes(data.code_mode)) {
+        errors.push(`Modo de código inválido. Valores permitidos: ${SITE_CODE_MODES.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Preparar valores de una ubicación para la base de datos
+ */
+function toLocationRow(data) {
+    const row = {};
+
+    if (data.name !== undefined) row.name = String(data.name).trim();
+    if (data.latitude !== undefined) row.latitude = Number(data.latitude);
+    if (data.longitude !== undefined) row.longitude = Number(data.longitude);
+    if (data.radius_meters !== undefined) row.radius_meters = Math.round(Number(data.radius_meters));
+    if (data.polygon !== undefined) {
+        row.polygon = data.polygon ? JSON.stringify(parsePolygon(data.polygon)) : null;
+    }
+    if (data.timezone !== undefined) row.timezone = data.timezone ? String(data.timezone).trim() : null;
+    if (data.checkin_mode !== undefined) row.checkin_mode = data.checkin_mode;
+    if (data.code_mode !== undefined) row.code_mode = data.code_mode;
+    if (data.requires_selfie !== undefined) row.requires_selfie = data.requires_selfie ? 1 : 0;
+    if (data.is_active !== undefined) row.is_active = data.is_active ? 1 : 0;
+
+    return row;
+}
+
+/**
+ * Recargar cache de ubicaciones activas desde la base de datos
+ */
+async function reloadAuthorizedLocations() {
+    try {
+        const rows = await query('SELECT * FROM locations WHERE is_active = 1 ORDER BY id ASC');
+
+        authorizedLocationsCache = rows.map(toAuthorizedLocation);
+        console.log(`📍 Ubicaciones autorizadas cargadas: ${authorizedLocationsCache.length}`);
+    } catch (error) {
+        console.error('❌ Error cargando ubicaciones:', error.message);
+    }
+
+    return authorizedLocationsCache || [];
+}
+
+/**
+ * Obtener ubicaciones activas (desde cache, cargándolas si hace falta)
+ */
+async function getAuthorizedLocations() {
+    if (authorizedLocationsCache === null) {
+        return reloadAuthorizedLocations();
+    }
+    return authorizedLocationsCache;
+}
+
+/**
+ * Obtener zona horaria propia de una ubicación (null si usa la del negocio)
+ */
+async function getLocationTimezone(locationId) {
+    if (!locationId) {
+        return null;
+    }
+    const locations = await getAuthorizedLocations();
+    const location = locations.find(item => item.id === locationId);
+    return location ? location.timezone : null;
+}
+
+/**
+ * Listar ubicaciones para administración
+ */
+async function listLocations(includeInactive = false) {
+    const rows = await query(`SELECT * FROM locations ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY name ASC`);
+    return rows.map(toPublicLocation);
+}
+
+/**
+ * Obtener ubicación por ID
+ */
+async function getLocationById(locationId) {
+    const rows = await query('SELECT * FROM locations WHERE id = ?', [locationId]);
+    return rows.length > 0 ? toPublicLocation(rows[0]) : null;
+}
+
+/**
+ * Generar un secreto nuevo para el código de la ubicación (invalida los códigos anteriores)
+ */
+async function rotateLocationCodeSecret(locationId) {
+    await query('UPDATE locations SET code_secret = ? WHERE id = ?', [generateSiteCodeSecret(), locationId]);
+    console.log(`🔢 Secreto de código rotado para la ubicación ${locationId}`);
+
+    await reloadAuthorizedLocations();
+    return getLocationById(locationId);
+}
+
+/**
+ * Crear ubicación
+ */
+async function createLocation(data) {
+    const row = toLocationRow({ radius_meters: DEFAULT_LOCATION_RADIUS, ...data });
+    if (row.code_mode && row.code_mode !== 'OFF') {
+        row.code_secret = generateSiteCodeSecret();
+    }
+    const columns = Object.keys(row);
+    const result = await query(
+        `INSERT INTO locations (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column])
+    );
+    console.log(`📍 Ubicación creada: ${row.name} (${row.polygon ? 'polígono' : `radio ${row.radius_meters}m`})`);
+
+    await reloadAuthorizedLocations();
+    return getLocationById(result.insertId);
+}
+
+/**
+ * Actualizar ubicación (solo los campos recibidos)
+ */
+async function updateLocation(locationId, data) {
+    const row = toLocationRow(data);
+    const columns = Object.keys(row);
+
+    if (columns.length > 0) {
+        await query(
+            `UPDATE locations SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => row[column]), locationId]
+        );
+    }
+
+    // Al activar el código por primera vez se genera el secreto
+    if (row.code_mode && row.code_mode !== 'OFF') {
+        await query('UPDATE locations SET code_secret = ? WHERE id = ? AND code_secret IS NULL', [generateSiteCodeSecret(), locationId]);
+    }
+
+    await reloadAuthorizedLocations();
+    return getLocationById(locationId);
+}
+
+/**
+ * Desactivar ubicación (los registros históricos siguen referenciándola)
+ */
+async function deactivateLocation(locationId) {
+    return updateLocation(locationId, { is_active: false });
+}
+
+module.exports = {
+    DEFAULT_LOCATION_RADIUS,
+    CHECKIN_MODES,
+    validateLocationData,
+    reloadAuthorizedLocations,
+    getAuthorizedLocations,
+    getLocationTimezone,
+    listLocations,
+    getLocationById,
+    rotateLocationCodeSecret,
+    createLocation,
+    updateLocation,
+    deactivateLocation
+};
@@ -0,0 +1,263 @@
+const { query } = require('./db');
+const { formatTime, formatDate } = require('./time-utils');
+const { pickAuditFields, recordAuditEntry } = require('./attendance-audit');
+const { validateActionSequenceAt } = require('./attendance-state-control');
+
+// ==========================================
+// SALIDAS FALTANTES Y CIERRE AUTOMÁTICO
+// Un proceso periódico busca empleados que siguen dentro pasado el fin de su turno
+// (detectMissingExits), les avisa por WhatsApp junto a su supervisor y, vencido el plazo,
+// registra una "salida automática" a la hora de fin del turno que el supervisor debe confirmar.
+// ==========================================
+
+const MISSING_EXIT_CONFIG = {
+    CHECK_INTERVAL_MINUTES: 5,                                                  // Frecuencia de revisión
+    AUTO_CLOSE_AFTER_HOURS: parseInt(process.env.MISSING_EXIT_AUTO_CLOSE_HOURS, 10) || 4  // Horas desde el fin del turno hasta el cierre automático
+};
+
+// Estados de confirmación de una salida automática
+const CONFIRMATION_STATUSES = ['PENDING', 'CONFIRMED'];
+
+// Campos que cambian al confirmar (antes/después en la auditoría)
+const CONFIRMATION_AUDIT_FIELDS = ['timestamp', 'confirmation_status', 'confirmation_comment', 'confirmed_by', 'confirmed_at'];
+
+const AUTO_EXIT_QUERY = `
+    SELECT a.*, COALESCE(l.name, a.location_name) AS location_name, l.timezone AS location_timezone,
+        e.id AS employee_id, e.name AS employee_name,
+        m.entry_record_id, entry.timestamp AS entry_timestamp, m.shift_end
+    FROM attendance_records a
+    JOIN missing_exit_alerts m ON m.exit_record_id = a.id
+    LEFT JOIN attendance_records entry ON entry.id = m.entry_record_id
+    LEFT JOIN locations l ON l.id = a.location_id
+    LEFT JOIN employees e ON e.phone_number = SUBSTRING_INDEX(a.phone_number, '@', 1)
+`;
+
+/**
+ * Obtener (o crear) el aviso de una entrada sin salida
+ */
+async function getMissingExitAlert(missingExit) {
+    await query(`
+        INSERT IGNORE INTO missing_exit_alerts (phone_number, entry_record_id, shift_end)
+        VALUES (?, ?, ?)
+    `, [missingExit.whatsappId, missingExit.entryRecord.id, missingExit.shiftEnd]);
+
+    const rows = await query('SELECT * FROM missing_exit_alerts WHERE entry_record_id = ?', [missingExit.entryRecord.id]);
+    return rows[0];
+}
+
+/**
+ * Registrar que se avisó al empleado y a cuántos supervisores
+ */
+async function markMissingExitNotified(alertId, supervisorsNotified, now = new Date()) {
+    await query(
+        'UPDATE missing_exit_alerts SET employee_notified_at = ?, supervisors_notified = ? WHERE id = ?',
+        [now, supervisorsNotified, alertId]
+    );
+}
+
+/**
+ * ¿Venció el plazo para registrar la salida por su cuenta?
+ */
+function isAutoCloseDue(missingExit) {
+    return missingExit.hoursSinceShiftEnd >= MISSING_EXIT_CONFIG.AUTO_CLOSE_AFTER_HOURS;
+}
+
+/**
+ * Registrar la salida automática a la hora de fin del turno (o justo después del último registro)
+ * Queda válida para cerrar la sesión, pero pendiente de confirmación del supervisor
+ */
+async function autoCloseSession(missingExit, alert, now = new Date()) {
+    const lastRecordTime = new Date(missingExit.lastRecord.timestamp);
+    const exitTime = missingExit.shiftEnd > lastRecordTime ? missingExit.shiftEnd : new Date(lastRecordTime.getTime() + 1000);
+
+    const result = await query(`
+        INSERT INTO attendance_records
+        (phone_number, action_type, source, location_name, location_id, validation_status, timestamp, confirmation_status)
+        VALUES (?, 'salida', 'AUTO_CLOSE', ?, ?, 'VALID', ?, 'PENDING')
+    `, [
+        missingExit.whatsappId,
+        missingExit.entryRecord.location_name,
+        missingExit.entryRecord.location_id,
+        exitTime
+    ]);
+
+    await query(
+        'UPDATE missing_exit_alerts SET auto_closed_at = ?, exit_record_id = ? WHERE id = ?',
+        [now, result.insertId, alert.id]
+    );
+
+    console.log(`🤖 Salida automática registrada para ${missingExit.whatsappId} (${exitTime.toISOString()})`);
+    return { id: result.insertId, timestamp: exitTime };
+}
+
+/**
+ * Listar salidas automáticas (por defecto las pendientes de confirmación)
+ */
+async function listAutoClosedExits(status = 'PENDING', limit = 50) {
+    const params = [];
+    let where = "WHERE a.source = 'AUTO_CLOSE'";
+
+    if (status && status !== 'ALL') {
+        where += ' AND a.confirmation_status = ?';
+        params.push(status);
+    }
+
+    return query(
+        `${AUTO_EXIT_QUERY} ${where} ORDER BY a.timestamp DESC LIMIT ${parseInt(limit, 10) || 50}`,
+        params
+    );
+}
+
+/**
+ * Obtener una salida automática
+ */
+async function getAutoClosedExit(recordId) {
+    const rows = await query(`${AUTO_EXIT_QUERY} WHERE a.id = ? AND a.source = 'AUTO_CLOSE'`, [recordId]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Validar confirmación del supervisor ({ confirmed_by, exit_time?, comment? })
+ * exit_time corrige la hora de la salida si el empleado se retiró antes o después
+ */
+function validateExitConfirmationData(data, autoExit = null, now = new Date()) {
+    const errors = [];
+
+    if (!data.confirmed_by || !String(data.confirmed_by).trim()) {
+        errors.push('Indica quién confirma la salida (confirmed_by)');
+    }
+
+    if (data.exit_time !== undefined && data.exit_time !== null) {
+        const exitTime = new Date(data.exit_time);
+        if (isNaN(exitTime.getTime())) {
+            errors.push('Hora de salida inválida (usar formato ISO 8601)');
+        } else if (exitTime > now) {
+            errors.push('La hora de salida no puede ser futura');
+        } else if (autoExit && autoExit.entry_timestamp && exitTime <= new Date(autoExit.entry_timestamp)) {
+            errors.push('La hora de salida debe ser posterior a la entrada');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Confirmar la salida automática pendiente (opcionalmente corrigiendo la hora) y auditar el cambio
+ * La hora corregida tiene que encajar con los demás registros válidos del empleado
+ */
+async function confirmAutoClosedExit(autoExit, data, now = new Date()) {
+    const exitTime = data.exit_time ? new Date(data.exit_time) : null;
+    const confirmedBy = String(data.confirmed_by).trim();
+    const comment = data.comment ? String(data.comment).trim() : null;
+
+    if (exitTime && autoExit.validation_status === 'VALID') {
+        const sequence = await validateActionSequenceAt(autoExit.phone_number, autoExit.action_type, exitTime, autoExit.id);
+        if (!sequence.isValid) {
+            const error = new Error(sequence.reason);
+            error.code = 'SEQUENCE_CONFLICT';
+            throw error;
+        }
+    }
+
+    const result = await query(`
+        UPDATE attendance_records
+        SET confirmation_status = 'CONFIRMED', confirmation_comment = ?, confirmed_by = ?, confirmed_at = ?,
+            timestamp = COALESCE(?, timestamp)
+        WHERE id = ? AND source = 'AUTO_CLOSE' AND confirmation_status = 'PENDING'
+    `, [comment, confirmedBy, now, exitTime, autoExit.id]);
+
+    if (result.affectedRows === 0) {
+        const error = new Error(`La salida automática #${autoExit.id} ya fue confirmada`);
+        error.code = 'ALREADY_DECIDED';
+        throw error;
+    }
+
+    const confirmed = await getAutoClosedExit(autoExit.id);
+    await recordAuditEntry(autoExit.id, 'AUTO_EXIT_CONFIRMED', {
+        changedBy: confirmedBy,
+        before: pickAuditFields(autoExit, CONFIRMATION_AUDIT_FIELDS),
+        after: pickAuditFields(confirmed, CONFIRMATION_AUDIT_FIELDS),
+        reason: comment
+    });
+
+    console.log(`🤖 Salida automática ${autoExit.id} confirmada por ${confirmedBy}${exitTime ? ` (hora corregida: ${exitTime.toISOString()})` : ''}`);
+    return confirmed;
+}
+
+/**
+ * Hora límite para registrar la salida antes del cierre automático
+ */
+function getAutoCloseTime(missingExit) {
+    return new Date(missingExit.shiftEnd.getTime() + MISSING_EXIT_CONFIG.AUTO_CLOSE_AFTER_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Aviso al empleado que sigue dentro pasado su turno
+ */
+function formatMissingExitEmployeeMessage(missingExit) {
+    const { timezone } = missingExit;
+    const entryTime = new Date(missingExit.entryRecord.timestamp);
+
+    return '⚠️ *SALIDA PENDIENTE*\n\n' +
+           `Tu turno terminó a las ${formatTime(missingExit.shiftEnd, timezone)} y sigues figurando *DENTRO* ` +
+           `desde las ${formatTime(entryTime, timezone)} del ${formatDate(entryTime, timezone)}.\n\n` +
+           '• Si sigues trabajando, envía *salida* cuando termines.\n' +
+           '• Si ya te retiraste, avisa a tu supervisor.\n\n' +
+           `🤖 Si no registras la salida antes de las ${formatTime(getAutoCloseTime(missingExit), timezone)}, ` +
+           `se registrará una salida automática a las ${formatTime(missingExit.shiftEnd, timezone)} que tu supervisor deberá confirmar.`;
+}
+
+/**
+ * Aviso al supervisor de un empleado que sigue dentro pasado su turno
+ */
+function formatMissingExitSupervisorMessage(missingExit) {
+    const { timezone } = missingExit;
+    const entryTime = new Date(missingExit.entryRecord.timestamp);
+
+    return '👀 *SALIDA FALTANTE*\n\n' +
+           `👤 *Empleado:* ${missingExit.displayName}\n` +
+           `🟢 *Entrada:* ${formatTime(entryTime, timezone)} del ${formatDate(entryTime, timezone)}\n` +
+           `🏁 *Fin del turno:* ${formatTime(missingExit.shiftEnd, timezone)} ` +
+           `(hace ${Math.floor(missingExit.hoursSinceShiftEnd)}h)\n\n` +
+           `Se le pidió que registre su salida. Si no lo hace antes de las ${formatTime(getAutoCloseTime(missingExit), timezone)}, ` +
+           'se registrará una salida automática pendiente de tu confirmación.';
+}
+
+/**
+ * Aviso al empleado de la salida automática registrada
+ */
+function formatAutoCloseEmployeeMessage(missingExit, exitRecord) {
+    return '🤖 *SALIDA AUTOMÁTICA REGISTRADA*\n\n' +
+           `No registraste tu salida, así que se registró a las ${formatTime(exitRecord.timestamp, missingExit.timezone)} ` +
+           `del ${formatDate(exitRecord.timestamp, missingExit.timezone)} (fin de tu turno).\n\n` +
+           '📋 Queda pendiente de confirmación por tu supervisor. Si la hora no es correcta, avísale.';
+}
+
+/**
+ * Aviso al supervisor de la salida automática que debe confirmar
+ */
+function formatAutoCloseSupervisorMessage(missingExit, exitRecord) {
+    return '🤖 *SALIDA AUTOMÁTICA - CONFIRMACIÓN REQUERIDA*\n\n' +
+           `👤 *Empleado:* ${missingExit.displayName}\n` +
+           `🔴 *Salida registrada:* ${formatTime(exitRecord.timestamp, missingExit.timezone)} ` +
+           `del ${formatDate(exitRecord.timestamp, missingExit.timezone)}\n` +
+           `🔖 *Registro:* #${exitRecord.id}\n\n` +
+           'Confírmala o corrige la hora desde el panel de administración.';
+}
+
+module.exports = {
+    MISSING_EXIT_CONFIG,
+    CONFIRMATION_STATUSES,
+    getMissingExitAlert,
+    markMissingExitNotified,
+    isAutoCloseDue,
+    autoCloseSession,
+    listAutoClosedExits,
+    getAutoClosedExit,
+    validateExitConfirmationData,
+    confirmAutoClosedExit,
+    formatMissingExitEmployeeMessage,
+    formatMissingExitSupervisorMessage,
+    formatAutoCloseEmployeeMessage,
+    formatAutoCloseSupervisorMessage
+};
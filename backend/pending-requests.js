@@ -0,0 +1,224 @@
+const { query, parseJsonColumn } = require('./db');
+const { markSelfiesMissing } = require('./selfie-photos');
+
+// ==========================================
+// SOLICITUDES PENDIENTES DE UBICACIÓN
+// Un empleado pidió entrada/salida y el bot espera su ubicación GPS.
+// Se guardan en la base de datos para sobrevivir a reinicios del backend.
+// ==========================================
+
+const PENDING_REQUEST_CONFIG = {
+    EXPIRY_MINUTES: 10,                                                     // Validez de la solicitud
+    REMINDER_MINUTES_BEFORE_EXPIRY: parseInt(process.env.PENDING_REMINDER_MINUTES, 10) || 3, // 0 = sin recordatorio
+    CHECK_INTERVAL_SECONDS: 30                                              // Frecuencia de revisión de vencimientos
+};
+
+/**
+ * Convertir fila de la base de datos a solicitud pendiente
+ */
+function toPendingRequest(row) {
+    return {
+        whatsappId: row.whatsapp_id,
+        action: row.action_type,
+        createdAt: new Date(row.created_at),
+        expiresAt: new Date(row.expires_at),
+        reminderSentAt: row.reminder_sent_at ? new Date(row.reminder_sent_at) : null,
+        // Check-in en tiempo real: ubicación validada al inicio y actualizaciones recibidas
+        liveStartedAt: row.live_started_at ? new Date(row.live_started_at) : null,
+        liveLocationId: row.live_location_id || null,
+        liveTrack: parseJsonColumn(row.live_track),
+        // Código del kiosko verificado al recibir el comando (site-codes.js)
+        siteCode: parseJsonColumn(row.site_code),
+        // Registro guardado que espera la foto del empleado (selfie-photos.js)
+        photoRecordId: row.photo_record_id || null
+    };
+}
+
+/**
+ * Registro que esperaba la foto en la solicitud actual del empleado (vigente o no)
+ */
+async function getAwaitedPhotoRecordId(whatsappId) {
+    const rows = await query('SELECT photo_record_id FROM pending_requests WHERE whatsapp_id = ?', [whatsappId]);
+    return rows.length > 0 ? rows[0].photo_record_id : null;
+}
+
+/**
+ * Crear (o reiniciar) la solicitud pendiente de un empleado
+ * Si la anterior esperaba una foto, ese registro queda incompleto
+ */
+async function createPendingRequest(whatsappId, action, now = new Date()) {
+    await markSelfiesMissing([await getAwaitedPhotoRecordId(whatsappId)]);
+
+    const expiresAt = new Date(now.getTime() + PENDING_REQUEST_CONFIG.EXPIRY_MINUTES * 60 * 1000);
+
+    await query(`
+        INSERT INTO pending_requests (whatsapp_id, action_type, created_at, expires_at, reminder_sent_at)
+        VALUES (?, ?, ?, ?, NULL)
+        ON DUPLICATE KEY UPDATE action_type = VALUES(action_type), created_at = VALUES(created_at),
+            expires_at = VALUES(expires_at), reminder_sent_at = NULL,
+            live_started_at = NULL, live_location_id = NULL, live_track = NULL, site_code = NULL,
+            photo_record_id = NULL
+    `, [whatsappId, action, now, expiresAt]);
+
+    console.log(`⏳ Solicitud pendiente: ${action} para ${whatsappId} (vence en ${PENDING_REQUEST_CONFIG.EXPIRY_MINUTES} min)`);
+
+    return {
+        whatsappId, action, createdAt: now, expiresAt, reminderSentAt: null,
+        liveStartedAt: null, liveLocationId: null, liveTrack: null, siteCode: null, photoRecordId: null
+    };
+}
+
+/**
+ * Obtener la solicitud vigente de un empleado (null si no tiene o ya venció)
+ */
+async function getPendingRequest(whatsappId, now = new Date()) {
+    try {
+        const rows = await query(
+            'SELECT * FROM pending_requests WHERE whatsapp_id = ? AND expires_at > ?',
+            [whatsappId, now]
+        );
+        return rows.length > 0 ? toPendingRequest(rows[0]) : null;
+    } catch (error) {
+        console.error('❌ Error obteniendo solicitud pendiente:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Eliminar la solicitud de un empleado y devolver la que estaba vigente (o null)
+ * Si esperaba una foto que no llegó, el registro queda incompleto
+ */
+async function deletePendingRequest(whatsappId, now = new Date()) {
+    const pendingRequest = await getPendingRequest(whatsappId, now);
+    await markSelfiesMissing([await getAwaitedPhotoRecordId(whatsappId)]);
+    await query('DELETE FROM pending_requests WHERE whatsapp_id = ?', [whatsappId]);
+    return pendingRequest;
+}
+
+/**
+ * Guardar el código del kiosko verificado junto a la solicitud
+ */
+async function setPendingSiteCode(whatsappId, siteCode) {
+    await query('UPDATE pending_requests SET site_code = ? WHERE whatsapp_id = ?', [JSON.stringify(siteCode), whatsappId]);
+}
+
+/**
+ * Dejar la solicitud esperando la foto del registro ya guardado
+ */
+async function setPendingPhotoRecord(whatsappId, recordId) {
+    await query('UPDATE pending_requests SET photo_record_id = ? WHERE whatsapp_id = ?', [recordId, whatsappId]);
+}
+
+/**
+ * Pasar la solicitud a check-in en tiempo real con su primera actualización
+ */
+async function startLiveTrack(whatsappId, locationId, point, now = new Date()) {
+    await query(
+        'UPDATE pending_requests SET live_started_at = ?, live_location_id = ?, live_track = ? WHERE whatsapp_id = ?',
+        [now, locationId, JSON.stringify([point]), whatsappId]
+    );
+}
+
+/**
+ * Agregar actualización al recorrido y devolver el recorrido completo
+ */
+async function addLiveTrackPoint(whatsappId, point) {
+    await query(
+        "UPDATE pending_requests SET live_track = JSON_ARRAY_APPEND(live_track, '$', CAST(? AS JSON)) WHERE whatsapp_id = ?",
+        [JSON.stringify(point), whatsappId]
+    );
+
+    const rows = await query('SELECT live_track FROM pending_requests WHERE whatsapp_id = ?', [whatsappId]);
+    return rows.length > 0 ? parseJsonColumn(rows[0].live_track) || [] : [];
+}
+
+/**
+ * Solicitudes vigentes que entraron en la ventana de recordatorio y aún no lo recibieron
+ */
+async function getRequestsDueForReminder(now = new Date()) {
+    if (PENDING_REQUEST_CONFIG.REMINDER_MINUTES_BEFORE_EXPIRY <= 0) {
+        return [];
+    }
+
+    const reminderLimit = new Date(now.getTime() + PENDING_REQUEST_CONFIG.REMINDER_MINUTES_BEFORE_EXPIRY * 60 * 1000);
+    const rows = await query(`
+        SELECT * FROM pending_requests
+        WHERE reminder_sent_at IS NULL AND expires_at > ? AND expires_at <= ?
+        ORDER BY expires_at ASC
+    `, [now, reminderLimit]);
+
+    return rows.map(toPendingRequest);
+}
+
+/**
+ * Marcar recordatorio como enviado
+ */
+async function markReminderSent(whatsappId, now = new Date()) {
+    await query('UPDATE pending_requests SET reminder_sent_at = ? WHERE whatsapp_id = ?', [now, whatsappId]);
+}
+
+/**
+ * Quitar las solicitudes vencidas y devolverlas (para avisar a cada empleado)
+ */
+async function takeExpiredRequests(now = new Date()) {
+    const rows = await query(
+        'SELECT * FROM pending_requests WHERE expires_at <= ? ORDER BY expires_at ASC',
+        [now]
+    );
+
+    if (rows.length > 0) {
+        await markSelfiesMissing(rows.map(row => row.photo_record_id));
+        await query('DELETE FROM pending_requests WHERE expires_at <= ?', [now]);
+    }
+
+    return rows.map(toPendingRequest);
+}
+
+/**
+ * Mensaje de recordatorio antes del vencimiento
+ */
+function formatReminderMessage(pendingRequest, now = new Date()) {
+    const minutesLeft = Math.max(1, Math.ceil((pendingRequest.expiresAt - now) / (1000 * 60)));
+
+    if (pendingRequest.photoRecordId) {
+        return `⏰ *Recordatorio: foto de ${pendingRequest.action.toUpperCase()} pendiente*\n\n` +
+               `Tu registro vence en ${minutesLeft} min.\n` +
+               '📸 Envía una foto tuya para completarlo; si no, quedará incompleto.';
+    }
+
+    return `⏰ *Recordatorio: ${pendingRequest.action.toUpperCase()} pendiente*\n\n` +
+           `Tu solicitud vence en ${minutesLeft} min.\n` +
+           '📍 Envía tu ubicación actual para completar el registro.\n' +
+           '❌ Responde *cancelar* si ya no la necesitas.';
+}
+
+/**
+ * Mensaje de aviso cuando la solicitud venció
+ */
+function formatExpiredMessage(pendingRequest) {
+    if (pendingRequest.photoRecordId) {
+        return `⌛ *Registro de ${pendingRequest.action.toUpperCase()} incompleto*\n\n` +
+               `No recibimos tu foto en ${PENDING_REQUEST_CONFIG.EXPIRY_MINUTES} minutos: el registro quedó incompleto.\n` +
+               `Envía *${pendingRequest.action}* nuevamente o contacta a tu supervisor.`;
+    }
+
+    return `⌛ *Registro de ${pendingRequest.action.toUpperCase()} vencido*\n\n` +
+           `No recibimos tu ubicación en ${PENDING_REQUEST_CONFIG.EXPIRY_MINUTES} minutos y la solicitud se canceló.\n` +
+           `Envía *${pendingRequest.action}* nuevamente para registrar tu asistencia.`;
+}
+
+module.exports = {
+    PENDING_REQUEST_CONFIG,
+    createPendingRequest,
+    getPendingRequest,
+    deletePendingRequest,
+    setPendingSiteCode,
+    setPendingPhotoRecord,
+    startLiveTrack,
+    addLiveTrackPoint,
+    getRequestsDueForReminder,
+    markReminderSent,
+    takeExpiredRequests,
+    formatReminderMessage,
+    formatExpiredMessage
+};
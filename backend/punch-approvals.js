@@ -0,0 +1,257 @@
+const { query, parseJsonColumn } = require('./db');
+const { formatTime, formatDate } = require('./time-utils');
+const { SUPERVISOR_ROLES } = require('./employee-registry');
+const { pickAuditFields, recordAuditEntry } = require('./attendance-audit');
+const { validateActionSequenceAt } = require('./attendance-state-control');
+
+// ==========================================
+// APROBACIÓN DE REGISTROS RECHAZADOS
+// Cuando la validación rechaza un registro se reenvía al supervisor del empleado,
+// que responde por WhatsApp "aprobar <id>" o "rechazar <id> <motivo>".
+// Aprobar deja el registro VALID; rechazar lo confirma como INVALID. Ambas decisiones se auditan.
+// ==========================================
+
+// Comandos del supervisor y la decisión que registran
+const APPROVAL_COMMANDS = {
+    aprobar: 'APPROVED',
+    rechazar: 'REJECTED'
+};
+
+// Estados de aprobación (PENDING = esperando al supervisor)
+const APPROVAL_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+// Campos que cambian con la decisión (antes/después en la auditoría)
+const APPROVAL_AUDIT_FIELDS = ['validation_status', 'approval_status', 'approval_comment', 'approved_by', 'approved_at'];
+
+const APPROVAL_QUERY = `
+    SELECT a.*, l.timezone AS location_timezone,
+        e.id AS employee_id, e.name AS employee_name, e.department AS employee_department,
+        e.supervisor_id AS employee_supervisor_id
+    FROM attendance_records a
+    LEFT JOIN locations l ON l.id = a.location_id
+    LEFT JOIN employees e ON e.phone_number = SUBSTRING_INDEX(a.phone_number, '@', 1)
+`;
+
+/**
+ * Interpretar "aprobar 123" / "rechazar 123 motivo" (null si el mensaje no es un comando de aprobación)
+ * Con prefijo C ("aprobar C45") el número es una solicitud de corrección (time-corrections.js)
+ * Sin número devuelve recordId null para poder mostrar el uso
+ */
+function parseApprovalCommand(text) {
+    const match = String(text || '').trim().match(/^\/?(aprobar|rechazar)(?:\s+#?(c)?(\d+))?(?:\s+([\s\S]*))?$/i);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        decision: APPROVAL_COMMANDS[match[1].toLowerCase()],
+        target: match[2] ? 'CORRECTION' : 'RECORD',
+        recordId: match[3] ? parseInt(match[3], 10) : null,
+        reason: match[4] && match[4].trim() ? match[4].trim() : null
+    };
+}
+
+/**
+ * ¿El empleado tiene rol de supervisor?
+ */
+function isSupervisor(employee) {
+    return !!(employee && employee.is_active && SUPERVISOR_ROLES.includes(employee.role));
+}
+
+/**
+ * ¿El supervisor responde por el empleado del registro (o de la solicitud de corrección)?
+ * Los admin responden por todos; el resto por sus asignados o, si no tienen asignado, por su departamento
+ * Nadie decide sobre sus propios registros, ni siquiera un admin
+ */
+function canSuperviseRecord(supervisor, record) {
+    if (record.employee_id === supervisor.id) {
+        return false;
+    }
+
+    if (supervisor.role === 'admin') {
+        return true;
+    }
+
+    if (record.employee_supervisor_id) {
+        return record.employee_supervisor_id === supervisor.id;
+    }
+
+    return !!record.employee_department && record.employee_department === supervisor.department;
+}
+
+/**
+ * Obtener un registro con los datos del empleado para aprobarlo
+ */
+async function getApprovalRecord(recordId) {
+    const rows = await query(`${APPROVAL_QUERY} WHERE a.id = ?`, [recordId]);
+    if (rows.length === 0) {
+        return null;
+    }
+
+    return { ...rows[0], rejection_reasons: parseJsonColumn(rows[0].rejection_reasons) || [] };
+}
+
+/**
+ * Dejar el registro rechazado esperando la decisión del supervisor
+ */
+async function markApprovalPending(recordId) {
+    await query(
+        "UPDATE attendance_records SET approval_status = 'PENDING' WHERE id = ? AND validation_status = 'INVALID'",
+        [recordId]
+    );
+}
+
+/**
+ * Validar el comando del supervisor sobre el registro
+ */
+function validateApprovalCommand(command, record, supervisor) {
+    const errors = [];
+
+    if (!command.recordId) {
+        errors.push('Indica el número de registro');
+        return errors;
+    }
+
+    if (!record || !record.employee_id) {
+        errors.push(`No existe el registro #${command.recordId}`);
+        return errors;
+    }
+
+    if (record.employee_id === supervisor.id) {
+        errors.push(`El registro #${record.id} es tuyo: lo tiene que decidir otro supervisor`);
+    } else if (!canSuperviseRecord(supervisor, record)) {
+        errors.push(`El registro #${record.id} es de un empleado que no supervisas`);
+    } else if (record.approval_status !== 'PENDING') {
+        errors.push(record.approval_status
+            ? `El registro #${record.id} ya fue ${record.approval_status === 'APPROVED' ? 'aprobado' : 'rechazado'}`
+            : `El registro #${record.id} no está esperando aprobación`);
+    }
+
+    // Rechazar exige explicar el motivo al empleado
+    if (command.decision === 'REJECTED' && !command.reason) {
+        errors.push('Indica el motivo: rechazar <id> <motivo>');
+    }
+
+    return errors;
+}
+
+/**
+ * Registrar la decisión del supervisor y dejarla en la auditoría
+ */
+async function applyApprovalDecision(record, command, supervisor, now = new Date()) {
+    // Aprobar lo vuelve VALID: tiene que encajar con los registros válidos de antes y de después
+    if (command.decision === 'APPROVED') {
+        const sequence = await validateActionSequenceAt(record.phone_number, record.action_type, record.timestamp, record.id);
+        if (!sequence.isValid) {
+            throw new Error(`${sequence.reason}. Rechaza este registro.`);
+        }
+    }
+
+    const changes = {
+        validation_status: command.decision === 'APPROVED' ? 'VALID' : 'INVALID',
+        approval_status: command.decision,
+        approval_comment: command.reason,
+        approved_by: supervisor.name,
+        approved_at: now
+    };
+
+    const result = await query(`
+        UPDATE attendance_records
+        SET validation_status = ?, approval_status = ?, approval_comment = ?, approved_by = ?, approved_at = ?
+        WHERE id = ? AND approval_status = 'PENDING'
+    `, [changes.validation_status, changes.approval_status, changes.approval_comment, changes.approved_by, changes.approved_at, record.id]);
+
+    // Otro supervisor o una revalidación manual lo decidió mientras tanto: no hay nada que auditar ni avisar
+    if (result.affectedRows === 0) {
+        throw new Error(`El registro #${record.id} ya no está esperando aprobación`);
+    }
+
+    await recordAuditEntry(record.id, command.decision, {
+        changedBy: supervisor.name,
+        changedByPhone: supervisor.phone_number,
+        before: pickAuditFields(record, APPROVAL_AUDIT_FIELDS),
+        after: pickAuditFields({ ...record, ...changes }, APPROVAL_AUDIT_FIELDS),
+        reason: command.reason
+    });
+
+    console.log(`🧑‍💼 Registro ${record.id} ${command.decision === 'APPROVED' ? 'aprobado' : 'rechazado'} por ${supervisor.name}`);
+    return getApprovalRecord(record.id);
+}
+
+/**
+ * Aviso al supervisor de un registro rechazado que puede aprobar
+ */
+function formatRejectedPunchSupervisorMessage(record, displayName, nearestLocation = null) {
+    const recordedAt = new Date(record.timestamp);
+    const timezone = nearestLocation ? nearestLocation.timezone : null;
+
+    let message = `🚫 *${record.action_type.toUpperCase()} RECHAZADA*\n\n` +
+                  `👤 *Empleado:* ${displayName}\n` +
+                  `🕐 *Hora:* ${formatTime(recordedAt, timezone)} del ${formatDate(recordedAt, timezone)}\n`;
+
+    if (nearestLocation) {
+        message += `📍 *Ubicación más cercana:* ${nearestLocation.name}\n`;
+    }
+    if (record.distance_from_point !== null && record.distance_from_point !== undefined) {
+        message += `📏 *Distancia:* ${Math.round(record.distance_from_point)}m\n`;
+    }
+
+    message += `🔖 *Registro:* #${record.id}\n\n`;
+
+    if (record.rejection_reasons.length > 0) {
+        message += '❌ *Motivos:*\n';
+        record.rejection_reasons.forEach(reason => {
+            message += `• ${reason}\n`;
+        });
+        message += '\n';
+    }
+
+    return message +
+           `✅ Responde *aprobar ${record.id}* para darlo por válido\n` +
+           `🚫 Responde *rechazar ${record.id} <motivo>* para confirmar el rechazo`;
+}
+
+/**
+ * Confirmación al supervisor de la decisión registrada
+ */
+function formatApprovalResultMessage(record) {
+    const name = record.employee_name || record.phone_number;
+
+    return record.approval_status === 'APPROVED'
+        ? `✅ Registro #${record.id} (${record.action_type} de ${name}) *aprobado*. Se avisó al empleado.`
+        : `🚫 Registro #${record.id} (${record.action_type} de ${name}) *rechazado*. Se avisó al empleado.`;
+}
+
+/**
+ * Aviso al empleado de la decisión del supervisor
+ */
+function formatApprovalEmployeeMessage(record) {
+    const recordedAt = new Date(record.timestamp);
+    const timezone = record.location_timezone || null;
+    const when = `${formatTime(recordedAt, timezone)} del ${formatDate(recordedAt, timezone)}`;
+
+    if (record.approval_status === 'APPROVED') {
+        return `✅ *${record.action_type.toUpperCase()} APROBADA*\n\n` +
+               `Tu supervisor (${record.approved_by}) aprobó el registro de las ${when} que había sido rechazado.\n\n` +
+               '📋 Ya cuenta como registro válido.';
+    }
+
+    return `🚫 *${record.action_type.toUpperCase()} RECHAZADA*\n\n` +
+           `Tu supervisor (${record.approved_by}) confirmó el rechazo del registro de las ${when}.\n\n` +
+           `💬 *Motivo:* ${record.approval_comment}`;
+}
+
+module.exports = {
+    APPROVAL_COMMANDS,
+    APPROVAL_STATUSES,
+    parseApprovalCommand,
+    isSupervisor,
+    canSuperviseRecord,
+    getApprovalRecord,
+    markApprovalPending,
+    validateApprovalCommand,
+    applyApprovalDecision,
+    formatRejectedPunchSupervisorMessage,
+    formatApprovalResultMessage,
+    formatApprovalEmployeeMessage
+};
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const { query } = require('./db');
+const { formatTime, formatDate } = require('./time-utils');
+
+// ==========================================
+// FOTO (SELFIE) EN LA ENTRADA
+// En ubicaciones con requires_selfie, después de la ubicación el bot pide una foto.
+// El registro queda PENDING_PHOTO hasta que llega; si la solicitud vence sin foto queda INCOMPLETE.
+// Las fotos se guardan en disco y un supervisor las revisa desde el panel.
+// ==========================================
+
+const SELFIE_CONFIG = {
+    ACTIONS: ['entrada'],                                                           // Acciones que piden foto
+    STORAGE_DIR: process.env.SELFIE_STORAGE_DIR || path.join(__dirname, 'uploads', 'selfies'),
+    MAX_SIZE_MB: parseInt(process.env.SELFIE_MAX_SIZE_MB, 10) || 5,
+    MIME_EXTENSIONS: {
+        'image/jpeg': 'jpg',
+        'image/png': 'png',
+        'image/webp': 'webp'
+    }
+};
+
+// Estados de revisión de la foto (PENDING = sin revisar)
+const PHOTO_REVIEW_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+// Decisiones que puede tomar un supervisor
+const PHOTO_REVIEW_DECISIONS = ['APPROVED', 'REJECTED'];
+
+const PHOTO_QUERY = `
+    SELECT a.id, a.phone_number, a.action_type, a.timestamp, a.validation_status, a.location_id,
+        COALESCE(l.name, a.location_name) AS location_name, l.timezone AS location_timezone,
+        a.photo_status, a.photo_path, a.photo_received_at, a.photo_forwarded_attempts, a.photo_review_status,
+        a.photo_review_comment, a.photo_reviewed_by, a.photo_reviewed_at,
+        e.id AS employee_id, e.name AS employee_name
+    FROM attendance_records a
+    LEFT JOIN locations l ON l.id = a.location_id
+    LEFT JOIN employees e ON e.phone_number = SUBSTRING_INDEX(a.phone_number, '@', 1)
+`;
+
+/**
+ * ¿La acción en esta ubicación exige foto?
+ */
+function requiresSelfie(action, location) {
+    return SELFIE_CONFIG.ACTIONS.includes(action) && !!(location && location.requiresSelfie);
+}
+
+/**
+ * Guardar en disco la foto descargada de WhatsApp (MessageMedia: mimetype + data en base64)
+ * Devuelve la ruta relativa al directorio de fotos
+ */
+async function storeSelfiePhoto(recordId, media, now = new Date()) {
+    const extension = media && SELFIE_CONFIG.MIME_EXTENSIONS[media.mimetype];
+    if (!extension) {
+        throw new Error('Formato de imagen no soportado: envía una foto (JPG, PNG o WEBP)');
+    }
+
+    const buffer = Buffer.from(media.data, 'base64');
+    if (buffer.length > SELFIE_CONFIG.MAX_SIZE_MB * 1024 * 1024) {
+        throw new Error(`La foto supera el máximo de ${SELFIE_CONFIG.MAX_SIZE_MB} MB`);
+    }
+
+    // Un subdirectorio por mes para no acumular todo en una sola carpeta
+    const month = now.toISOString().slice(0, 7);
+    const relativePath = path.join(month, `${recordId}_${now.getTime()}.${extension}`);
+    const absolutePath = path.join(SELFIE_CONFIG.STORAGE_DIR, relativePath);
+
+    await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.promises.writeFile(absolutePath, buffer);
+
+    return relativePath;
+}
+
+/**
+ * Ruta absoluta de la foto de un registro (null si no tiene)
+ */
+function getSelfiePhotoFile(photoRecord) {
+    if (!photoRecord || !photoRecord.photo_path) {
+        return null;
+    }
+    return path.join(SELFIE_CONFIG.STORAGE_DIR, photoRecord.photo_path);
+}
+
+/**
+ * Asociar la foto al registro: la entrada pasa a ser válida y queda pendiente de revisión
+ */
+async function attachSelfieToRecord(recordId, photoPath, now = new Date()) {
+    await query(`
+        UPDATE attendance_records
+        SET validation_status = 'VALID', photo_status = 'RECEIVED', photo_path = ?,
+            photo_received_at = ?, photo_review_status = 'PENDING'
+        WHERE id = ? AND validation_status = 'PENDING_PHOTO'
+    `, [photoPath, now, recordId]);
+
+    console.log(`📸 Foto recibida para el registro ${recordId}`);
+}
+
+/**
+ * Contar en el registro una foto reenviada (se rechaza; queda como señal para la revisión)
+ */
+async function recordForwardedSelfie(recordId) {
+    await query(
+        'UPDATE attendance_records SET photo_forwarded_attempts = photo_forwarded_attempts + 1 WHERE id = ?',
+        [recordId]
+    );
+
+    console.log(`↪️ Foto reenviada rechazada para el registro ${recordId}`);
+}
+
+/**
+ * Marcar como incompletos los registros que seguían esperando la foto
+ */
+async function markSelfiesMissing(recordIds) {
+    const ids = recordIds.filter(Boolean);
+    if (ids.length === 0) {
+        return;
+    }
+
+    await query(`
+        UPDATE attendance_records SET validation_status = 'INCOMPLETE', photo_status = 'MISSING'
+        WHERE id IN (${ids.map(() => '?').join(', ')}) AND validation_status = 'PENDING_PHOTO'
+    `, ids);
+
+    console.log(`📸 Registros sin foto marcados como incompletos: ${ids.join(', ')}`);
+}
+
+/**
+ * Validar decisión de revisión de la foto
+ */
+function validatePhotoReviewData(data) {
+    const errors = [];
+
+    if (!PHOTO_REVIEW_DECISIONS.includes(data.decision)) {
+        errors.push(`Decisión inválida. Valores permitidos: ${PHOTO_REVIEW_DECISIONS.join(', ')}`);
+    }
+
+    // Rechazar una foto exige explicar el motivo
+    if (data.decision === 'REJECTED' && (!data.comment || !String(data.comment).trim())) {
+        errors.push('El comentario es obligatorio al rechazar una foto');
+    }
+
+    return errors;
+}
+
+/**
+ * Listar registros con foto (por defecto los pendientes de revisión)
+ * INCOMPLETE lista las entradas que se quedaron sin foto
+ */
+async function listSelfiePhotos(status = 'PENDING', limit = 50) {
+    const params = [];
+    let where = 'WHERE a.photo_status IS NOT NULL';
+
+    if (status === 'INCOMPLETE') {
+        where += " AND a.photo_status = 'MISSING'";
+    } else if (status && status !== 'ALL') {
+        where += ' AND a.photo_review_status = ?';
+        params.push(status);
+    }
+
+    return query(
+        `${PHOTO_QUERY} ${where} ORDER BY a.timestamp DESC LIMIT ${parseInt(limit, 10) || 50}`,
+        params
+    );
+}
+
+/**
+ * Obtener un registro con su foto
+ */
+async function getSelfiePhoto(recordId) {
+    const rows = await query(`${PHOTO_QUERY} WHERE a.id = ? AND a.photo_status IS NOT NULL`, [recordId]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Registrar decisión del supervisor sobre la foto
+ */
+async function reviewSelfiePhoto(recordId, data) {
+    const photoRecord = await getSelfiePhoto(recordId);
+    if (!photoRecord) {
+        return null;
+    }
+
+    if (photoRecord.photo_status !== 'RECEIVED') {
+        throw new Error('El registro no tiene foto para revisar');
+    }
+
+    await query(`
+        UPDATE attendance_records
+        SET photo_review_status = ?, photo_review_comment = ?, photo_reviewed_by = ?, photo_reviewed_at = ?
+        WHERE id = ?
+    `, [data.decision, data.comment ? String(data.comment).trim() : null, data.reviewed_by || null, new Date(), recordId]);
+
+    console.log(`📸 Foto del registro ${recordId} revisada: ${data.decision}`);
+    return getSelfiePhoto(recordId);
+}
+
+/**
+ * Mensaje al pedir la foto después de una ubicación válida
+ */
+function formatSelfieRequestMessage(action, location, expiryMinutes) {
+    return `📸 *${action.toUpperCase()} - FOTO REQUERIDA*\n\n` +
+           `Tu ubicación en *${location.name}* fue verificada ✅\n\n` +
+           'Para completar el registro envía ahora una *foto tuya* (selfie) tomada en el lugar.\n' +
+           `⏳ Tienes ${expiryMinutes} minutos; sin foto el registro quedará incompleto.\n\n` +
+           '❓ Responde "cancelar" si quieres cancelar.';
+}
+
+/**
+ * Mensaje al rechazar una foto reenviada
+ */
+function formatForwardedSelfieMessage() {
+    return '↪️ *Foto reenviada rechazada*\n\n' +
+           'La foto tiene que ser tuya y tomada ahora: no se aceptan fotos reenviadas de otro chat.\n' +
+           '📸 Toma una selfie con la cámara y envíala.\n\n' +
+           '⚠️ El intento queda registrado para tu supervisor.';
+}
+
+/**
+ * Mensaje al recibir la foto: el registro quedó completo
+ */
+function formatSelfieReceivedMessage(photoRecord) {
+    const recordedAt = new Date(photoRecord.timestamp);
+    const timezone = photoRecord.location_timezone || null;
+
+    return `✅ *${photoRecord.action_type.toUpperCase()} REGISTRADA*\n\n` +
+           `📍 *Ubicación:* ${photoRecord.location_name}\n` +
+           '📸 *Foto:* recibida\n' +
+           `🕐 *Hora:* ${formatTime(recordedAt, timezone)}\n` +
+           `📅 *Fecha:* ${formatDate(recordedAt, timezone)}\n\n` +
+           '¡Registro exitoso! 🎉';
+}
+
+module.exports = {
+    SELFIE_CONFIG,
+    PHOTO_REVIEW_STATUSES,
+    PHOTO_REVIEW_DECISIONS,
+    requiresSelfie,
+    storeSelfiePhoto,
+    getSelfiePhotoFile,
+    attachSelfieToRecord,
+    recordForwardedSelfie,
+    markSelfiesMissing,
+    validatePhotoReviewData,
+    listSelfiePhotos,
+    getSelfiePhoto,
+    reviewSelfiePhoto,
+    formatSelfieRequestMessage,
+    formatForwardedSelfieMessage,
+    formatSelfieReceivedMessage
+};
@@ -4,9 +4,11 @@ const http = require('http');
 const socketIo = require('socket.io');
 const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
-const mysql = require('mysql2/promise');
 require('dotenv').config();
 
+// Importar acceso a datos (pool de conexiones compartido)
+const { query, parseJsonColumn, checkDatabaseConnection, closePool } = require('./db');
+
 // Importar sistema de validación GPS con anti-fraude avanzado
 const {
     validateGPSLocation,
@@ -14,9 +16,12 @@ const {
     saveAttendanceRecord,
     formatValidationResponse,
     formatAdvancedValidationResponse,
-    AUTHORIZED_LOCATIONS,
     GPS_CONFIG,
-    ADVANCED_FRAUD_CONFIG
+    ADVANCED_FRAUD_CONFIG,
+    getUserLocationHistory,
+    getSuspiciousActivity,
+    clearUserWarnings,
+    extendUserBlock
 } = require('./gps-validation');
 
 // Importar sistema de control de estados de asistencia
@@ -25,10 +30,191 @@ const {
     validateAttendanceAction,
     generateEmployeeStatusReport,
     detectMissingExits,
+    validateActionSequenceAt,
     formatStateValidationMessage,
+    formatBreakRegisteredMessage,
+    setPendingAction,
+    clearPendingAction,
+    clearEmployeeSession,
+    getEmployeeCache,
     STATE_CONTROL_CONFIG
 } = require('./attendance-state-control');
 
+// Importar registro de empleados
+const {
+    normalizePhoneNumber,
+    validateEmployeeData,
+    listEmployees,
+    getEmployeeById,
+    getEmployeeByPhone,
+    createEmployee,
+    updateEmployee,
+    deactivateEmployee,
+    assignSupervisorToEmployee,
+    getEmployeeSupervisors,
+    SUPERVISOR_ROLES
+} = require('./employee-registry');
+
+// Importar ubicaciones de trabajo administrables
+const {
+    validateLocationData,
+    getAuthorizedLocations,
+    listLocations,
+    createLocation,
+    updateLocation,
+    deactivateLocation,
+    rotateLocationCodeSecret
+} = require('./location-registry');
+
+// Importar turnos de trabajo
+const {
+    validateShiftData,
+    listShifts,
+    getShiftById,
+    createShift,
+    updateShift,
+    deactivateShift,
+    assignShiftToEmployee
+} = require('./shift-schedules');
+
+// Importar solicitudes pendientes de ubicación (persistidas)
+const {
+    PENDING_REQUEST_CONFIG,
+    getPendingRequest,
+    setPendingSiteCode,
+    setPendingPhotoRecord,
+    getRequestsDueForReminder,
+    markReminderSent,
+    takeExpiredRequests,
+    formatReminderMessage,
+    formatExpiredMessage
+} = require('./pending-requests');
+
+// Importar check-in con ubicación en tiempo real (modo LIVE)
+const {
+    requiresLiveCheckin,
+    isLiveLocationMessage,
+    isLiveCheckinActive,
+    startLiveCheckin,
+    collectLiveCheckin,
+    validateLiveCheckin,
+    formatLiveCheckinStartMessage,
+    formatLiveCheckinCollectingMessage,
+    formatLiveCheckinBusyMessage
+} = require('./live-checkin');
+
+// Importar cola de revisión anti-fraude
+const {
+    REVIEWABLE_FRAUD_RISKS,
+    REVIEW_STATUSES,
+    validateReviewData,
+    listReviewQueue,
+    getReviewItem,
+    reviewRecord
+} = require('./fraud-review');
+
+// Importar historial anti-fraude persistente
+const { listSuspiciousUsers } = require('./fraud-history');
+
+// Importar autenticación de rutas de administración
+const { requireAdmin, requireKiosk } = require('./admin-auth');
+
+// Importar códigos rotativos por ubicación (kiosko)
+const {
+    SITE_CODE_CONFIG,
+    generateSiteCode,
+    findLocationBySiteCode,
+    parseCommandWithCode,
+    applySiteCodeRequirement
+} = require('./site-codes');
+
+// Importar foto (selfie) en la entrada
+const {
+    PHOTO_REVIEW_STATUSES,
+    requiresSelfie,
+    storeSelfiePhoto,
+    getSelfiePhotoFile,
+    attachSelfieToRecord,
+    recordForwardedSelfie,
+    validatePhotoReviewData,
+    listSelfiePhotos,
+    getSelfiePhoto,
+    reviewSelfiePhoto,
+    formatSelfieRequestMessage,
+    formatForwardedSelfieMessage,
+    formatSelfieReceivedMessage
+} = require('./selfie-photos');
+
+// Importar salidas faltantes y cierre automático
+const {
+    MISSING_EXIT_CONFIG,
+    CONFIRMATION_STATUSES,
+    getMissingExitAlert,
+    markMissingExitNotified,
+    isAutoCloseDue,
+    autoCloseSession,
+    listAutoClosedExits,
+    getAutoClosedExit,
+    validateExitConfirmationData,
+    confirmAutoClosedExit,
+    formatMissingExitEmployeeMessage,
+    formatMissingExitSupervisorMessage,
+    formatAutoCloseEmployeeMessage,
+    formatAutoCloseSupervisorMessage
+} = require('./missing-exits');
+
+// Importar aprobación de registros rechazados por el supervisor
+const {
+    parseApprovalCommand,
+    isSupervisor,
+    canSuperviseRecord,
+    getApprovalRecord,
+    markApprovalPending,
+    validateApprovalCommand,
+    applyApprovalDecision,
+    formatRejectedPunchSupervisorMessage,
+    formatApprovalResultMessage,
+    formatApprovalEmployeeMessage
+} = require('./punch-approvals');
+
+// Importar correcciones de horario pedidas por el empleado
+const {
+    CORRECTION_STATUSES,
+    parseCorrectionCommand,
+    validateCorrectionRequest,
+    validateCorrectionDecisionData,
+    createCorrectionRequest,
+    getCorrectionRequest,
+    getPendingCorrections,
+    listCorrectionRequests,
+    decideCorrectionRequest,
+    formatCorrectionUsageMessage,
+    formatCorrectionCreatedMessage,
+    formatCorrectionSupervisorMessage,
+    formatCorrectionResultMessage,
+    formatCorrectionEmployeeMessage
+} = require('./time-corrections');
+
+// Importar edición manual de registros y su auditoría
+const {
+    validateManualRecordData,
+    validateTimeEditData,
+    validateVoidData,
+    validateRevalidationData,
+    getAttendanceRecord,
+    createManualRecord,
+    editRecordTime,
+    voidRecord,
+    revalidateRecord
+} = require('./attendance-edits');
+const { getRecordAuditTrail } = require('./attendance-audit');
+
+// Importar planilla de horas
+const { validateTimesheetRange, buildTimesheet } = require('./timesheets');
+
+// Importar manejo de zonas horarias
+const { TIMEZONE_CONFIG, formatLocalTimestamp } = require('./time-utils');
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -48,64 +234,256 @@ let whatsappClient = null;
 let isWhatsAppConnected = false;
 let currentQRCode = null;
 
-// Estado para manejo de comandos de asistencia
-const pendingAttendanceRequests = new Map(); // Para usuarios esperando ubicación
+// Función para guardar mensaje en base de datos
+async function saveMessageLog(phoneNumber, messageText, messageType) {
+    try {
+        await query(
+            'INSERT INTO message_logs (phone_number, message_text, message_type) VALUES (?, ?, ?)',
+            [phoneNumber, messageText, messageType]
+        );
+        console.log(`📝 Mensaje guardado: ${phoneNumber} - ${messageType}`);
+    } catch (error) {
+        console.error('❌ Error guardando mensaje:', error.message);
+    }
+}
+
+// Señales del mensaje de ubicación para el análisis anti-fraude
+function getLocationMessageSignals(message) {
+    return {
+        isForwarded: !!message.isForwarded,
+        // Un lugar elegido de la lista trae nombre y/o dirección; "Ubicación actual" no
+        placeName: message.location.name || null,
+        placeAddress: message.location.address || null,
+        isLive: isLiveLocationMessage(message)
+    };
+}
+
+// Datos de la ubicación del mensaje para la validación GPS
+function getLocationData(message) {
+    return {
+        latitude: message.location.latitude,
+        longitude: message.location.longitude,
+        accuracy: message.location.accuracy,
+        timestamp: message.location.timestamp,
+        messageSignals: getLocationMessageSignals(message)
+    };
+}
+
+// Dejar la solicitud esperando la foto del registro recién guardado
+async function awaitSelfiePhoto(whatsappId, action, recordId) {
+    await setPendingAction(whatsappId, action);
+    await setPendingPhotoRecord(whatsappId, recordId);
+    console.log(`📸 Esperando foto de ${action} para ${whatsappId} (registro ${recordId})`);
+}
 
-// Configuración de la base de datos
-const dbConfig = {
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'whatsapp_attendance',
-    port: process.env.DB_PORT || 3306
-};
+// Reenviar un registro rechazado a los supervisores del empleado; devuelve si se avisó a alguno
+async function forwardRejectedPunch(whatsappId, employee, recordId, nearestLocation) {
+    // Sin empleado registrado no hay supervisor responsable
+    if (!employee) {
+        return false;
+    }
+    
+    const record = await getApprovalRecord(recordId);
+    const supervisorMessage = formatRejectedPunchSupervisorMessage(record, employee.name, nearestLocation);
+    const supervisorsNotified = await notifySupervisors(employee, supervisorMessage);
+    
+    if (supervisorsNotified > 0) {
+        await markApprovalPending(recordId);
+        console.log(`🧑‍💼 Registro rechazado ${recordId} de ${whatsappId} enviado a ${supervisorsNotified} supervisor(es)`);
+    }
+    return supervisorsNotified > 0;
+}
 
-// Función para conectar a la base de datos
-async function connectToDatabase() {
+// Comando del supervisor "aprobar <id>" / "rechazar <id> <motivo>"
+async function handleApprovalCommand(whatsappId, supervisor, command) {
+    if (!isSupervisor(supervisor)) {
+        return '⛔ Solo los supervisores pueden aprobar o rechazar registros.';
+    }
+    
+    if (command.target === 'CORRECTION') {
+        return handleCorrectionDecisionCommand(whatsappId, supervisor, command);
+    }
+    
+    const record = command.recordId ? await getApprovalRecord(command.recordId) : null;
+    const errors = validateApprovalCommand(command, record, supervisor);
+    if (errors.length > 0) {
+        return `⚠️ ${errors.join('\n⚠️ ')}\n\n` +
+               '💡 Uso: *aprobar <id>* o *rechazar <id> <motivo>*';
+    }
+    
+    let decided;
+    try {
+        decided = await applyApprovalDecision(record, command, supervisor);
+    } catch (error) {
+        return `⚠️ ${error.message}`;
+    }
+    
+    clearEmployeeSession(decided.phone_number);
+    
     try {
-        const connection = await mysql.createConnection(dbConfig);
-        console.log('✅ Conectado a MySQL');
-        return connection;
+        await sendBotMessage(decided.phone_number, formatApprovalEmployeeMessage(decided));
     } catch (error) {
-        console.error('❌ Error conectando a MySQL:', error.message);
-        return null;
+        console.error(`❌ Error avisando al empleado la decisión del registro ${decided.id}:`, error.message);
     }
+    
+    io.emit('punch-approval', {
+        recordId: decided.id,
+        decision: decided.approval_status,
+        approvedBy: decided.approved_by,
+        supervisor: whatsappId
+    });
+    
+    return formatApprovalResultMessage(decided);
 }
 
-// Función para guardar mensaje en base de datos
-async function saveMessageLog(phoneNumber, messageText, messageType) {
-    try {
-        const connection = await connectToDatabase();
-        if (connection) {
-            await connection.execute(
-                'INSERT INTO message_logs (phone_number, message_text, message_type) VALUES (?, ?, ?)',
-                [phoneNumber, messageText, messageType]
-            );
-            await connection.end();
-            console.log(`📝 Mensaje guardado: ${phoneNumber} - ${messageType}`);
+// Comando del empleado "corregir salida ayer 18:30 motivo"
+async function handleCorrectionCommand(whatsappId, employee, command) {
+    if (!employee || !employee.is_active) {
+        return '🚫 Tu número no está registrado como empleado activo. Contacta a tu supervisor.';
+    }
+    
+    const errors = validateCorrectionRequest(command);
+    if (errors.length > 0) {
+        return formatCorrectionUsageMessage(command.action ? errors : []);
+    }
+    
+    const correction = await createCorrectionRequest(whatsappId, employee, command);
+    const supervisorsNotified = await notifySupervisors(employee, formatCorrectionSupervisorMessage(correction, employee.name));
+    
+    io.emit('correction-request', {
+        correctionId: correction.id,
+        from: whatsappId,
+        employeeName: employee.name,
+        action: correction.action_type,
+        requestedTime: correction.requested_time,
+        timestamp: new Date().toISOString()
+    });
+    
+    return formatCorrectionCreatedMessage(correction, supervisorsNotified);
+}
+
+// Aprobar o rechazar una corrección (por WhatsApp o desde el panel) y avisar al empleado
+async function decideCorrection(correction, data) {
+    // La hora corregida tiene que encajar con los registros válidos de alrededor (se verifica con la solicitud bloqueada)
+    const checkSequence = async (locked) => {
+        const sequence = await validateActionSequenceAt(locked.phone_number, locked.action_type, new Date(locked.requested_time));
+        if (!sequence.isValid) {
+            const error = new Error(`No se puede aprobar la corrección #C${locked.id}: ${sequence.reason}`);
+            error.code = 'SEQUENCE_CONFLICT';
+            throw error;
         }
+    };
+    
+    const decided = await decideCorrectionRequest(correction, data, checkSequence);
+    clearEmployeeSession(decided.phone_number);
+    
+    try {
+        await sendBotMessage(decided.phone_number, formatCorrectionEmployeeMessage(decided));
     } catch (error) {
-        console.error('❌ Error guardando mensaje:', error.message);
+        console.error(`❌ Error avisando al empleado la corrección #C${decided.id}:`, error.message);
+    }
+    
+    io.emit('correction-decided', {
+        correctionId: decided.id,
+        decision: decided.status,
+        decidedBy: decided.decided_by,
+        recordId: decided.record_id
+    });
+    
+    return decided;
+}
+
+// Comando del supervisor "aprobar C<id>" / "rechazar C<id> <motivo>"
+async function handleCorrectionDecisionCommand(whatsappId, supervisor, command) {
+    const correction = command.recordId ? await getCorrectionRequest(command.recordId) : null;
+    
+    if (!correction) {
+        return `⚠️ No existe la corrección #C${command.recordId}\n\n` +
+               '💡 Uso: *aprobar C<id>* o *rechazar C<id> <motivo>*';
+    }
+    if (correction.employee_id === supervisor.id) {
+        return `⚠️ La corrección #C${correction.id} es tuya: la tiene que decidir otro supervisor`;
+    }
+    if (!canSuperviseRecord(supervisor, correction)) {
+        return `⚠️ La corrección #C${correction.id} es de un empleado que no supervisas`;
+    }
+    if (command.decision === 'REJECTED' && !command.reason) {
+        return `⚠️ Indica el motivo: rechazar C${correction.id} <motivo>`;
+    }
+    
+    try {
+        const decided = await decideCorrection(correction, {
+            decision: command.decision,
+            decided_by: supervisor.name,
+            decided_by_phone: whatsappId,
+            comment: command.reason
+        });
+        return formatCorrectionResultMessage(decided);
+    } catch (error) {
+        return `⚠️ ${error.message}`;
+    }
+}
+
+// Registrar acción enviada con el código del kiosko ("entrada 483920")
+async function handleSiteCodeAction(whatsappId, action, code, actionValidation) {
+    const siteCode = findLocationBySiteCode(code, await getAuthorizedLocations());
+    const noLocation = { latitude: null, longitude: null, accuracy: null, timestamp: null };
+    
+    if (siteCode.result !== 'VALID') {
+        const validationResult = {
+            isValid: false,
+            location: null,
+            distance: null,
+            reasons: ['🔢 Código inválido o vencido. Revisa el código que muestra el kiosko e inténtalo de nuevo.'],
+            failedStep: 'SITE_CODE',
+            siteCode: siteCode
+        };
+        await saveAttendanceRecord(whatsappId, action, noLocation, validationResult);
+        return formatAdvancedValidationResponse(action, validationResult, whatsappId);
+    }
+    
+    const location = (await getAuthorizedLocations()).find(item => item.id === siteCode.locationId);
+    
+    // REPLACE: el código alcanza para registrar (sitios sin buena señal GPS)
+    if (location.codeMode === 'REPLACE') {
+        const validationResult = {
+            isValid: true,
+            location: location,
+            distance: null,
+            reasons: [`🔢 Código de ${location.name} verificado`],
+            warnings: [],
+            siteCode: siteCode,
+            awaitingPhoto: requiresSelfie(action, location)
+        };
+        const recordId = await saveAttendanceRecord(whatsappId, action, noLocation, validationResult);
+        console.log(`✅ ${action.toUpperCase()} con código para ${whatsappId} en ${location.name}`);
+        
+        if (validationResult.awaitingPhoto && recordId) {
+            await awaitSelfiePhoto(whatsappId, action, recordId);
+            return formatSelfieRequestMessage(action, location, PENDING_REQUEST_CONFIG.EXPIRY_MINUTES);
+        }
+        return formatAdvancedValidationResponse(action, validationResult, whatsappId);
     }
+    
+    // COMPLEMENT: además del código se pide la ubicación GPS
+    await setPendingAction(whatsappId, action);
+    await setPendingSiteCode(whatsappId, siteCode);
+    return `🔢 Código de *${location.name}* verificado.\n\n` + formatStateValidationMessage(action, actionValidation);
 }
 
 // Función para actualizar estado de WhatsApp en BD
 async function updateWhatsAppStatus(isConnected, qrCode = null) {
     try {
-        const connection = await connectToDatabase();
-        if (connection) {
-            if (isConnected) {
-                await connection.execute(
-                    'UPDATE whatsapp_status SET is_connected = ?, last_connected = NOW(), qr_code = NULL WHERE id = 1',
-                    [isConnected]
-                );
-            } else {
-                await connection.execute(
-                    'UPDATE whatsapp_status SET is_connected = ?, qr_code = ? WHERE id = 1',
-                    [isConnected, qrCode]
-                );
-            }
-            await connection.end();
+        if (isConnected) {
+            await query(
+                'UPDATE whatsapp_status SET is_connected = ?, last_connected = NOW(), qr_code = NULL WHERE id = 1',
+                [isConnected]
+            );
+        } else {
+            await query(
+                'UPDATE whatsapp_status SET is_connected = ?, qr_code = ? WHERE id = 1',
+                [isConnected, qrCode]
+            );
         }
     } catch (error) {
         console.error('❌ Error actualizando estado WhatsApp:', error.message);
@@ -234,12 +612,15 @@ function initializeWhatsApp() {
         // Guardar mensaje en base de datos
         await saveMessageLog(message.from, message.body, 'incoming');
 
-        // Obtener información del contacto
+        // Obtener información del contacto y del empleado registrado
         const contact = await message.getContact();
+        const employee = await getEmployeeByPhone(message.from);
+        const employeeName = employee ? employee.name : null;
         
         // Notificar al frontend
         io.emit('message-received', {
             from: message.from,
+            employeeName: employeeName,
             body: message.body,
             timestamp: new Date().toISOString(),
             contact: contact,
@@ -254,42 +635,132 @@ function initializeWhatsApp() {
             console.log('📍 Ubicación recibida:', message.location);
             
             // Verificar si el usuario tenía una solicitud pendiente
-            if (pendingAttendanceRequests.has(message.from)) {
-                const pendingAction = pendingAttendanceRequests.get(message.from);
-                pendingAttendanceRequests.delete(message.from);
+            const pendingRequest = await getPendingRequest(message.from);
+            if (pendingRequest && pendingRequest.photoRecordId) {
+                // La ubicación ya fue verificada: solo falta la foto
+                const responseMessage = '📸 Tu ubicación ya fue verificada. Para completar el registro envía una *foto tuya* (selfie).';
+                try {
+                    await message.reply(responseMessage);
+                    await saveMessageLog(message.from, responseMessage, 'outgoing');
+                } catch (error) {
+                    console.error('❌ Error enviando pedido de foto:', error.message);
+                }
+                return;
+            } else if (pendingRequest) {
+                const pendingAction = pendingRequest.action;
+                let locationData = getLocationData(message);
+                
+                // Check-in en tiempo real en curso: el resultado llega al terminar la lectura
+                if (pendingRequest.liveTrack && isLiveCheckinActive(message.from)) {
+                    const busyMessage = formatLiveCheckinBusyMessage();
+                    try {
+                        await message.reply(busyMessage);
+                        await saveMessageLog(message.from, busyMessage, 'outgoing');
+                    } catch (error) {
+                        console.error('❌ Error enviando aviso de check-in:', error.message);
+                    }
+                    return;
+                }
                 
                 console.log(`🔍 Procesando ${pendingAction} con ubicación para ${message.from}`);
                 
                 // Validar ubicación GPS con sistema anti-fraude avanzado
-                const validationResult = await validateGPSLocationAdvanced({
-                    latitude: message.location.latitude,
-                    longitude: message.location.longitude,
-                    accuracy: message.location.accuracy,
-                    timestamp: message.location.timestamp
-                }, message.from);
+                let validationResult = await validateGPSLocationAdvanced(locationData, message.from);
+                
+                // Ubicaciones COMPLEMENT exigen el código del kiosko enviado con el comando
+                applySiteCodeRequirement(validationResult, pendingRequest.siteCode);
+                
+                // Modo LIVE: con la primera posición válida se lee la ubicación en tiempo real durante la ventana
+                if (validationResult.isValid && requiresLiveCheckin(pendingAction, employee, validationResult.location)) {
+                    const location = validationResult.location;
+                    const isLive = isLiveLocationMessage(message);
+                    const liveMessage = isLive
+                        ? formatLiveCheckinCollectingMessage(location)
+                        : formatLiveCheckinStartMessage(pendingAction, location);
+                    
+                    if (isLive) {
+                        await startLiveCheckin(message.from, location, locationData);
+                    }
+                    try {
+                        await message.reply(liveMessage);
+                        await saveMessageLog(message.from, liveMessage, 'outgoing');
+                        io.emit('message-sent', {
+                            to: message.from,
+                            employeeName: employeeName,
+                            body: liveMessage,
+                            timestamp: new Date().toISOString()
+                        });
+                    } catch (error) {
+                        console.error('❌ Error enviando pedido de ubicación en tiempo real:', error.message);
+                    }
+                    if (!isLive) {
+                        return;
+                    }
+                    
+                    const collected = await collectLiveCheckin(message, message.from, getLocationData);
+                    if (!collected) {
+                        return; // Cancelado o vencido mientras se leía
+                    }
+                    
+                    console.log(`🔍 Procesando ${pendingAction} con ${collected.track.length} actualizaciones en tiempo real para ${message.from}`);
+                    locationData = collected.locationData;
+                    validationResult = await validateLiveCheckin(
+                        locationData, message.from, location.id, collected.track, collected.messageFlags
+                    );
+                    applySiteCodeRequirement(validationResult, pendingRequest.siteCode);
+                }
+                
+                await clearPendingAction(message.from);
                 
                 console.log('📊 Resultado validación ANTI-FRAUDE:', {
                     isValid: validationResult.isValid,
                     fraudRisk: validationResult.fraudRisk,
+                    fraudScore: validationResult.fraudScore,
                     suspiciousFlags: validationResult.suspiciousFlags.length,
                     location: validationResult.location?.name
                 });
                 
+                // Ubicaciones con foto obligatoria: la entrada queda pendiente hasta recibir la selfie
+                validationResult.awaitingPhoto = validationResult.isValid && requiresSelfie(pendingAction, validationResult.location);
+                
+                // Ubicación incierta (cerca del borde, solo con precisión informada): se pide reenviar
+                // sin guardar un registro rechazado por cada intento
+                const isUncertainRetry = validationResult.geofenceDecision === 'UNCERTAIN' &&
+                    validationResult.fraudRisk !== 'HIGH' && validationResult.fraudRisk !== 'BLOCKED';
+                
                 // Guardar registro en base de datos
-                await saveAttendanceRecord(
+                const recordId = isUncertainRetry ? null : await saveAttendanceRecord(
                     message.from, 
                     pendingAction, 
-                    {
-                        latitude: message.location.latitude,
-                        longitude: message.location.longitude,
-                        accuracy: message.location.accuracy,
-                        timestamp: message.location.timestamp
-                    },
+                    locationData,
                     validationResult
                 );
                 
-                // Generar respuesta con sistema anti-fraude
-                const responseMessage = formatAdvancedValidationResponse(pendingAction, validationResult, message.from);
+                if (validationResult.awaitingPhoto && recordId) {
+                    await awaitSelfiePhoto(message.from, pendingAction, recordId);
+                }
+                
+                // Ubicación incierta: se mantiene la solicitud para que reenvíe
+                if (isUncertainRetry) {
+                    await setPendingAction(message.from, pendingAction);
+                    if (pendingRequest.siteCode) {
+                        await setPendingSiteCode(message.from, pendingRequest.siteCode);
+                    }
+                } else if (!validationResult.isValid && recordId) {
+                    // Rechazo definitivo: el supervisor puede aprobarlo por WhatsApp
+                    validationResult.forwardedToSupervisor = await forwardRejectedPunch(
+                        message.from, employee, recordId, validationResult.location
+                    );
+                }
+                
+                // Generar respuesta con sistema anti-fraude (o pedir la foto)
+                let responseMessage = validationResult.awaitingPhoto && recordId
+                    ? formatSelfieRequestMessage(pendingAction, validationResult.location, PENDING_REQUEST_CONFIG.EXPIRY_MINUTES)
+                    : formatAdvancedValidationResponse(pendingAction, validationResult, message.from);
+                
+                if (validationResult.forwardedToSupervisor) {
+                    responseMessage += '\n\n📨 Tu supervisor recibió el detalle y puede aprobar el registro.';
+                }
                 
                 // Enviar respuesta
                 try {
@@ -301,6 +772,7 @@ function initializeWhatsApp() {
                     // Notificar al frontend
                     io.emit('message-sent', {
                         to: message.from,
+                        employeeName: employeeName,
                         body: responseMessage,
                         timestamp: new Date().toISOString()
                     });
@@ -329,6 +801,7 @@ function initializeWhatsApp() {
                     
                     io.emit('message-sent', {
                         to: message.from,
+                        employeeName: employeeName,
                         body: responseMessage,
                         timestamp: new Date().toISOString()
                     });
@@ -340,23 +813,84 @@ function initializeWhatsApp() {
             }
         }
 
+        // ========================================
+        // FOTO (SELFIE) DE LA ENTRADA
+        // ========================================
+        
+        if (message.hasMedia && message.type === 'image') {
+            const pendingRequest = await getPendingRequest(message.from);
+            
+            if (pendingRequest && pendingRequest.photoRecordId) {
+                let responseMessage;
+                
+                try {
+                    // Una foto reenviada puede ser de otra persona: se rechaza y queda contada en el registro
+                    if (message.isForwarded) {
+                        await recordForwardedSelfie(pendingRequest.photoRecordId);
+                        responseMessage = formatForwardedSelfieMessage();
+                    } else {
+                        const media = await message.downloadMedia();
+                        const photoPath = await storeSelfiePhoto(pendingRequest.photoRecordId, media);
+                        await attachSelfieToRecord(pendingRequest.photoRecordId, photoPath);
+                        await clearPendingAction(message.from);
+                        
+                        responseMessage = formatSelfieReceivedMessage(await getSelfiePhoto(pendingRequest.photoRecordId));
+                        console.log(`✅ ${pendingRequest.action.toUpperCase()} con foto completada para ${message.from}`);
+                    }
+                } catch (error) {
+                    console.error('❌ Error guardando foto:', error.message);
+                    responseMessage = `❌ No pudimos guardar tu foto: ${error.message}\n\n📸 Envíala nuevamente.`;
+                }
+                
+                try {
+                    await message.reply(responseMessage);
+                    await saveMessageLog(message.from, responseMessage, 'outgoing');
+                    
+                    io.emit('message-sent', {
+                        to: message.from,
+                        employeeName: employeeName,
+                        body: responseMessage,
+                        timestamp: new Date().toISOString()
+                    });
+                } catch (error) {
+                    console.error('❌ Error enviando respuesta de foto:', error.message);
+                }
+                
+                return;
+            }
+        }
+
         // ========================================
         // COMANDOS DE TEXTO
         // ========================================
 
-        const messageBody = message.body.toLowerCase().trim();
+        // "entrada 483920": comando con el código del kiosko de la ubicación
+        const { command: messageBody, code: siteCodeInput } = parseCommandWithCode(message.body.toLowerCase().trim());
+        // "rechazar 123 motivo": el motivo conserva mayúsculas, se interpreta del texto original
+        const approvalCommand = parseApprovalCommand(message.body);
+        const correctionCommand = parseCorrectionCommand(message.body);
         let responseMessage = null;
 
+        // Comandos del supervisor sobre registros rechazados y correcciones
+        if (approvalCommand) {
+            responseMessage = await handleApprovalCommand(message.from, employee, approvalCommand);
+
+        // Corrección de un registro olvidado o equivocado
+        } else if (correctionCommand) {
+            responseMessage = await handleCorrectionCommand(message.from, employee, correctionCommand);
+
         // Comandos de asistencia con GPS y control de estados
-        if (messageBody === '/entrada' || messageBody === 'entrada') {
+        } else if (messageBody === '/entrada' || messageBody === 'entrada') {
             // VALIDAR PRIMERO si puede registrar entrada
             const actionValidation = await validateAttendanceAction(message.from, 'entrada');
             
             if (!actionValidation.isAllowed) {
                 responseMessage = formatStateValidationMessage('entrada', actionValidation);
+            } else if (siteCodeInput) {
+                responseMessage = await handleSiteCodeAction(message.from, 'entrada', siteCodeInput, actionValidation);
             } else {
                 // Si está permitido, proceder con solicitud de ubicación
-                pendingAttendanceRequests.set(message.from, 'entrada');
+                await setPendingAction(message.from, 'entrada');
                 responseMessage = formatStateValidationMessage('entrada', actionValidation);
             }
 
@@ -366,17 +900,40 @@ function initializeWhatsApp() {
             
             if (!actionValidation.isAllowed) {
                 responseMessage = formatStateValidationMessage('salida', actionValidation);
+            } else if (siteCodeInput) {
+                responseMessage = await handleSiteCodeAction(message.from, 'salida', siteCodeInput, actionValidation);
             } else {
                 // Si está permitido, proceder con solicitud de ubicación
-                pendingAttendanceRequests.set(message.from, 'salida');
+                await setPendingAction(message.from, 'salida');
                 responseMessage = formatStateValidationMessage('salida', actionValidation);
             }
 
+        } else if (['pausa', '/pausa', 'regreso', '/regreso'].includes(messageBody)) {
+            const breakAction = messageBody.replace('/', '');
+            const actionValidation = await validateAttendanceAction(message.from, breakAction);
+            
+            if (!actionValidation.isAllowed) {
+                responseMessage = formatStateValidationMessage(breakAction, actionValidation);
+            } else if (STATE_CONTROL_CONFIG.BREAK_REQUIRES_GPS && siteCodeInput) {
+                responseMessage = await handleSiteCodeAction(message.from, breakAction, siteCodeInput, actionValidation);
+            } else if (STATE_CONTROL_CONFIG.BREAK_REQUIRES_GPS) {
+                // Mismo flujo que entrada/salida: se espera la ubicación
+                await setPendingAction(message.from, breakAction);
+                responseMessage = formatStateValidationMessage(breakAction, actionValidation);
+            } else {
+                // Pausas sin GPS: se registran directamente
+                await saveAttendanceRecord(
+                    message.from,
+                    breakAction,
+                    { latitude: null, longitude: null, accuracy: null, timestamp: null },
+                    { isValid: true, location: null, distance: null }
+                );
+                responseMessage = formatBreakRegisteredMessage(breakAction, actionValidation);
+            }
+
         } else if (messageBody === 'cancelar' || messageBody === '/cancelar') {
-            if (pendingAttendanceRequests.has(message.from)) {
-                const cancelledAction = pendingAttendanceRequests.get(message.from);
-                pendingAttendanceRequests.delete(message.from);
-                
+            const cancelledAction = await clearPendingAction(message.from);
+            if (cancelledAction) {
                 responseMessage = `❌ *Registro de ${cancelledAction.toUpperCase()} cancelado*\n\n` +
                                  'Puedes intentar nuevamente cuando quieras.\n' +
                                  'Envía *entrada* o *salida* para registrar tu asistencia.';
@@ -388,11 +945,22 @@ function initializeWhatsApp() {
             responseMessage = '📋 *COMANDOS DISPONIBLES:*\n\n' +
                              '🟢 *entrada* - Registrar hora de entrada\n' +
                              '🔴 *salida* - Registrar hora de salida\n' +
+                             '☕ *pausa* - Iniciar una pausa (almuerzo, descanso)\n' +
+                             '🔙 *regreso* - Volver de la pausa\n' +
                              '📊 *estado* - Ver último registro\n' +
                              '📍 *ubicaciones* - Ver puntos autorizados\n' +
+                             '🔢 *entrada 123456* - Registrar con el código del kiosko\n' +
+                             '✏️ *corregir salida ayer 18:30 motivo* - Pedir una corrección\n' +
                              '❌ *cancelar* - Cancelar registro pendiente\n' +
                              '❓ *ayuda* - Mostrar esta ayuda\n\n' +
                              '⚠️ *IMPORTANTE:* Para registrar entrada/salida necesitas compartir tu ubicación GPS actual.';
+            
+            if (isSupervisor(employee)) {
+                responseMessage += '\n\n🧑‍💼 *SUPERVISORES:*\n' +
+                                   '✅ *aprobar 123* - Aprobar un registro rechazado\n' +
+                                   '🚫 *rechazar 123 motivo* - Confirmar el rechazo\n' +
+                                   '✏️ *aprobar C45* / *rechazar C45 motivo* - Responder una corrección';
+            }
 
         } else if (messageBody === '/estado' || messageBody === 'estado') {
             // Generar reporte completo del estado del empleado
@@ -404,15 +972,22 @@ function initializeWhatsApp() {
             }
 
         } else if (messageBody === '/ubicaciones' || messageBody === 'ubicaciones') {
+            const authorizedLocations = await getAuthorizedLocations();
             responseMessage = '📍 *UBICACIONES AUTORIZADAS:*\n\n';
             
-            AUTHORIZED_LOCATIONS.forEach((location, index) => {
+            authorizedLocations.forEach((location, index) => {
                 responseMessage += `${index + 1}️⃣ *${location.name}*\n`;
-                responseMessage += `   📏 Radio: ${location.radius}m\n`;
+                responseMessage += location.polygon
+                    ? `   🗺️ Perímetro: polígono de ${location.polygon.length} vértices\n`
+                    : `   📏 Radio: ${location.radius}m\n`;
                 responseMessage += `   📱 Coordenadas: ${location.lat.toFixed(6)}, ${location.lng.toFixed(6)}\n\n`;
             });
             
-            responseMessage += '⚠️ *Debes estar dentro del radio especificado para cada ubicación.*';
+            if (authorizedLocations.length === 0) {
+                responseMessage += 'No hay ubicaciones configuradas. Contacta a tu supervisor.';
+            } else {
+                responseMessage += '⚠️ *Debes estar dentro del perímetro o radio especificado para cada ubicación.*';
+            }
 
         } else if (messageBody.includes('hola') || messageBody.includes('buenos dias') || messageBody.includes('buenas tardes')) {
             responseMessage = '👋 *¡Hola!* Soy el bot de asistencia.\n\n' +
@@ -425,9 +1000,9 @@ function initializeWhatsApp() {
 
         } else {
             // Verificar si hay solicitud pendiente para dar contexto
-            if (pendingAttendanceRequests.has(message.from)) {
-                const pendingAction = pendingAttendanceRequests.get(message.from);
-                responseMessage = `⏳ *Registro de ${pendingAction.toUpperCase()} pendiente*\n\n` +
+            const pendingRequest = await getPendingRequest(message.from);
+            if (pendingRequest) {
+                responseMessage = `⏳ *Registro de ${pendingRequest.action.toUpperCase()} pendiente*\n\n` +
                                  '📍 Envía tu ubicación actual para continuar.\n' +
                                  '❌ Responde *cancelar* si quieres cancelar.\n' +
                                  '❓ Responde *ayuda* si necesitas instrucciones.';
@@ -451,6 +1026,7 @@ function initializeWhatsApp() {
                 // Notificar al frontend
                 io.emit('message-sent', {
                     to: message.from,
+                    employeeName: employeeName,
                     body: responseMessage,
                     timestamp: new Date().toISOString()
                 });
@@ -470,26 +1046,18 @@ function initializeWhatsApp() {
 // Obtener estado de WhatsApp
 app.get('/api/whatsapp/status', async (req, res) => {
     try {
-        const connection = await connectToDatabase();
-        if (connection) {
-            const [rows] = await connection.execute('SELECT * FROM whatsapp_status WHERE id = 1');
-            await connection.end();
-            
-            res.json({
-                success: true,
-                data: {
-                    connected: isWhatsAppConnected,
-                    qrCode: currentQRCode,
-                    lastConnected: rows[0]?.last_connected || null,
-                    realTimeStatus: isWhatsAppConnected ? 'Conectado' : 'Desconectado'
-                }
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                error: 'Error conectando a base de datos'
-            });
-        }
+        const rows = await query('SELECT * FROM whatsapp_status WHERE id = 1');
+        
+        res.json({
+            success: true,
+            data: {
+                connected: isWhatsAppConnected,
+                qrCode: currentQRCode,
+                lastConnected: rows[0]?.last_connected || null,
+                timezone: TIMEZONE_CONFIG.BUSINESS_TIMEZONE,
+                realTimeStatus: isWhatsAppConnected ? 'Conectado' : 'Desconectado'
+            }
+        });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -499,7 +1067,7 @@ app.get('/api/whatsapp/status', async (req, res) => {
 });
 
 // Reconectar WhatsApp
-app.post('/api/whatsapp/reconnect', async (req, res) => {
+app.post('/api/whatsapp/reconnect', requireAdmin, async (req, res) => {
     try {
         console.log('🔄 Iniciando proceso de reconexión...');
         
@@ -538,7 +1106,7 @@ app.post('/api/whatsapp/reconnect', async (req, res) => {
 });
 
 // Desconectar WhatsApp
-app.post('/api/whatsapp/disconnect', async (req, res) => {
+app.post('/api/whatsapp/disconnect', requireAdmin, async (req, res) => {
     try {
         if (whatsappClient) {
             await whatsappClient.destroy();
@@ -569,25 +1137,19 @@ app.post('/api/whatsapp/disconnect', async (req, res) => {
 app.get('/api/messages/logs', async (req, res) => {
     try {
         const limit = req.query.limit || 50;
-        const connection = await connectToDatabase();
+        const rows = await query(
+            `SELECT m.*, e.name AS employee_name FROM message_logs m 
+             LEFT JOIN employees e ON e.phone_number = SUBSTRING_INDEX(m.phone_number, '@', 1) 
+             ORDER BY m.timestamp DESC LIMIT ?`,
+            [parseInt(limit)]
+        );
         
-        if (connection) {
-            const [rows] = await connection.execute(
-                'SELECT * FROM message_logs ORDER BY timestamp DESC LIMIT ?',
-                [parseInt(limit)]
-            );
-            await connection.end();
-            
-            res.json({
-                success: true,
-                data: rows
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                error: 'Error conectando a base de datos'
-            });
-        }
+        // timestamp en UTC; timestamp_local en la zona horaria del negocio
+        res.json({
+            success: true,
+            timezone: TIMEZONE_CONFIG.BUSINESS_TIMEZONE,
+            data: rows.map(row => ({ ...row, timestamp_local: formatLocalTimestamp(row.timestamp) }))
+        });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -596,29 +1158,32 @@ app.get('/api/messages/logs', async (req, res) => {
     }
 });
 
-// Nueva ruta: Obtener registros de asistencia
-app.get('/api/attendance/records', async (req, res) => {
+// Nueva ruta: Obtener registros de asistencia (requiere ADMIN_API_TOKEN: incluye señales de fraude y coordenadas)
+app.get('/api/attendance/records', requireAdmin, async (req, res) => {
     try {
         const limit = req.query.limit || 50;
-        const connection = await connectToDatabase();
+        const rows = await query(
+            `SELECT a.*, COALESCE(l.name, a.location_name) AS location_name, l.timezone AS location_timezone, 
+                    e.name AS employee_name 
+             FROM attendance_records a 
+             LEFT JOIN locations l ON l.id = a.location_id 
+             LEFT JOIN employees e ON e.phone_number = SUBSTRING_INDEX(a.phone_number, '@', 1) 
+             ORDER BY a.timestamp DESC LIMIT ?`,
+            [parseInt(limit)]
+        );
         
-        if (connection) {
-            const [rows] = await connection.execute(
-                'SELECT * FROM attendance_records ORDER BY timestamp DESC LIMIT ?',
-                [parseInt(limit)]
-            );
-            await connection.end();
-            
-            res.json({
-                success: true,
-                data: rows
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                error: 'Error conectando a base de datos'
-            });
-        }
+        // timestamp en UTC; timestamp_local en la zona horaria de la ubicación (o la del negocio)
+        res.json({
+            success: true,
+            timezone: TIMEZONE_CONFIG.BUSINESS_TIMEZONE,
+            data: rows.map(row => ({
+                ...row,
+                timezone: row.location_timezone || TIMEZONE_CONFIG.BUSINESS_TIMEZONE,
+                timestamp_local: formatLocalTimestamp(row.timestamp, row.location_timezone),
+                fraud_flags: parseJsonColumn(row.fraud_flags) || [],
+                rejection_reasons: parseJsonColumn(row.rejection_reasons) || []
+            }))
+        });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -627,52 +1192,1392 @@ app.get('/api/attendance/records', async (req, res) => {
     }
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({
-        success: true,
-        message: 'Backend funcionando correctamente',
-        timestamp: new Date().toISOString(),
-        whatsappConnected: isWhatsAppConnected
-    });
-});
+// ========================================
+// EMPLEADOS (requieren ADMIN_API_TOKEN: incluyen documento, teléfono y rol)
+// ========================================
 
-// Manejar conexiones de WebSocket
-io.on('connection', (socket) => {
-    console.log('🔌 Cliente conectado via WebSocket:', socket.id);
-    
-    // Enviar estado actual al cliente que se conecta
-    socket.emit('whatsapp-status', {
-        connected: isWhatsAppConnected,
-        message: isWhatsAppConnected ? 'WhatsApp conectado' : 'WhatsApp desconectado'
-    });
-    
-    // Si hay un QR code disponible, enviarlo
-    if (currentQRCode) {
-        socket.emit('qr-code', {
-            qrCode: currentQRCode,
-            message: 'Escanea el código QR con WhatsApp'
+// Listar empleados (?includeInactive=true para ver también los desactivados)
+app.get('/api/employees', requireAdmin, async (req, res) => {
+    try {
+        const employees = await listEmployees(req.query.includeInactive === 'true');
+        
+        res.json({
+            success: true,
+            data: employees
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
         });
     }
-    
-    socket.on('disconnect', () => {
-        console.log('🔌 Cliente desconectado:', socket.id);
-    });
 });
 
-// Limpiar solicitudes pendientes cada 5 minutos
-setInterval(() => {
-    const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-    
-    for (const [phoneNumber, request] of pendingAttendanceRequests) {
-        // Simplificado: eliminar todas las solicitudes cada 5 minutos
-        // En producción, deberías guardar timestamp de cada solicitud
-        if (Math.random() < 0.1) { // 10% de probabilidad de limpiar cada iteración
-            pendingAttendanceRequests.delete(phoneNumber);
-            console.log(`🧹 Solicitud pendiente limpiada para ${phoneNumber}`);
+// Obtener un empleado
+app.get('/api/employees/:id', requireAdmin, async (req, res) => {
+    try {
+        const employee = await getEmployeeById(req.params.id);
+        
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                error: 'Empleado no encontrado'
+            });
         }
-    }
-}, 5 * 60 * 1000); // Cada 5 minutos
+        
+        res.json({
+            success: true,
+            data: employee
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Registrar empleado (requiere ADMIN_API_TOKEN: el rol define quién aprueba registros)
+app.post('/api/employees', requireAdmin, async (req, res) => {
+    const errors = validateEmployeeData(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: errors.join('. ')
+        });
+    }
+    
+    try {
+        const employee = await createEmployee(req.body);
+        
+        res.status(201).json({
+            success: true,
+            data: employee
+        });
+    } catch (error) {
+        res.status(error.code === 'ER_DUP_ENTRY' ? 409 : 500).json({
+            success: false,
+            error: error.code === 'ER_DUP_ENTRY' ? 'Ya existe un empleado con ese documento o teléfono' : error.message
+        });
+    }
+});
+
+// Actualizar empleado (requiere ADMIN_API_TOKEN: el rol define quién aprueba registros)
+app.put('/api/employees/:id', requireAdmin, async (req, res) => {
+    const errors = validateEmployeeData(req.body, true);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: errors.join('. ')
+        });
+    }
+    
+    try {
+        const employee = await updateEmployee(req.params.id, req.body);
+        
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                error: 'Empleado no encontrado'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: employee
+        });
+    } catch (error) {
+        res.status(error.code === 'ER_DUP_ENTRY' ? 409 : 500).json({
+            success: false,
+            error: error.code === 'ER_DUP_ENTRY' ? 'Ya existe un empleado con ese documento o teléfono' : error.message
+        });
+    }
+});
+
+// Desactivar empleado (no se borra para conservar su historial)
+app.delete('/api/employees/:id', requireAdmin, async (req, res) => {
+    try {
+        const employee = await deactivateEmployee(req.params.id);
+        
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                error: 'Empleado no encontrado'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: employee
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Asignar supervisor a un empleado (supervisor_id null = supervisores de su departamento; requiere ADMIN_API_TOKEN)
+app.put('/api/employees/:id/supervisor', requireAdmin, async (req, res) => {
+    const supervisorId = req.body.supervisor_id || null;
+    
+    try {
+        if (supervisorId) {
+            const supervisor = await getEmployeeById(supervisorId);
+            if (!supervisor || !supervisor.is_active || !SUPERVISOR_ROLES.includes(supervisor.role)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Supervisor inexistente, desactivado o sin rol ${SUPERVISOR_ROLES.join('/')}`
+                });
+            }
+            if (String(supervisor.id) === String(req.params.id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Un empleado no puede ser su propio supervisor'
+                });
+            }
+        }
+        
+        const employee = await assignSupervisorToEmployee(req.params.id, supervisorId);
+        
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                error: 'Empleado no encontrado'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: employee
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Asignar turno a un empleado (shift_id null = "Sin turno")
+app.put('/api/employees/:id/shift', requireAdmin, async (req, res) => {
+    const shiftId = req.body.shift_id || null;
+    
+    try {
+        if (shiftId) {
+            const shift = await getShiftById(shiftId);
+            if (!shift || !shift.is_active) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Turno inexistente o desactivado'
+                });
+            }
+        }
+        
+        const employee = await assignShiftToEmployee(req.params.id, shiftId);
+        
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                error: 'Empleado no encontrado'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: employee
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// TURNOS DE TRABAJO (las altas y cambios requieren ADMIN_API_TOKEN)
+// ========================================
+
+// Listar turnos (?includeInactive=true para ver también los desactivados)
+app.get('/api/shifts', async (req, res) => {
+    try {
+        const shifts = await listShifts(req.query.includeInactive === 'true');
+        
+        res.json({
+            success: true,
+            data: shifts
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Crear turno
+app.post('/api/shifts', requireAdmin, async (req, res) => {
+    const errors = validateShiftData(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: errors.join('. ')
+        });
+    }
+    
+    try {
+        const shift = await createShift(req.body);
+        
+        res.status(201).json({
+            success: true,
+            data: shift
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Actualizar turno
+app.put('/api/shifts/:id', requireAdmin, async (req, res) => {
+    try {
+        const existing = await getShiftById(req.params.id);
+        
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Turno no encontrado'
+            });
+        }
+        
+        // Los campos enviados se validan junto con los que ya tiene el turno
+        const errors = validateShiftData(req.body, existing);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join('. ')
+            });
+        }
+        
+        const shift = await updateShift(req.params.id, req.body);
+        
+        res.json({
+            success: true,
+            data: shift
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Desactivar turno (sus empleados pasan a "Sin turno")
+app.delete('/api/shifts/:id', requireAdmin, async (req, res) => {
+    try {
+        const shift = await deactivateShift(req.params.id);
+        
+        if (!shift) {
+            return res.status(404).json({
+                success: false,
+                error: 'Turno no encontrado'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: shift
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// UBICACIONES DE TRABAJO (las altas y cambios requieren ADMIN_API_TOKEN)
+// ========================================
+
+// Listar ubicaciones (?includeInactive=true para ver también las desactivadas)
+app.get('/api/locations', async (req, res) => {
+    try {
+        const locations = await listLocations(req.query.includeInactive === 'true');
+        
+        res.json({
+            success: true,
+            data: locations
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Crear ubicación
+app.post('/api/locations', requireAdmin, async (req, res) => {
+    const errors = validateLocationData(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: errors.join('. ')
+        });
+    }
+    
+    try {
+        const location = await createLocation(req.body);
+        
+        res.status(201).json({
+            success: true,
+            data: location
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Actualizar ubicación
+app.put('/api/locations/:id', requireAdmin, async (req, res) => {
+    const errors = validateLocationData(req.body, true);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: errors.join('. ')
+        });
+    }
+    
+    try {
+        const location = await updateLocation(req.params.id, req.body);
+        
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                error: 'Ubicación no encontrada'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: location
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Desactivar ubicación (los registros históricos la siguen referenciando)
+app.delete('/api/locations/:id', requireAdmin, async (req, res) => {
+    try {
+        const location = await deactivateLocation(req.params.id);
+        
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                error: 'Ubicación no encontrada'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: location
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Todas las rutas /api/admin exigen ADMIN_API_TOKEN
+app.use('/api/admin', requireAdmin);
+
+// Verificar el token de administración (inicio de sesión del panel)
+app.get('/api/admin/session', (req, res) => {
+    res.json({
+        success: true,
+        data: { role: 'admin' }
+    });
+});
+
+// ========================================
+// REVISIÓN ANTI-FRAUDE (requiere ADMIN_API_TOKEN)
+// ========================================
+
+// Cola de registros sospechosos (?status=PENDING|LEGITIMATE|FRAUD_CONFIRMED|ALL, por defecto PENDING)
+app.get('/api/admin/fraud/reviews', async (req, res) => {
+    const status = req.query.status || 'PENDING';
+    
+    if (status !== 'ALL' && !REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            error: `Estado inválido. Valores permitidos: ${REVIEW_STATUSES.join(', ')}, ALL`
+        });
+    }
+    
+    try {
+        const items = await listReviewQueue(status, req.query.limit || 50);
+        res.json({
+            success: true,
+            data: items.map(item => ({
+                ...item,
+                timestamp_local: formatLocalTimestamp(item.timestamp)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Detalle de un registro sospechoso (incluye historial de ubicaciones del empleado)
+app.get('/api/admin/fraud/reviews/:id', async (req, res) => {
+    try {
+        const item = await getReviewItem(req.params.id);
+        
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registro no encontrado'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: { ...item, timestamp_local: formatLocalTimestamp(item.timestamp) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Marcar registro como legítimo o fraude confirmado ({ decision, comment, reviewed_by })
+app.put('/api/admin/fraud/reviews/:id', async (req, res) => {
+    const errors = validateReviewData(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: errors.join('. ')
+        });
+    }
+    
+    try {
+        const item = await getReviewItem(req.params.id);
+        
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registro no encontrado'
+            });
+        }
+        
+        if (!REVIEWABLE_FRAUD_RISKS.includes(item.fraud_risk)) {
+            return res.status(400).json({
+                success: false,
+                error: 'El registro no está marcado como sospechoso'
+            });
+        }
+        
+        const reviewed = await reviewRecord(req.params.id, req.body);
+        
+        res.json({
+            success: true,
+            data: { ...reviewed, timestamp_local: formatLocalTimestamp(reviewed.timestamp) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// ADMINISTRACIÓN ANTI-FRAUDE (requiere ADMIN_API_TOKEN)
+// ========================================
+
+// Convertir número de la URL al identificador de WhatsApp usado en el historial anti-fraude
+function toWhatsAppId(phone) {
+    return `${normalizePhoneNumber(phone)}@c.us`;
+}
+
+// Listar usuarios bloqueados (?includeWarnings=true para ver también los que tienen advertencias)
+app.get('/api/admin/fraud/blocked', async (req, res) => {
+    try {
+        const users = await listSuspiciousUsers(req.query.includeWarnings === 'true');
+        res.json({
+            success: true,
+            data: users.map(user => ({
+                ...user,
+                blockUntil_local: user.blockUntil ? formatLocalTimestamp(user.blockUntil) : null
+            })),
+            maxWarnings: ADVANCED_FRAUD_CONFIG.MAX_WARNINGS_PER_USER
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Historial de ubicaciones, incidentes, bloqueo y sesión en memoria de un empleado
+app.get('/api/admin/fraud/users/:phone', async (req, res) => {
+    const whatsappId = toWhatsAppId(req.params.phone);
+    
+    try {
+        const [employee, activity, locationHistory] = await Promise.all([
+            getEmployeeByPhone(whatsappId),
+            getSuspiciousActivity(whatsappId),
+            getUserLocationHistory(whatsappId)
+        ]);
+        
+        res.json({
+            success: true,
+            data: {
+                phoneNumber: whatsappId,
+                employee,
+                ...activity,
+                locationHistory,
+                cache: getEmployeeCache(whatsappId)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Desbloquear empleado y borrar sus advertencias (falso positivo)
+app.post('/api/admin/fraud/users/:phone/unblock', async (req, res) => {
+    const whatsappId = toWhatsAppId(req.params.phone);
+    
+    try {
+        const status = await clearUserWarnings(whatsappId);
+        console.log(`🔓 Empleado ${whatsappId} desbloqueado por un administrador`);
+        
+        res.json({
+            success: true,
+            message: 'Empleado desbloqueado',
+            data: status
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Bloquear o extender el bloqueo de un empleado ({ minutes }, por defecto BLOCK_DURATION_MINUTES)
+app.post('/api/admin/fraud/users/:phone/block', async (req, res) => {
+    const whatsappId = toWhatsAppId(req.params.phone);
+    const minutes = req.body.minutes === undefined
+        ? ADVANCED_FRAUD_CONFIG.BLOCK_DURATION_MINUTES
+        : Number(req.body.minutes);
+    
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'minutes debe ser un número entero mayor a 0'
+        });
+    }
+    
+    try {
+        const status = await extendUserBlock(whatsappId, minutes);
+        console.log(`🔒 Bloqueo de ${whatsappId} extendido ${minutes} minutos por un administrador`);
+        
+        res.json({
+            success: true,
+            message: `Empleado bloqueado hasta ${formatLocalTimestamp(status.blockUntil)}`,
+            data: { ...status, blockUntil_local: formatLocalTimestamp(status.blockUntil) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Reiniciar sesión del empleado (sesión y estado en memoria, solicitud de ubicación pendiente)
+app.delete('/api/admin/sessions/:phone', async (req, res) => {
+    const whatsappId = toWhatsAppId(req.params.phone);
+    
+    try {
+        clearEmployeeSession(whatsappId);
+        const pendingAction = await clearPendingAction(whatsappId);
+        console.log(`♻️ Sesión de ${whatsappId} reiniciada por un administrador`);
+        
+        res.json({
+            success: true,
+            message: 'Sesión reiniciada',
+            data: { pendingActionCleared: pendingAction }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Rotar secreto del código de una ubicación (los kioskos muestran el código nuevo al instante)
+app.post('/api/admin/locations/:id/code-secret', async (req, res) => {
+    try {
+        const location = await rotateLocationCodeSecret(req.params.id);
+        
+        if (!location) {
+            return res.status(404).json({
+                success: false,
+                error: 'Ubicación no encontrada'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Secreto del código rotado',
+            data: location
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Fotos de entrada (?status=PENDING|APPROVED|REJECTED|INCOMPLETE|ALL, por defecto PENDING)
+app.get('/api/admin/photos', async (req, res) => {
+    const status = req.query.status || 'PENDING';
+    
+    if (!['ALL', 'INCOMPLETE', ...PHOTO_REVIEW_STATUSES].includes(status)) {
+        return res.status(400).json({
+            success: false,
+            error: `Estado inválido. Valores permitidos: ${PHOTO_REVIEW_STATUSES.join(', ')}, INCOMPLETE, ALL`
+        });
+    }
+    
+    try {
+        const photos = await listSelfiePhotos(status, req.query.limit || 50);
+        res.json({
+            success: true,
+            data: photos.map(photo => ({
+                ...photo,
+                timestamp_local: formatLocalTimestamp(photo.timestamp, photo.location_timezone)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Archivo de la foto de un registro
+app.get('/api/admin/photos/:id/image', async (req, res) => {
+    try {
+        const photoFile = getSelfiePhotoFile(await getSelfiePhoto(req.params.id));
+        
+        if (!photoFile) {
+            return res.status(404).json({
+                success: false,
+                error: 'Foto no encontrada'
+            });
+        }
+        
+        res.sendFile(photoFile, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Archivo de la foto no disponible'
+                });
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Aprobar o rechazar la foto de un registro ({ decision, comment, reviewed_by })
+app.put('/api/admin/photos/:id', async (req, res) => {
+    const errors = validatePhotoReviewData(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: errors.join('. ')
+        });
+    }
+    
+    try {
+        const photo = await getSelfiePhoto(req.params.id);
+        
+        if (!photo) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registro no encontrado'
+            });
+        }
+        
+        if (photo.photo_status !== 'RECEIVED') {
+            return res.status(400).json({
+                success: false,
+                error: 'El registro no tiene foto para revisar'
+            });
+        }
+        
+        const reviewed = await reviewSelfiePhoto(req.params.id, req.body);
+        
+        res.json({
+            success: true,
+            data: { ...reviewed, timestamp_local: formatLocalTimestamp(reviewed.timestamp, reviewed.location_timezone) }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Empleados que siguen dentro pasado el fin de su turno
+app.get('/api/admin/missing-exits', async (req, res) => {
+    try {
+        const missingExits = await detectMissingExits();
+        res.json({
+            success: true,
+            data: missingExits.map(missingExit => ({
+                phoneNumber: missingExit.phoneNumber,
+                employeeId: missingExit.employee.id,
+                employeeName: missingExit.employee.name,
+                entryRecordId: missingExit.entryRecord.id,
+                entryTime: formatLocalTimestamp(missingExit.entryRecord.timestamp, missingExit.timezone),
+                lastAction: missingExit.lastRecord.action_type,
+                shiftEnd: formatLocalTimestamp(missingExit.shiftEnd, missingExit.timezone),
+                hoursSinceShiftEnd: Math.round(missingExit.hoursSinceShiftEnd * 10) / 10,
+                autoCloseDue: isAutoCloseDue(missingExit)
+            })),
+            autoCloseAfterHours: MISSING_EXIT_CONFIG.AUTO_CLOSE_AFTER_HOURS
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Salidas automáticas (?status=PENDING|CONFIRMED|ALL, por defecto PENDING)
+app.get('/api/admin/auto-exits', async (req, res) => {
+    const status = req.query.status || 'PENDING';
+    
+    if (status !== 'ALL' && !CONFIRMATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            error: `Estado inválido. Valores permitidos: ${CONFIRMATION_STATUSES.join(', ')}, ALL`
+        });
+    }
+    
+    try {
+        const autoExits = await listAutoClosedExits(status, req.query.limit || 50);
+        res.json({
+            success: true,
+            data: autoExits.map(autoExit => ({
+                ...autoExit,
+                timestamp_local: formatLocalTimestamp(autoExit.timestamp, autoExit.location_timezone)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Confirmar salida automática ({ confirmed_by, exit_time?, comment? }); exit_time corrige la hora
+app.put('/api/admin/auto-exits/:id/confirm', async (req, res) => {
+    try {
+        const autoExit = await getAutoClosedExit(req.params.id);
+        
+        if (!autoExit) {
+            return res.status(404).json({
+                success: false,
+                error: 'Salida automática no encontrada'
+            });
+        }
+        
+        if (autoExit.confirmation_status !== 'PENDING') {
+            return res.status(409).json({
+                success: false,
+                error: 'La salida automática ya fue confirmada'
+            });
+        }
+        
+        const errors = validateExitConfirmationData(req.body, autoExit);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join('. ')
+            });
+        }
+        
+        const confirmed = await confirmAutoClosedExit(autoExit, req.body);
+        clearEmployeeSession(confirmed.phone_number);
+        
+        res.json({
+            success: true,
+            data: { ...confirmed, timestamp_local: formatLocalTimestamp(confirmed.timestamp, confirmed.location_timezone) }
+        });
+    } catch (error) {
+        res.status(['SEQUENCE_CONFLICT', 'ALREADY_DECIDED'].includes(error.code) ? 409 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Solicitudes de corrección (?status=PENDING|APPROVED|REJECTED|ALL, por defecto PENDING)
+app.get('/api/admin/corrections', async (req, res) => {
+    const status = req.query.status || 'PENDING';
+    
+    if (status !== 'ALL' && !CORRECTION_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            error: `Estado inválido. Valores permitidos: ${CORRECTION_STATUSES.join(', ')}, ALL`
+        });
+    }
+    
+    try {
+        const corrections = await listCorrectionRequests(status, req.query.limit || 50);
+        res.json({
+            success: true,
+            data: corrections.map(correction => ({
+                ...correction,
+                requested_time_local: formatLocalTimestamp(correction.requested_time)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Aprobar o rechazar una corrección ({ decision, decided_by, comment? })
+app.put('/api/admin/corrections/:id', async (req, res) => {
+    try {
+        const correction = await getCorrectionRequest(req.params.id);
+        
+        if (!correction) {
+            return res.status(404).json({
+                success: false,
+                error: 'Corrección no encontrada'
+            });
+        }
+        
+        const errors = validateCorrectionDecisionData(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join('. ')
+            });
+        }
+        
+        if (correction.status !== 'PENDING') {
+            return res.status(409).json({
+                success: false,
+                error: `La corrección ya fue ${correction.status === 'APPROVED' ? 'aprobada' : 'rechazada'}`
+            });
+        }
+        
+        const decided = await decideCorrection(correction, {
+            decision: req.body.decision,
+            decided_by: req.body.decided_by,
+            comment: req.body.comment
+        });
+        
+        res.json({
+            success: true,
+            data: { ...decided, requested_time_local: formatLocalTimestamp(decided.requested_time) }
+        });
+    } catch (error) {
+        res.status(['SEQUENCE_CONFLICT', 'ALREADY_DECIDED'].includes(error.code) ? 409 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Alta manual ({ employee_id, action_type, timestamp, reason, changed_by })
+app.post('/api/admin/attendance/records', async (req, res) => {
+    const errors = validateManualRecordData(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: errors.join('. ')
+        });
+    }
+    
+    try {
+        const employee = await getEmployeeById(req.body.employee_id);
+        if (!employee) {
+            return res.status(404).json({
+                success: false,
+                error: 'Empleado no encontrado'
+            });
+        }
+        
+        const record = await createManualRecord(toWhatsAppId(employee.phone_number), req.body);
+        clearEmployeeSession(record.phone_number);
+        io.emit('attendance-record-updated', { recordId: record.id, change: 'MANUAL_CREATED' });
+        
+        res.status(201).json({
+            success: true,
+            data: { ...record, timestamp_local: formatLocalTimestamp(record.timestamp, record.location_timezone) }
+        });
+    } catch (error) {
+        res.status(error.code === 'SEQUENCE_CONFLICT' ? 409 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Cambiar la hora ({ timestamp, reason, changed_by })
+app.put('/api/admin/attendance/records/:id/time', async (req, res) => {
+    try {
+        const record = await getAttendanceRecord(req.params.id);
+        
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registro no encontrado'
+            });
+        }
+        
+        const errors = validateTimeEditData(req.body, record);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join('. ')
+            });
+        }
+        
+        const updated = await editRecordTime(record, req.body);
+        clearEmployeeSession(updated.phone_number);
+        io.emit('attendance-record-updated', { recordId: updated.id, change: 'TIME_EDITED' });
+        
+        res.json({
+            success: true,
+            data: { ...updated, timestamp_local: formatLocalTimestamp(updated.timestamp, updated.location_timezone) }
+        });
+    } catch (error) {
+        // SEQUENCE_CONFLICT: el cambio no encaja con los demás registros válidos del empleado
+        res.status(error.code === 'SEQUENCE_CONFLICT' ? 409 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Anular ({ reason, changed_by })
+app.post('/api/admin/attendance/records/:id/void', async (req, res) => {
+    try {
+        const record = await getAttendanceRecord(req.params.id);
+        
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registro no encontrado'
+            });
+        }
+        
+        const errors = validateVoidData(req.body, record);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join('. ')
+            });
+        }
+        
+        const updated = await voidRecord(record, req.body);
+        clearEmployeeSession(updated.phone_number);
+        io.emit('attendance-record-updated', { recordId: updated.id, change: 'VOIDED' });
+        
+        res.json({
+            success: true,
+            data: { ...updated, timestamp_local: formatLocalTimestamp(updated.timestamp, updated.location_timezone) }
+        });
+    } catch (error) {
+        // SEQUENCE_CONFLICT: el cambio no encaja con los demás registros válidos del empleado
+        res.status(error.code === 'SEQUENCE_CONFLICT' ? 409 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Revalidar ({ validation_status: VALID|INVALID, reason, changed_by })
+app.put('/api/admin/attendance/records/:id/validation', async (req, res) => {
+    try {
+        const record = await getAttendanceRecord(req.params.id);
+        
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registro no encontrado'
+            });
+        }
+        
+        const errors = validateRevalidationData(req.body, record);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: errors.join('. ')
+            });
+        }
+        
+        const updated = await revalidateRecord(record, req.body);
+        clearEmployeeSession(updated.phone_number);
+        io.emit('attendance-record-updated', { recordId: updated.id, change: 'REVALIDATED' });
+        
+        res.json({
+            success: true,
+            data: { ...updated, timestamp_local: formatLocalTimestamp(updated.timestamp, updated.location_timezone) }
+        });
+    } catch (error) {
+        // SEQUENCE_CONFLICT: el cambio no encaja con los demás registros válidos del empleado
+        res.status(error.code === 'SEQUENCE_CONFLICT' ? 409 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Historial de cambios de un registro
+app.get('/api/admin/attendance/records/:id/history', async (req, res) => {
+    try {
+        const record = await getAttendanceRecord(req.params.id);
+        
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                error: 'Registro no encontrado'
+            });
+        }
+        
+        const history = await getRecordAuditTrail(record.id);
+        res.json({
+            success: true,
+            data: {
+                record: { ...record, timestamp_local: formatLocalTimestamp(record.timestamp, record.location_timezone) },
+                history: history.map(entry => ({
+                    ...entry,
+                    created_at_local: formatLocalTimestamp(entry.created_at, record.location_timezone)
+                }))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Planilla de horas (?from=AAAA-MM-DD&to=AAAA-MM-DD[&employee_id=]): sesiones y totales por empleado, día y período
+app.get('/api/admin/timesheets', async (req, res) => {
+    const errors = validateTimesheetRange(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: errors.join('. ')
+        });
+    }
+    
+    try {
+        const timesheet = await buildTimesheet(req.query.from, req.query.to, req.query.employee_id || null);
+        
+        if (!timesheet) {
+            return res.status(404).json({
+                success: false,
+                error: 'Empleado no encontrado'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: timesheet
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ========================================
+// KIOSKO DE CÓDIGOS (requiere KIOSK_API_TOKEN o ADMIN_API_TOKEN)
+// ========================================
+
+app.use('/api/kiosk', requireKiosk);
+
+// Verificar el token del kiosko (configuración de la pantalla)
+app.get('/api/kiosk/session', (req, res) => {
+    res.json({
+        success: true,
+        data: { role: 'kiosk' }
+    });
+});
+
+// Ubicaciones que usan código rotativo
+app.get('/api/kiosk/locations', async (req, res) => {
+    try {
+        const locations = await getAuthorizedLocations();
+        res.json({
+            success: true,
+            data: locations
+                .filter(location => location.codeMode !== 'OFF' && location.codeSecret)
+                .map(location => ({ id: location.id, name: location.name, codeMode: location.codeMode }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Código vigente de una ubicación (y QR con el mensaje listo para enviar al bot)
+app.get('/api/kiosk/locations/:id/code', async (req, res) => {
+    try {
+        const locations = await getAuthorizedLocations();
+        const location = locations.find(item => item.id === Number(req.params.id));
+        
+        if (!location || location.codeMode === 'OFF' || !location.codeSecret) {
+            return res.status(404).json({
+                success: false,
+                error: 'Ubicación sin código rotativo'
+            });
+        }
+        
+        const { code, expiresAt } = generateSiteCode(location.codeSecret);
+        const botNumber = whatsappClient && whatsappClient.info ? whatsappClient.info.wid.user : null;
+        const whatsappLink = botNumber
+            ? `https://wa.me/${botNumber}?text=${encodeURIComponent(`entrada ${code}`)}`
+            : null;
+        
+        res.json({
+            success: true,
+            data: {
+                location: { id: location.id, name: location.name, codeMode: location.codeMode },
+                code: code,
+                expiresAt: expiresAt.toISOString(),
+                stepSeconds: SITE_CODE_CONFIG.STEP_SECONDS,
+                whatsappLink: whatsappLink,
+                qrCode: whatsappLink ? await qrcode.toDataURL(whatsappLink) : null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({
+        success: true,
+        message: 'Backend funcionando correctamente',
+        timestamp: new Date().toISOString(),
+        timezone: TIMEZONE_CONFIG.BUSINESS_TIMEZONE,
+        whatsappConnected: isWhatsAppConnected
+    });
+});
+
+// Manejar conexiones de WebSocket
+io.on('connection', (socket) => {
+    console.log('🔌 Cliente conectado via WebSocket:', socket.id);
+    
+    // Enviar estado actual al cliente que se conecta
+    socket.emit('whatsapp-status', {
+        connected: isWhatsAppConnected,
+        message: isWhatsAppConnected ? 'WhatsApp conectado' : 'WhatsApp desconectado'
+    });
+    
+    // Si hay un QR code disponible, enviarlo
+    if (currentQRCode) {
+        socket.emit('qr-code', {
+            qrCode: currentQRCode,
+            message: 'Escanea el código QR con WhatsApp'
+        });
+    }
+    
+    socket.on('disconnect', () => {
+        console.log('🔌 Cliente desconectado:', socket.id);
+    });
+});
+
+// Enviar mensaje del bot por iniciativa propia (recordatorios, avisos)
+async function sendBotMessage(whatsappId, text) {
+    await whatsappClient.sendMessage(whatsappId, text);
+    await saveMessageLog(whatsappId, text, 'outgoing');
+    
+    const employee = await getEmployeeByPhone(whatsappId);
+    io.emit('message-sent', {
+        to: whatsappId,
+        employeeName: employee ? employee.name : null,
+        body: text,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Recordar y vencer solicitudes pendientes de ubicación
+async function processPendingRequests() {
+    // Sin WhatsApp conectado no se puede avisar: se procesan al reconectar
+    if (!isWhatsAppConnected || !whatsappClient) {
+        return;
+    }
+    
+    // Cada solicitud se procesa por separado: un envío fallido no frena a las demás
+    const now = new Date();
+    
+    try {
+        for (const pendingRequest of await getRequestsDueForReminder(now)) {
+            try {
+                await markReminderSent(pendingRequest.whatsappId, now);
+                await sendBotMessage(pendingRequest.whatsappId, formatReminderMessage(pendingRequest, now));
+                console.log(`⏰ Recordatorio enviado: ${pendingRequest.action} pendiente de ${pendingRequest.whatsappId}`);
+            } catch (error) {
+                console.error(`❌ Error enviando recordatorio a ${pendingRequest.whatsappId}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error buscando recordatorios pendientes:', error.message);
+    }
+    
+    try {
+        for (const pendingRequest of await takeExpiredRequests(now)) {
+            try {
+                await clearPendingAction(pendingRequest.whatsappId);
+                await sendBotMessage(pendingRequest.whatsappId, formatExpiredMessage(pendingRequest));
+                console.log(`⌛ Solicitud vencida: ${pendingRequest.action} de ${pendingRequest.whatsappId}`);
+            } catch (error) {
+                console.error(`❌ Error avisando solicitud vencida a ${pendingRequest.whatsappId}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error buscando solicitudes vencidas:', error.message);
+    }
+}
+
+setInterval(processPendingRequests, PENDING_REQUEST_CONFIG.CHECK_INTERVAL_SECONDS * 1000);
+
+// Avisar a los supervisores de un empleado; devuelve a cuántos se avisó
+async function notifySupervisors(employee, text) {
+    const supervisors = await getEmployeeSupervisors(employee);
+    let notified = 0;
+    
+    for (const supervisor of supervisors) {
+        try {
+            await sendBotMessage(toWhatsAppId(supervisor.phone_number), text);
+            notified++;
+        } catch (error) {
+            console.error(`❌ Error avisando al supervisor ${supervisor.name}:`, error.message);
+        }
+    }
+    
+    if (supervisors.length === 0) {
+        console.log(`⚠️ ${employee.name} no tiene supervisor asignado ni supervisores en su departamento`);
+    }
+    
+    return notified;
+}
+
+// Avisar salidas faltantes y registrar salidas automáticas vencido el plazo
+async function processMissingExits() {
+    // Sin WhatsApp conectado no se puede avisar: se procesan al reconectar
+    if (!isWhatsAppConnected || !whatsappClient) {
+        return;
+    }
+    
+    let missingExits;
+    try {
+        missingExits = await detectMissingExits();
+    } catch (error) {
+        console.error('❌ Error buscando salidas faltantes:', error.message);
+        return;
+    }
+    
+    // Cada empleado se procesa por separado: un error no frena los avisos ni cierres de los demás
+    for (const missingExit of missingExits) {
+        try {
+            await processMissingExit(missingExit);
+        } catch (error) {
+            console.error(`❌ Error procesando salida faltante de ${missingExit.displayName}:`, error.message);
+        }
+    }
+}
+
+// Avisar la salida faltante de un empleado y, vencido el plazo, registrar la salida automática
+async function processMissingExit(missingExit) {
+    const alert = await getMissingExitAlert(missingExit);
+    
+    if (!alert.employee_notified_at) {
+        await sendBotMessage(missingExit.whatsappId, formatMissingExitEmployeeMessage(missingExit));
+        const supervisorsNotified = await notifySupervisors(missingExit.employee, formatMissingExitSupervisorMessage(missingExit));
+        await markMissingExitNotified(alert.id, supervisorsNotified);
+        console.log(`⚠️ Salida faltante avisada: ${missingExit.displayName} (${supervisorsNotified} supervisores)`);
+    }
+    
+    // No se cierra mientras el empleado está enviando su salida o pidió corregirla
+    const pendingExitCorrection = (await getPendingCorrections(missingExit.whatsappId))
+        .some(correction => correction.action_type === 'salida');
+    if (!alert.auto_closed_at && isAutoCloseDue(missingExit) && !pendingExitCorrection &&
+        !(await getPendingRequest(missingExit.whatsappId))) {
+        const exitRecord = await autoCloseSession(missingExit, alert);
+        clearEmployeeSession(missingExit.whatsappId);
+        
+        try {
+            await sendBotMessage(missingExit.whatsappId, formatAutoCloseEmployeeMessage(missingExit, exitRecord));
+        } catch (error) {
+            console.error(`❌ Error avisando la salida automática a ${missingExit.displayName}:`, error.message);
+        }
+        await notifySupervisors(missingExit.employee, formatAutoCloseSupervisorMessage(missingExit, exitRecord));
+    }
+}
+
+setInterval(processMissingExits, MISSING_EXIT_CONFIG.CHECK_INTERVAL_MINUTES * 60 * 1000);
 
 // Inicializar WhatsApp al iniciar el servidor
 setTimeout(() => {
@@ -681,8 +2586,9 @@ setTimeout(() => {
 
 // Iniciar servidor
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
+server.listen(PORT, async () => {
     console.log(`🚀 Servidor backend corriendo en puerto ${PORT}`);
+    await checkDatabaseConnection();
     console.log(`📱 WhatsApp Integration: Iniciando...`);
     console.log(`🌐 CORS habilitado para: ${process.env.FRONTEND_URL || "http://localhost:5173"}`);
 });
@@ -692,6 +2598,15 @@ process.on('unhandledRejection', (reason, promise) => {
     console.error('❌ Unhandled Rejection:', reason);
 });
 
+// Cerrar conexiones a la base de datos al detener el servidor
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, async () => {
+        console.log(`🛑 ${signal} recibido, cerrando servidor...`);
+        await closePool();
+        process.exit(0);
+    });
+});
+
 process.on('uncaughtException', (error) => {
     console.error('❌ Uncaught Exception:', error);
     process.exit(1);
@@ -0,0 +1,359 @@
+const { query } = require('./db');
+const { getEmployeeById } = require('./employee-registry');
+const { zonedTimeToUtc, getZonedDay } = require('./time-utils');
+
+// ==========================================
+// TURNOS DE TRABAJO
+// ==========================================
+
+// Nombres cortos de los días (0 = domingo)
+const DAY_NAMES = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+// Turno por defecto para empleados sin turno asignado
+const DEFAULT_SHIFT_CONFIG = {
+    NAME: 'Sin turno',
+    START_TIME: '06:00',            // Inicio posible de jornada
+    END_TIME: '22:00',              // Fin posible de jornada
+    DAYS: [0, 1, 2, 3, 4, 5, 6]
+};
+
+/**
+ * Convertir "HH:MM" o "HH:MM:SS" a minutos desde medianoche
+ */
+function parseTimeToMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(time || '').trim());
+    if (!match) {
+        return null;
+    }
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+/**
+ * Convertir minutos desde medianoche a "HH:MM"
+ */
+function formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60) % 24;
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Leer días de la semana desde la base de datos ("1,2,3") o la API ([1, 2, 3])
+ */
+function parseDaysOfWeek(days) {
+    const values = Array.isArray(days) ? days : String(days || '').split(',');
+    return [...new Set(values
+        .map(day => parseInt(day, 10))
+        .filter(day => day >= 0 && day <= 6))]
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Convertir fila de la base de datos al formato usado por el control de estados
+ */
+function toShift(row) {
+    const startMinutes = parseTimeToMinutes(row.start_time);
+    const endMinutes = parseTimeToMinutes(row.end_time);
+
+    return {
+        id: row.id,
+        name: row.name,
+        days: parseDaysOfWeek(row.days_of_week),
+        startTime: formatMinutes(startMinutes),
+        endTime: formatMinutes(endMinutes),
+        startMinutes: startMinutes,
+        endMinutes: endMinutes,
+        graceMinutes: row.grace_minutes,
+        isOvernight: endMinutes <= startMinutes,
+        isDefault: false
+    };
+}
+
+// Turno "Sin turno" con el horario general de la empresa
+const DEFAULT_SHIFT = {
+    id: null,
+    name: DEFAULT_SHIFT_CONFIG.NAME,
+    days: DEFAULT_SHIFT_CONFIG.DAYS,
+    startTime: DEFAULT_SHIFT_CONFIG.START_TIME,
+    endTime: DEFAULT_SHIFT_CONFIG.END_TIME,
+    startMinutes: parseTimeToMinutes(DEFAULT_SHIFT_CONFIG.START_TIME),
+    endMinutes: parseTimeToMinutes(DEFAULT_SHIFT_CONFIG.END_TIME),
+    graceMinutes: 0,
+    isOvernight: false,
+    isDefault: true
+};
+
+/**
+ * Describir turno para mensajes de WhatsApp
+ */
+function describeShift(shift) {
+    const days = shift.days.length === 7 ? 'Todos los días' : shift.days.map(day => DAY_NAMES[day]).join(', ');
+    return `${shift.name} (${days} ${shift.startTime} - ${shift.endTime}${shift.isOvernight ? ' del día siguiente' : ''})`;
+}
+
+/**
+ * Obtener inicio y fin del turno que comienza el día local indicado
+ * (en turnos nocturnos el fin cae al día siguiente)
+ */
+function getShiftWindowForDay(shift, localDay, timezone) {
+    const endMinutes = shift.endMinutes <= shift.startMinutes
+        ? shift.endMinutes + 24 * 60
+        : shift.endMinutes;
+
+    return {
+        start: zonedTimeToUtc(localDay, shift.startMinutes, timezone),
+        end: zonedTimeToUtc(localDay, endMinutes, timezone)
+    };
+}
+
+/**
+ * Obtener inicio y fin del turno que comienza el día (en la zona horaria indicada) de la fecha
+ */
+function getShiftWindow(shift, date, timezone = null) {
+    return getShiftWindowForDay(shift, getZonedDay(date, timezone), timezone);
+}
+
+/**
+ * Obtener el turno (de hoy o el nocturno de ayer) en curso en la fecha indicada, o null
+ */
+function getShiftOccurrence(shift, date, timezone = null) {
+    for (const daysBack of [0, 1]) {
+        const startDay = getZonedDay(date, timezone, -daysBack);
+
+        if (!shift.days.includes(startDay.weekday)) {
+            continue;
+        }
+
+        const window = getShiftWindowForDay(shift, startDay, timezone);
+        const earliestEntry = new Date(window.start.getTime() - shift.graceMinutes * 60 * 1000);
+        if (date >= earliestEntry && date < window.end) {
+            return window;
+        }
+    }
+    return null;
+}
+
+/**
+ * Obtener el último turno iniciado (o por iniciar dentro de la tolerancia) hasta la fecha indicada
+ */
+function getLatestShiftOccurrence(shift, date, timezone = null) {
+    for (let daysBack = 0; daysBack <= 7; daysBack++) {
+        const startDay = getZonedDay(date, timezone, -daysBack);
+
+        if (!shift.days.includes(startDay.weekday)) {
+            continue;
+        }
+
+        const window = getShiftWindowForDay(shift, startDay, timezone);
+        const earliestEntry = new Date(window.start.getTime() - shift.graceMinutes * 60 * 1000);
+        if (earliestEntry <= date) {
+            return window;
+        }
+    }
+    return null;
+}
+
+/**
+ * Evaluar si se puede registrar entrada según el turno del empleado
+ */
+function evaluateShiftEntry(shift, now = new Date(), timezone = null) {
+    const occurrence = getShiftOccurrence(shift, now, timezone);
+
+    const evaluation = {
+        allowed: false,
+        isLate: false,
+        lateMinutes: 0,
+        window: occurrence,
+        reason: null
+    };
+
+    if (occurrence) {
+        evaluation.allowed = true;
+
+        // El turno por defecto no tiene hora de ingreso fija
+        const lateMinutes = Math.floor((now - occurrence.start) / (1000 * 60)) - shift.graceMinutes;
+        if (!shift.isDefault && lateMinutes > 0) {
+            evaluation.isLate = true;
+            evaluation.lateMinutes = lateMinutes;
+        }
+    } else if (!shift.days.includes(getZonedDay(now, timezone).weekday)) {
+        evaluation.reason = `📅 Hoy no tienes turno asignado (${describeShift(shift)})`;
+    } else if (now < getShiftWindow(shift, now, timezone).start) {
+        evaluation.reason = `⏰ Tu turno comienza a las ${shift.startTime}. Puedes registrar entrada desde las ${formatMinutes((shift.startMinutes - shift.graceMinutes + 24 * 60) % (24 * 60))}`;
+    } else {
+        evaluation.reason = `⏰ Tu turno terminó a las ${shift.endTime} (${describeShift(shift)})`;
+    }
+
+    return evaluation;
+}
+
+/**
+ * Validar datos de un turno antes de guardarlos
+ * En una actualización parcial se pasa el turno guardado (existing) y se valida el resultado
+ * combinado: un cambio solo de end_time se compara con el start_time y la tolerancia actuales
+ */
+function validateShiftData(data, existing = null) {
+    const errors = [];
+    const shift = existing ? { ...existing, ...data } : data;
+
+    if (!shift.name || !String(shift.name).trim()) {
+        errors.push('El nombre es obligatorio');
+    }
+
+    if (parseDaysOfWeek(shift.days_of_week).length === 0) {
+        errors.push('Debe indicar al menos un día de la semana (0 = domingo ... 6 = sábado)');
+    }
+
+    const startMinutes = parseTimeToMinutes(shift.start_time);
+    const endMinutes = parseTimeToMinutes(shift.end_time);
+
+    if (startMinutes === null) {
+        errors.push('Hora de inicio inválida (formato HH:MM)');
+    }
+
+    if (endMinutes === null) {
+        errors.push('Hora de fin inválida (formato HH:MM)');
+    }
+
+    // Fin anterior al inicio = turno nocturno que termina al día siguiente
+    if (startMinutes !== null && endMinutes !== null && endMinutes === startMinutes) {
+        errors.push('La hora de fin debe ser distinta a la hora de inicio');
+    }
+
+    if (shift.grace_minutes !== undefined && shift.grace_minutes !== null) {
+        const durationMinutes = (endMinutes - startMinutes + 24 * 60) % (24 * 60);
+
+        if (!(Number(shift.grace_minutes) >= 0)) {
+            errors.push('La tolerancia debe ser 0 o más minutos');
+        } else if (startMinutes !== null && endMinutes !== null && durationMinutes > 0 &&
+            Number(shift.grace_minutes) >= durationMinutes) {
+            errors.push(`La tolerancia debe ser menor que la duración del turno (${durationMinutes} minutos)`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Preparar valores de un turno para la base de datos
+ */
+function toShiftRow(data) {
+    const row = {};
+
+    if (data.name !== undefined) row.name = String(data.name).trim();
+    if (data.days_of_week !== undefined) row.days_of_week = parseDaysOfWeek(data.days_of_week).join(',');
+    if (data.start_time !== undefined) row.start_time = formatMinutes(parseTimeToMinutes(data.start_time));
+    if (data.end_time !== undefined) row.end_time = formatMinutes(parseTimeToMinutes(data.end_time));
+    if (data.grace_minutes !== undefined) row.grace_minutes = Math.round(Number(data.grace_minutes));
+    if (data.is_active !== undefined) row.is_active = data.is_active ? 1 : 0;
+
+    return row;
+}
+
+/**
+ * Listar turnos
+ */
+async function listShifts(includeInactive = false) {
+    return query(`SELECT * FROM shifts ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY name ASC`);
+}
+
+/**
+ * Obtener turno por ID
+ */
+async function getShiftById(shiftId) {
+    const rows = await query('SELECT * FROM shifts WHERE id = ?', [shiftId]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Crear turno
+ */
+async function createShift(data) {
+    const row = toShiftRow(data);
+    const columns = Object.keys(row);
+    const result = await query(
+        `INSERT INTO shifts (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column])
+    );
+    console.log(`🗓️ Turno creado: ${row.name} (${row.start_time} - ${row.end_time})`);
+
+    return getShiftById(result.insertId);
+}
+
+/**
+ * Actualizar turno (solo los campos recibidos)
+ */
+async function updateShift(shiftId, data) {
+    const existing = await getShiftById(shiftId);
+    if (!existing) {
+        return null;
+    }
+
+    const row = toShiftRow(data);
+    const columns = Object.keys(row);
+    if (columns.length > 0) {
+        await query(
+            `UPDATE shifts SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => row[column]), shiftId]
+        );
+    }
+
+    return getShiftById(shiftId);
+}
+
+/**
+ * Desactivar turno (los empleados que lo tenían pasan a "Sin turno")
+ */
+async function deactivateShift(shiftId) {
+    return updateShift(shiftId, { is_active: false });
+}
+
+/**
+ * Asignar turno a un empleado (null = "Sin turno")
+ */
+async function assignShiftToEmployee(employeeId, shiftId) {
+    await query('UPDATE employees SET shift_id = ? WHERE id = ?', [shiftId || null, employeeId]);
+    return getEmployeeById(employeeId);
+}
+
+/**
+ * Obtener el turno vigente de un empleado ("Sin turno" si no tiene uno activo)
+ */
+async function getShiftForEmployee(employee) {
+    if (!employee || !employee.shift_id) {
+        return DEFAULT_SHIFT;
+    }
+
+    try {
+        const rows = await query('SELECT * FROM shifts WHERE id = ? AND is_active = 1', [employee.shift_id]);
+        return rows.length > 0 ? toShift(rows[0]) : DEFAULT_SHIFT;
+    } catch (error) {
+        console.error('❌ Error obteniendo turno del empleado:', error.message);
+        return DEFAULT_SHIFT;
+    }
+}
+
+module.exports = {
+    DEFAULT_SHIFT,
+    DEFAULT_SHIFT_CONFIG,
+    parseTimeToMinutes,
+    formatMinutes,
+    describeShift,
+    getShiftWindow,
+    getShiftOccurrence,
+    getLatestShiftOccurrence,
+    evaluateShiftEntry,
+    validateShiftData,
+    listShifts,
+    getShiftById,
+    createShift,
+    updateShift,
+    deactivateShift,
+    assignShiftToEmployee,
+    getShiftForEmployee
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+
+// ==========================================
+// CÓDIGOS ROTATIVOS POR UBICACIÓN (TOTP)
+// Cada ubicación con código muestra en un kiosko un número que cambia cada 30 segundos.
+// El empleado lo envía junto al comando ("entrada 483920") como segundo factor
+// o como reemplazo del GPS en sitios con mala señal, según la configuración de la ubicación.
+// ==========================================
+
+const SITE_CODE_CONFIG = {
+    DIGITS: 6,
+    STEP_SECONDS: parseInt(process.env.SITE_CODE_STEP_SECONDS, 10) || 30,  // Vigencia de cada código
+    WINDOW_STEPS: 1,            // Códigos anteriores/siguientes aceptados (demora al tipear, relojes desfasados)
+    SECRET_BYTES: 20
+};
+
+// OFF: solo GPS | COMPLEMENT: GPS y código | REPLACE: alcanza con el código
+const SITE_CODE_MODES = ['OFF', 'COMPLEMENT', 'REPLACE'];
+
+/**
+ * Generar secreto nuevo para una ubicación
+ */
+function generateSiteCodeSecret() {
+    return crypto.randomBytes(SITE_CODE_CONFIG.SECRET_BYTES).toString('hex');
+}
+
+/**
+ * Huella del secreto (identifica con qué secreto se verificó sin exponerlo)
+ */
+function getSecretFingerprint(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 16);
+}
+
+/**
+ * Código de un paso de tiempo (HOTP, RFC 4226)
+ */
+function generateCodeForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** SITE_CODE_CONFIG.DIGITS)).padStart(SITE_CODE_CONFIG.DIGITS, '0');
+}
+
+/**
+ * Paso de tiempo actual
+ */
+function getTimeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / SITE_CODE_CONFIG.STEP_SECONDS);
+}
+
+/**
+ * Código vigente de una ubicación y hasta cuándo vale
+ */
+function generateSiteCode(secret, now = Date.now()) {
+    const step = getTimeStep(now);
+    return {
+        code: generateCodeForStep(secret, step),
+        expiresAt: new Date((step + 1) * SITE_CODE_CONFIG.STEP_SECONDS * 1000)
+    };
+}
+
+/**
+ * Verificar código contra el secreto dentro de la ventana de tolerancia
+ * Devuelve el desfase en pasos (0 = código actual) o null si no coincide
+ */
+function verifySiteCode(secret, code, now = Date.now()) {
+    const received = Buffer.from(String(code));
+    const step = getTimeStep(now);
+
+    for (let offset = -SITE_CODE_CONFIG.WINDOW_STEPS; offset <= SITE_CODE_CONFIG.WINDOW_STEPS; offset++) {
+        const expected = Buffer.from(generateCodeForStep(secret, step + offset));
+        if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+            return offset;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Buscar la ubicación cuyo código vigente coincide con el recibido
+ * Devuelve el resultado de la verificación que se guarda con el registro
+ */
+function findLocationBySiteCode(code, locations, now = Date.now()) {
+    for (const location of locations) {
+        if (location.codeMode === 'OFF' || !location.codeSecret) {
+            continue;
+        }
+
+        const stepOffset = verifySiteCode(location.codeSecret, code, now);
+        if (stepOffset !== null) {
+            return {
+                code: code,
+                result: 'VALID',
+                locationId: location.id,
+                secretRef: getSecretFingerprint(location.codeSecret),
+                stepOffset: stepOffset,
+                verifiedAt: new Date(now).toISOString()
+            };
+        }
+    }
+
+    return {
+        code: code,
+        result: 'INVALID',
+        locationId: null,
+        secretRef: null,
+        stepOffset: null,
+        verifiedAt: new Date(now).toISOString()
+    };
+}
+
+/**
+ * Separar comando y código: "entrada 483920" -> { command: 'entrada', code: '483920' }
+ */
+function parseCommandWithCode(messageBody) {
+    const match = messageBody.match(new RegExp(`^(\\/?[a-z]+)\\s+(\\d{${SITE_CODE_CONFIG.DIGITS}})$`));
+    if (!match) {
+        return { command: messageBody, code: null };
+    }
+    return { command: match[1], code: match[2] };
+}
+
+/**
+ * Exigir el código en ubicaciones COMPLEMENT y anotar la verificación en el resultado
+ * siteCode: verificación hecha al recibir el comando (o null si se envió sin código)
+ */
+function applySiteCodeRequirement(validationResult, siteCode) {
+    validationResult.siteCode = siteCode;
+
+    if (!validationResult.isValid || !validationResult.location) {
+        return validationResult;
+    }
+
+    if (validationResult.location.codeMode === 'COMPLEMENT') {
+        if (!siteCode) {
+            validationResult.siteCode = { code: null, result: 'MISSING', locationId: null, secretRef: null, stepOffset: null };
+            validationResult.isValid = false;
+            validationResult.failedStep = 'SITE_CODE';
+            validationResult.reasons = [`🔢 ${validationResult.location.name} requiere el código del kiosko: envía el comando seguido del código (ej: *entrada 123456*)`];
+        } else if (siteCode.locationId !== validationResult.location.id) {
+            validationResult.isValid = false;
+            validationResult.failedStep = 'SITE_CODE';
+            validationResult.reasons = [`🔢 El código enviado no corresponde a ${validationResult.location.name}`];
+        }
+    }
+
+    return validationResult;
+}
+
+module.exports = {
+    SITE_CODE_CONFIG,
+    SITE_CODE_MODES,
+    generateSiteCodeSecret,
+    getSecretFingerprint,
+    generateSiteCode,
+    verifySiteCode,
+    findLocationBySiteCode,
+    parseCommandWithCode,
+    applySiteCodeRequirement
+};
@@ -0,0 +1,349 @@
+const { query, withTransaction } = require('./db');
+const { getZonedDay, zonedTimeToUtc, formatTime, formatDate } = require('./time-utils');
+const { pickAuditFields, recordAuditEntry } = require('./attendance-audit');
+
+// ==========================================
+// CORRECCIONES DE HORARIO PEDIDAS POR EL EMPLEADO
+// "corregir salida ayer 18:30 motivo" crea una solicitud que se envía al supervisor.
+// Al aprobarla se inserta un registro manual (source = CORRECTION, sin validación GPS)
+// enlazado a la solicitud; desde ese momento cuenta para el estado del empleado.
+// ==========================================
+
+const CORRECTION_CONFIG = {
+    ACTIONS: ['entrada', 'salida', 'pausa', 'regreso'],    // Acciones que se pueden corregir
+    MAX_DAYS_BACK: 7,                                       // Antigüedad máxima de la hora a corregir
+    MIN_REASON_LENGTH: 5                                    // Largo mínimo del motivo
+};
+
+// Estados de una solicitud de corrección
+const CORRECTION_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+// Decisiones que puede tomar un supervisor
+const CORRECTION_DECISIONS = ['APPROVED', 'REJECTED'];
+
+// Días relativos aceptados en el comando
+const RELATIVE_DAYS = { hoy: 0, ayer: -1, anteayer: -2 };
+
+// Campos del registro creado que quedan en la auditoría
+const CORRECTION_AUDIT_FIELDS = ['action_type', 'source', 'validation_status', 'timestamp', 'correction_request_id'];
+
+const CORRECTION_QUERY = `
+    SELECT c.*, e.name AS employee_name, e.department AS employee_department,
+        e.supervisor_id AS employee_supervisor_id
+    FROM correction_requests c
+    LEFT JOIN employees e ON e.id = c.employee_id
+`;
+
+/**
+ * Interpretar "corregir salida ayer 18:30 motivo" (null si el mensaje no es una corrección)
+ * El día es opcional (hoy, ayer, anteayer o DD/MM[/AAAA]) y la hora se toma en la zona indicada
+ */
+function parseCorrectionCommand(text, timezone = null, now = new Date()) {
+    const match = String(text || '').trim().match(/^\/?corregir\b\s*([\s\S]*)$/i);
+    if (!match) {
+        return null;
+    }
+
+    const tokens = match[1].split(/\s+/).filter(Boolean);
+    const command = { action: null, requestedTime: null, reason: null };
+
+    if (tokens.length === 0) {
+        return command;
+    }
+
+    command.action = tokens.shift().toLowerCase();
+
+    // Día: relativo o fecha DD/MM[/AAAA]; si no se indica, hoy
+    let day = getZonedDay(now, timezone);
+    const dayToken = (tokens[0] || '').toLowerCase();
+    const dateMatch = dayToken.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+
+    if (RELATIVE_DAYS[dayToken] !== undefined) {
+        day = getZonedDay(now, timezone, RELATIVE_DAYS[dayToken]);
+        tokens.shift();
+    } else if (dateMatch) {
+        const year = dateMatch[3] ? parseInt(dateMatch[3], 10) + (dateMatch[3].length === 2 ? 2000 : 0) : day.year;
+        day = { year: year, month: parseInt(dateMatch[2], 10), day: parseInt(dateMatch[1], 10) };
+        tokens.shift();
+
+        // Fechas imposibles (31/02) no se corrigen solas al día siguiente
+        const check = new Date(Date.UTC(day.year, day.month - 1, day.day));
+        if (check.getUTCMonth() !== day.month - 1 || check.getUTCDate() !== day.day) {
+            day = null;
+        }
+    }
+
+    const timeMatch = (tokens[0] || '').match(/^(\d{1,2})[:.](\d{2})$/);
+    if (timeMatch) {
+        tokens.shift();
+        const hours = parseInt(timeMatch[1], 10);
+        const minutes = parseInt(timeMatch[2], 10);
+
+        if (day && hours < 24 && minutes < 60) {
+            command.requestedTime = zonedTimeToUtc(day, hours * 60 + minutes, timezone);
+        }
+    }
+
+    command.reason = tokens.length > 0 ? tokens.join(' ') : null;
+    return command;
+}
+
+/**
+ * Validar solicitud de corrección del empleado
+ */
+function validateCorrectionRequest(command, now = new Date()) {
+    const errors = [];
+
+    if (!CORRECTION_CONFIG.ACTIONS.includes(command.action)) {
+        errors.push(`Acción inválida. Valores permitidos: ${CORRECTION_CONFIG.ACTIONS.join(', ')}`);
+    }
+
+    if (!command.requestedTime) {
+        errors.push('Indica el día y la hora (ej: ayer 18:30 o 15/10 08:05)');
+    } else if (command.requestedTime > now) {
+        errors.push('La hora a corregir no puede ser futura');
+    } else if (now - command.requestedTime > CORRECTION_CONFIG.MAX_DAYS_BACK * 24 * 60 * 60 * 1000) {
+        errors.push(`Solo se pueden corregir los últimos ${CORRECTION_CONFIG.MAX_DAYS_BACK} días`);
+    }
+
+    if (!command.reason || command.reason.length < CORRECTION_CONFIG.MIN_REASON_LENGTH) {
+        errors.push('Explica el motivo de la corrección');
+    }
+
+    return errors;
+}
+
+/**
+ * Validar decisión del supervisor desde el panel ({ decision, decided_by, comment? })
+ */
+function validateCorrectionDecisionData(data) {
+    const errors = [];
+
+    if (!CORRECTION_DECISIONS.includes(data.decision)) {
+        errors.push(`Decisión inválida. Valores permitidos: ${CORRECTION_DECISIONS.join(', ')}`);
+    }
+
+    if (!data.decided_by || !String(data.decided_by).trim()) {
+        errors.push('Indica quién decide la corrección (decided_by)');
+    }
+
+    // Rechazar una corrección exige explicar el motivo al empleado
+    if (data.decision === 'REJECTED' && (!data.comment || !String(data.comment).trim())) {
+        errors.push('El comentario es obligatorio al rechazar una corrección');
+    }
+
+    return errors;
+}
+
+/**
+ * Crear la solicitud de corrección
+ */
+async function createCorrectionRequest(whatsappId, employee, command) {
+    const result = await query(`
+        INSERT INTO correction_requests (phone_number, employee_id, action_type, requested_time, reason)
+        VALUES (?, ?, ?, ?, ?)
+    `, [whatsappId, employee.id, command.action, command.requestedTime, command.reason]);
+
+    console.log(`✏️ Corrección #${result.insertId} pedida por ${whatsappId}: ${command.action} ${command.requestedTime.toISOString()}`);
+    return getCorrectionRequest(result.insertId);
+}
+
+/**
+ * Obtener una solicitud de corrección
+ */
+async function getCorrectionRequest(correctionId) {
+    const rows = await query(`${CORRECTION_QUERY} WHERE c.id = ?`, [correctionId]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Correcciones del empleado que esperan respuesta del supervisor
+ */
+async function getPendingCorrections(whatsappId) {
+    return query(
+        "SELECT * FROM correction_requests WHERE phone_number = ? AND status = 'PENDING' ORDER BY requested_time ASC",
+        [whatsappId]
+    );
+}
+
+/**
+ * Listar solicitudes de corrección (por defecto las pendientes)
+ */
+async function listCorrectionRequests(status = 'PENDING', limit = 50) {
+    const params = [];
+    let where = '';
+
+    if (status && status !== 'ALL') {
+        where = 'WHERE c.status = ?';
+        params.push(status);
+    }
+
+    return query(
+        `${CORRECTION_QUERY} ${where} ORDER BY c.created_at DESC LIMIT ${parseInt(limit, 10) || 50}`,
+        params
+    );
+}
+
+/**
+ * Registrar la decisión sobre la corrección ({ decision, decided_by, decided_by_phone?, comment? })
+ * La solicitud se bloquea (SELECT ... FOR UPDATE) durante la decisión: si se aprueba a la vez por
+ * WhatsApp y desde el panel, la segunda espera y encuentra la solicitud ya decidida.
+ * Aprobar inserta el registro manual enlazado; checkSequence(correction) verifica antes, con la
+ * solicitud bloqueada, que encaje con los demás registros (lanza un error si no)
+ */
+async function decideCorrectionRequest(correction, data, checkSequence = null, now = new Date()) {
+    const decidedBy = String(data.decided_by).trim();
+    const comment = data.comment ? String(data.comment).trim() : null;
+
+    const record = await withTransaction(async connection => {
+        const [rows] = await connection.execute('SELECT * FROM correction_requests WHERE id = ? FOR UPDATE', [correction.id]);
+        const locked = rows[0];
+
+        if (!locked || locked.status !== 'PENDING') {
+            const error = new Error(!locked
+                ? `No existe la corrección #C${correction.id}`
+                : `La corrección #C${correction.id} ya fue ${locked.status === 'APPROVED' ? 'aprobada' : 'rechazada'}`);
+            error.code = 'ALREADY_DECIDED';
+            throw error;
+        }
+
+        if (data.decision === 'APPROVED' && checkSequence) {
+            await checkSequence(locked);
+        }
+
+        const [update] = await connection.execute(`
+            UPDATE correction_requests
+            SET status = ?, decided_by = ?, decision_comment = ?, decided_at = ?
+            WHERE id = ? AND status = 'PENDING'
+        `, [data.decision, decidedBy, comment, now, correction.id]);
+
+        if (update.affectedRows === 0 || data.decision !== 'APPROVED') {
+            return null;
+        }
+
+        const approvedRecord = {
+            phone_number: locked.phone_number,
+            action_type: locked.action_type,
+            source: 'CORRECTION',
+            validation_status: 'VALID',
+            timestamp: new Date(locked.requested_time),
+            correction_request_id: locked.id
+        };
+
+        const [result] = await connection.execute(`
+            INSERT INTO attendance_records (phone_number, action_type, source, validation_status, timestamp, correction_request_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [approvedRecord.phone_number, approvedRecord.action_type, approvedRecord.source, approvedRecord.validation_status,
+            approvedRecord.timestamp, approvedRecord.correction_request_id]);
+        await connection.execute('UPDATE correction_requests SET record_id = ? WHERE id = ?', [result.insertId, correction.id]);
+
+        return { ...approvedRecord, id: result.insertId };
+    });
+
+    // La auditoría se escribe una vez confirmada la transacción (sus filas no se pueden borrar)
+    if (record) {
+        await recordAuditEntry(record.id, 'CORRECTION_APPROVED', {
+            changedBy: decidedBy,
+            changedByPhone: data.decided_by_phone || null,
+            after: pickAuditFields(record, CORRECTION_AUDIT_FIELDS),
+            reason: comment || correction.reason
+        });
+    }
+
+    console.log(`✏️ Corrección #${correction.id} ${data.decision === 'APPROVED' ? `aprobada (registro ${record ? record.id : '-'})` : 'rechazada'} por ${decidedBy}`);
+    return getCorrectionRequest(correction.id);
+}
+
+/**
+ * Uso del comando corregir
+ */
+function formatCorrectionUsageMessage(errors = []) {
+    const problems = errors.length > 0 ? `⚠️ ${errors.join('\n⚠️ ')}\n\n` : '';
+
+    return problems +
+           '✏️ *CORREGIR UN REGISTRO*\n\n' +
+           'Envía: *corregir <acción> <día> <hora> <motivo>*\n\n' +
+           '💡 Ejemplos:\n' +
+           '• corregir salida ayer 18:30 me olvidé de marcar\n' +
+           '• corregir entrada 15/10 08:05 sin señal en el depósito\n\n' +
+           `📅 Día: hoy, ayer, anteayer o DD/MM (últimos ${CORRECTION_CONFIG.MAX_DAYS_BACK} días)`;
+}
+
+/**
+ * Confirmación al empleado de la solicitud creada
+ */
+function formatCorrectionCreatedMessage(correction, supervisorsNotified) {
+    const requestedTime = new Date(correction.requested_time);
+
+    return '✏️ *CORRECCIÓN ENVIADA*\n\n' +
+           `📌 *Acción:* ${correction.action_type.toUpperCase()}\n` +
+           `🕐 *Hora:* ${formatTime(requestedTime)} del ${formatDate(requestedTime)}\n` +
+           `💬 *Motivo:* ${correction.reason}\n` +
+           `🔖 *Solicitud:* #C${correction.id}\n\n` +
+           (supervisorsNotified > 0
+               ? '📨 Tu supervisor recibió la solicitud. Te avisaremos cuando la responda.'
+               : '📋 La solicitud quedó en el panel de administración para su revisión.');
+}
+
+/**
+ * Aviso al supervisor de una corrección a responder
+ */
+function formatCorrectionSupervisorMessage(correction, displayName) {
+    const requestedTime = new Date(correction.requested_time);
+
+    return '✏️ *SOLICITUD DE CORRECCIÓN*\n\n' +
+           `👤 *Empleado:* ${displayName}\n` +
+           `📌 *Acción:* ${correction.action_type.toUpperCase()}\n` +
+           `🕐 *Hora:* ${formatTime(requestedTime)} del ${formatDate(requestedTime)}\n` +
+           `💬 *Motivo:* ${correction.reason}\n` +
+           `🔖 *Solicitud:* #C${correction.id}\n\n` +
+           `✅ Responde *aprobar C${correction.id}* para registrarla\n` +
+           `🚫 Responde *rechazar C${correction.id} <motivo>* para rechazarla`;
+}
+
+/**
+ * Confirmación al supervisor de la decisión registrada
+ */
+function formatCorrectionResultMessage(correction) {
+    const name = correction.employee_name || correction.phone_number;
+
+    return correction.status === 'APPROVED'
+        ? `✅ Corrección #C${correction.id} (${correction.action_type} de ${name}) *aprobada*. Se avisó al empleado.`
+        : `🚫 Corrección #C${correction.id} (${correction.action_type} de ${name}) *rechazada*. Se avisó al empleado.`;
+}
+
+/**
+ * Aviso al empleado de la decisión del supervisor
+ */
+function formatCorrectionEmployeeMessage(correction) {
+    const requestedTime = new Date(correction.requested_time);
+    const when = `${formatTime(requestedTime)} del ${formatDate(requestedTime)}`;
+
+    if (correction.status === 'APPROVED') {
+        return `✅ *CORRECCIÓN APROBADA*\n\n` +
+               `Tu ${correction.action_type} de las ${when} quedó registrada (aprobada por ${correction.decided_by}).`;
+    }
+
+    return `🚫 *CORRECCIÓN RECHAZADA*\n\n` +
+           `${correction.decided_by} rechazó la corrección de ${correction.action_type} de las ${when}.\n\n` +
+           `💬 *Motivo:* ${correction.decision_comment}`;
+}
+
+module.exports = {
+    CORRECTION_CONFIG,
+    CORRECTION_STATUSES,
+    CORRECTION_DECISIONS,
+    parseCorrectionCommand,
+    validateCorrectionRequest,
+    validateCorrectionDecisionData,
+    createCorrectionRequest,
+    getCorrectionRequest,
+    getPendingCorrections,
+    listCorrectionRequests,
+    decideCorrectionRequest,
+    formatCorrectionUsageMessage,
+    formatCorrectionCreatedMessage,
+    formatCorrectionSupervisorMessage,
+    formatCorrectionResultMessage,
+    formatCorrectionEmployeeMessage
+};
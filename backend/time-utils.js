@@ -0,0 +1,148 @@
+// ==========================================
+// MANEJO DE ZONAS HORARIAS
+// Las fechas se guardan en UTC y se muestran en la zona del negocio
+// (o en la de la ubicación, si tiene una propia)
+// ==========================================
+
+const TIMEZONE_CONFIG = {
+    BUSINESS_TIMEZONE: process.env.BUSINESS_TIMEZONE || 'America/Argentina/Buenos_Aires',
+    LOCALE: 'es-AR'
+};
+
+// Formateadores reutilizables por zona horaria
+const partsFormatters = new Map();
+
+/**
+ * Verificar si una zona horaria IANA es válida (ej: "America/Argentina/Buenos_Aires")
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Resolver zona horaria a usar (la indicada o la del negocio)
+ */
+function resolveTimezone(timezone) {
+    return timezone || TIMEZONE_CONFIG.BUSINESS_TIMEZONE;
+}
+
+/**
+ * Obtener año, mes, día, hora, minuto y día de la semana de una fecha en una zona horaria
+ */
+function getZonedParts(date, timezone = null) {
+    const zone = resolveTimezone(timezone);
+
+    if (!partsFormatters.has(zone)) {
+        partsFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+
+    const parts = {};
+    partsFormatters.get(zone).formatToParts(new Date(date)).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    });
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+}
+
+/**
+ * Diferencia en milisegundos entre la hora local de la zona y UTC en un instante
+ */
+function getTimezoneOffset(date, timezone = null) {
+    const parts = getZonedParts(date, timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+}
+
+/**
+ * Convertir un día local + minutos desde medianoche (en la zona indicada) a un instante UTC
+ */
+function zonedTimeToUtc(localDay, minutesOfDay, timezone = null) {
+    const guess = Date.UTC(localDay.year, localDay.month - 1, localDay.day) + minutesOfDay * 60 * 1000;
+    let result = guess - getTimezoneOffset(guess, timezone);
+
+    // Reajustar si el cambio de horario (DST) cae entre la estimación y el resultado
+    const correctedOffset = getTimezoneOffset(result, timezone);
+    result = guess - correctedOffset;
+
+    return new Date(result);
+}
+
+/**
+ * Obtener el día local (en la zona indicada) de una fecha, desplazado opcionalmente en días
+ */
+function getZonedDay(date, timezone = null, offsetDays = 0) {
+    const parts = getZonedParts(date, timezone);
+    const shifted = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offsetDays));
+
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        weekday: shifted.getUTCDay()
+    };
+}
+
+/**
+ * Formatear hora para mensajes (ej: "18:30:05")
+ */
+function formatTime(date, timezone = null) {
+    return new Date(date).toLocaleTimeString(TIMEZONE_CONFIG.LOCALE, {
+        timeZone: resolveTimezone(timezone),
+        hourCycle: 'h23'
+    });
+}
+
+/**
+ * Formatear fecha para mensajes (ej: "19/10/2026")
+ */
+function formatDate(date, timezone = null) {
+    return new Date(date).toLocaleDateString(TIMEZONE_CONFIG.LOCALE, { timeZone: resolveTimezone(timezone) });
+}
+
+/**
+ * Formatear fecha local para la API (ej: "2026-10-19 18:30:05")
+ */
+function formatLocalTimestamp(date, timezone = null) {
+    if (!date) {
+        return null;
+    }
+    const parts = getZonedParts(date, timezone);
+    const pad = value => String(value).padStart(2, '0');
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+}
+
+module.exports = {
+    TIMEZONE_CONFIG,
+    isValidTimezone,
+    resolveTimezone,
+    getZonedParts,
+    zonedTimeToUtc,
+    getZonedDay,
+    formatTime,
+    formatDate,
+    formatLocalTimestamp
+};
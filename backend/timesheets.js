@@ -0,0 +1,274 @@
+const { query } = require('./db');
+const { listEmployees, getEmployeeById } = require('./employee-registry');
+const { getShiftForEmployee, evaluateShiftEntry, describeShift } = require('./shift-schedules');
+const { getLocationTimezone } = require('./location-registry');
+const { groupIntoWorkSessions } = require('./attendance-state-control');
+const { resolveTimezone, getZonedDay, zonedTimeToUtc, formatLocalTimestamp } = require('./time-utils');
+
+// ==========================================
+// PLANILLA DE HORAS (LIQUIDACIÓN)
+// Empareja entradas y salidas válidas en sesiones para un rango de días y totaliza
+// por empleado, por día y por período: horas trabajadas, pausas, registros sin par,
+// llegadas tarde y salidas anticipadas respecto del turno.
+// Cada sesión se asigna al día local (zona de la ubicación de la entrada) en que empezó.
+// ==========================================
+
+const TIMESHEET_CONFIG = {
+    MAX_RANGE_DAYS: 62,             // Rango máximo por consulta (una quincena o un mes con margen)
+    SEARCH_MARGIN_HOURS: 24         // Registros antes/después del rango para cerrar sesiones nocturnas
+};
+
+/**
+ * Convertir "AAAA-MM-DD" a día local ({ year, month, day }), o null si no es una fecha válida
+ */
+function parseLocalDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    if (!match) {
+        return null;
+    }
+
+    const day = { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) };
+    const check = new Date(Date.UTC(day.year, day.month - 1, day.day));
+    return check.getUTCMonth() === day.month - 1 && check.getUTCDate() === day.day ? day : null;
+}
+
+/**
+ * Día local como "AAAA-MM-DD"
+ */
+function formatLocalDay(day) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${day.year}-${pad(day.month)}-${pad(day.day)}`;
+}
+
+/**
+ * Validar rango de la planilla ({ from, to } en AAAA-MM-DD, ambos incluidos)
+ */
+function validateTimesheetRange(data) {
+    const errors = [];
+    const from = parseLocalDate(data.from);
+    const to = parseLocalDate(data.to);
+
+    if (!from) {
+        errors.push('Fecha inicial inválida (from, formato AAAA-MM-DD)');
+    }
+    if (!to) {
+        errors.push('Fecha final inválida (to, formato AAAA-MM-DD)');
+    }
+
+    if (from && to) {
+        const days = (Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / (24 * 60 * 60 * 1000) + 1;
+        if (days < 1) {
+            errors.push('La fecha final debe ser igual o posterior a la inicial');
+        } else if (days > TIMESHEET_CONFIG.MAX_RANGE_DAYS) {
+            errors.push(`El rango no puede superar ${TIMESHEET_CONFIG.MAX_RANGE_DAYS} días`);
+        }
+    }
+
+    if (data.employee_id !== undefined && !(parseInt(data.employee_id, 10) > 0)) {
+        errors.push('Empleado inválido (employee_id)');
+    }
+
+    return errors;
+}
+
+/**
+ * Registros del empleado entre dos instantes (sin los anulados)
+ */
+async function getEmployeeRecords(employee, since, until) {
+    return query(`
+        SELECT * FROM attendance_records
+        WHERE SUBSTRING_INDEX(phone_number, '@', 1) = ? AND timestamp >= ? AND timestamp < ?
+            AND validation_status <> 'VOID'
+        ORDER BY timestamp ASC
+    `, [employee.phone_number, since, until]);
+}
+
+/**
+ * Redondear horas y minutos para la respuesta
+ */
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Convertir sesión de trabajo (groupIntoWorkSessions) a fila de la planilla
+ * Las sesiones sin salida (en curso o sin par) no suman horas hasta que se registre o corrija la salida
+ */
+async function toTimesheetSession(workSession, shift) {
+    const record = workSession.entry || workSession.exit;
+    const timezone = resolveTimezone(await getLocationTimezone(record.location_id));
+    const reference = workSession.start || workSession.end;
+    const hasExit = !!(workSession.start && workSession.end);
+
+    return {
+        date: formatLocalDay(getZonedDay(reference, timezone)),
+        timezone: timezone,
+        entryRecordId: workSession.entry ? workSession.entry.id : null,
+        exitRecordId: workSession.exit ? workSession.exit.id : null,
+        start_local: formatLocalTimestamp(workSession.start, timezone),
+        end_local: formatLocalTimestamp(workSession.end, timezone),
+        workedHours: hasExit ? roundHours(workSession.durationHours) : 0,
+        breakCount: workSession.breaks.length,
+        breakMinutes: hasExit ? Math.round(workSession.breakHours * 60) : 0,
+        isOpen: workSession.isOpen,
+        isUnmatched: workSession.isUnmatched,
+        exitSource: workSession.exit ? workSession.exit.source : null,
+        lateMinutes: 0,
+        earlyDepartureMinutes: 0,
+        // Turno en el que cae la entrada (para llegadas tarde y salidas anticipadas)
+        shiftWindow: workSession.start && !shift.isDefault ? evaluateShiftEntry(shift, workSession.start, timezone).window : null,
+        start: workSession.start,
+        end: workSession.end
+    };
+}
+
+/**
+ * Marcar llegada tarde en la primera sesión de cada turno y salida anticipada en la última
+ * (con turnos partidos solo cuentan la primera entrada y la última salida)
+ */
+function applyShiftPunctuality(sessions, shift) {
+    const byShift = new Map();
+
+    sessions.filter(session => session.shiftWindow).forEach(session => {
+        const key = session.shiftWindow.start.getTime();
+        if (!byShift.has(key)) {
+            byShift.set(key, []);
+        }
+        byShift.get(key).push(session);
+    });
+
+    byShift.forEach(shiftSessions => {
+        const first = shiftSessions[0];
+        const last = shiftSessions[shiftSessions.length - 1];
+        const { start, end } = first.shiftWindow;
+
+        first.lateMinutes = Math.max(0, Math.floor((first.start - start) / (1000 * 60)) - shift.graceMinutes);
+
+        if (last.end && !last.isUnmatched) {
+            last.earlyDepartureMinutes = Math.max(0, Math.floor((end - last.end) / (1000 * 60)) - shift.graceMinutes);
+        }
+    });
+}
+
+/**
+ * Sumar totales de un conjunto de sesiones
+ */
+function sumSessions(sessions) {
+    return {
+        workedHours: roundHours(sessions.reduce((total, session) => total + session.workedHours, 0)),
+        breakMinutes: sessions.reduce((total, session) => total + session.breakMinutes, 0),
+        sessionCount: sessions.length,
+        openSessions: sessions.filter(session => session.isOpen).length,
+        unmatchedPunches: sessions.filter(session => session.isUnmatched).length,
+        lateArrivals: sessions.filter(session => session.lateMinutes > 0).length,
+        lateMinutes: sessions.reduce((total, session) => total + session.lateMinutes, 0),
+        earlyDepartures: sessions.filter(session => session.earlyDepartureMinutes > 0).length,
+        earlyDepartureMinutes: sessions.reduce((total, session) => total + session.earlyDepartureMinutes, 0)
+    };
+}
+
+/**
+ * Planilla de un empleado para el rango (días locales "AAAA-MM-DD", ambos incluidos)
+ */
+async function buildEmployeeTimesheet(employee, from, to, now = new Date()) {
+    const shift = await getShiftForEmployee(employee);
+    const margin = TIMESHEET_CONFIG.SEARCH_MARGIN_HOURS * 60 * 60 * 1000;
+
+    // Los límites se calculan en la zona del negocio; el margen cubre ubicaciones en otras zonas
+    const rangeStart = zonedTimeToUtc(parseLocalDate(from), 0, null);
+    const rangeEnd = zonedTimeToUtc(parseLocalDate(to), 24 * 60, null);
+    const records = await getEmployeeRecords(employee, new Date(rangeStart.getTime() - margin), new Date(rangeEnd.getTime() + margin));
+
+    const sessions = [];
+    for (const workSession of groupIntoWorkSessions(records, now)) {
+        const session = await toTimesheetSession(workSession, shift);
+        sessions.push(session);
+    }
+    applyShiftPunctuality(sessions, shift);
+
+    // Sesiones del margen (de días fuera del rango) se descartan después de emparejar
+    const inRange = sessions.filter(session => session.date >= from && session.date <= to);
+
+    const days = new Map();
+    inRange.forEach(session => {
+        if (!days.has(session.date)) {
+            days.set(session.date, []);
+        }
+        days.get(session.date).push(session);
+    });
+
+    return {
+        employee: {
+            id: employee.id,
+            name: employee.name,
+            document_id: employee.document_id,
+            department: employee.department,
+            is_active: employee.is_active
+        },
+        shift: describeShift(shift),
+        days: Array.from(days.entries()).map(([date, daySessions]) => ({
+            date: date,
+            ...sumSessions(daySessions),
+            sessions: daySessions.map(({ shiftWindow, start, end, ...session }) => session)
+        })),
+        totals: {
+            ...sumSessions(inRange),
+            daysWorked: Array.from(days.values()).filter(daySessions => daySessions.some(session => session.workedHours > 0)).length
+        }
+    };
+}
+
+/**
+ * Planilla del período: un empleado (employeeId) o todos los que tienen registros o siguen activos
+ * Devuelve null si el empleado indicado no existe
+ */
+async function buildTimesheet(from, to, employeeId = null, now = new Date()) {
+    let employees;
+    if (employeeId) {
+        const employee = await getEmployeeById(employeeId);
+        if (!employee) {
+            return null;
+        }
+        employees = [employee];
+    } else {
+        employees = await listEmployees(true);
+    }
+
+    const timesheets = [];
+    for (const employee of employees) {
+        const timesheet = await buildEmployeeTimesheet(employee, from, to, now);
+
+        // Los empleados dados de baja solo aparecen si trabajaron en el período
+        if (employeeId || employee.is_active || timesheet.days.length > 0) {
+            timesheets.push(timesheet);
+        }
+    }
+
+    const sum = field => timesheets.reduce((total, timesheet) => total + timesheet.totals[field], 0);
+
+    return {
+        from: from,
+        to: to,
+        timezone: resolveTimezone(null),
+        employees: timesheets,
+        totals: {
+            employees: timesheets.length,
+            workedHours: roundHours(sum('workedHours')),
+            breakMinutes: sum('breakMinutes'),
+            sessionCount: sum('sessionCount'),
+            openSessions: sum('openSessions'),
+            unmatchedPunches: sum('unmatchedPunches'),
+            lateArrivals: sum('lateArrivals'),
+            lateMinutes: sum('lateMinutes'),
+            earlyDepartures: sum('earlyDepartures'),
+            earlyDepartureMinutes: sum('earlyDepartureMinutes')
+        }
+    };
+}
+
+module.exports = {
+    TIMESHEET_CONFIG,
+    validateTimesheetRange,
+    buildEmployeeTimesheet,
+    buildTimesheet
+};
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert
+} from '@mui/material';
+import { Lock } from '@mui/icons-material';
+
+// Inicio de sesión del panel: se verifica el token de administración (ADMIN_API_TOKEN del backend)
+function AdminLoginPage({ apiBaseUrl, onLogin }) {
+  const [token, setToken] = useState('');
+  const [error, setError] = useState(null);
+  const [checking, setChecking] = useState(false);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setChecking(true);
+    try {
+      const response = await axios.get(`${apiBaseUrl}/api/admin/session`, {
+        headers: { Authorization: `Bearer ${token.trim()}` }
+      });
+      if (response.data.success) {
+        onLogin(token.trim());
+      }
+    } catch (err) {
+      console.error('Error iniciando sesión:', err);
+      setError(err.response?.data?.error || 'No se pudo verificar el token');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <Box minHeight="100vh" display="flex" alignItems="center" justifyContent="center" p={4}>
+      <Paper elevation={3} component="form" onSubmit={submit} sx={{ p: 4, width: '100%', maxWidth: 420 }}>
+        <Box display="flex" alignItems="center" mb={2}>
+          <Lock color="primary" sx={{ mr: 1 }} />
+          <Typography variant="h5" component="h1">
+            Panel de Administración
+          </Typography>
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <TextField
+          label="Token de administración"
+          type="password"
+          value={token}
+          onChange={(event) => setToken(event.target.value)}
+          fullWidth
+          autoFocus
+          sx={{ mb: 2 }}
+        />
+        <Button type="submit" variant="contained" fullWidth disabled={checking || !token.trim()}>
+          {checking ? 'Verificando...' : 'Ingresar'}
+        </Button>
+      </Paper>
+    </Box>
+  );
+}
+
+export default AdminLoginPage;
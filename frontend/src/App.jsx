@@ -17,7 +17,9 @@ import {
   ListItem,
   ListItemText,
   ListItemIcon,
-  CircularProgress
+  CircularProgress,
+  Tabs,
+  Tab
 } from '@mui/material';
 import {
   WhatsApp,
@@ -27,12 +29,30 @@ import {
   Refresh,
   Message,
   Send,
-  GetApp
+  GetApp,
+  Logout
 } from '@mui/icons-material';
+import FraudReviewPage from './FraudReviewPage';
+import KioskPage from './KioskPage';
+import BlockedUsersPanel from './BlockedUsersPanel';
+import PhotoReviewPage from './PhotoReviewPage';
+import CorrectionsPage from './CorrectionsPage';
+import RecordsPage from './RecordsPage';
+import AdminLoginPage from './AdminLoginPage';
 import './App.css';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:3001';
+// Token de administración ingresado al iniciar sesión (se pierde al cerrar la pestaña)
+const ADMIN_TOKEN_KEY = 'adminApiToken';
+
+// Páginas accesibles por hash (#registros, #revision, #fotos, #correcciones, #kiosco)
+const PAGES = ['dashboard', 'registros', 'revision', 'fotos', 'correcciones', 'kiosco'];
+
+const getPageFromHash = () => {
+  const page = window.location.hash.replace('#', '');
+  return PAGES.includes(page) ? page : 'dashboard';
+};
 
 function App() {
   // Estados principales
@@ -46,6 +66,44 @@ function App() {
   const [messages, setMessages] = useState([]);
   const [systemStatus, setSystemStatus] = useState('loading');
   const [socket, setSocket] = useState(null);
+  // Zona horaria del negocio (las horas se muestran igual que en los mensajes del bot)
+  const [timezone, setTimezone] = useState(undefined);
+  // Página activa (#revision abre la cola de revisión anti-fraude, #kiosco el código del sitio)
+  const [page, setPage] = useState(getPageFromHash());
+  // Token de las rutas de administración (null = sesión no iniciada)
+  const [adminToken, setAdminToken] = useState(sessionStorage.getItem(ADMIN_TOKEN_KEY));
+
+  const login = (token) => {
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+    setAdminToken(token);
+  };
+
+  const logout = () => {
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    setAdminToken(null);
+  };
+
+  // Un token rechazado (cambiado en el backend) vuelve a pedir el inicio de sesión
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (error.response?.status === 401 && !error.config?.url?.includes('/api/kiosk')) {
+          sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+          setAdminToken(null);
+        }
+        return Promise.reject(error);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  // Seguir el hash (botón atrás del navegador, enlaces directos)
+  useEffect(() => {
+    const onHashChange = () => setPage(getPageFromHash());
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
 
   // Conectar WebSocket
   useEffect(() => {
@@ -91,6 +149,7 @@ function App() {
         id: Date.now(),
         type: 'received',
         from: data.from,
+        employeeName: data.employeeName,
         body: data.body,
         timestamp: data.timestamp,
         contact: data.contact
@@ -104,6 +163,7 @@ function App() {
         id: Date.now() + 1,
         type: 'sent',
         to: data.to,
+        employeeName: data.employeeName,
         body: data.body,
         timestamp: data.timestamp
       }, ...prev.slice(0, 49)]);
@@ -137,6 +197,10 @@ function App() {
           setQrCode(data.qrCode);
         }
         
+        if (data.timezone) {
+          setTimezone(data.timezone);
+        }
+        
         setSystemStatus(data.connected ? 'connected' : 'disconnected');
       }
     } catch (error) {
@@ -159,6 +223,7 @@ function App() {
           id: msg.id,
           type: msg.message_type,
           from: msg.phone_number,
+          employeeName: msg.employee_name,
           body: msg.message_text,
           timestamp: msg.timestamp
         }));
@@ -172,7 +237,9 @@ function App() {
   const handleReconnect = async () => {
     try {
       setWhatsappStatus(prev => ({ ...prev, loading: true, message: 'Reconectando...' }));
-      await axios.post(`${API_BASE_URL}/api/whatsapp/reconnect`);
+      await axios.post(`${API_BASE_URL}/api/whatsapp/reconnect`, null, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+      });
     } catch (error) {
       console.error('Error reconectando:', error);
       setWhatsappStatus(prev => ({ 
@@ -186,7 +253,9 @@ function App() {
 
   const handleDisconnect = async () => {
     try {
-      await axios.post(`${API_BASE_URL}/api/whatsapp/disconnect`);
+      await axios.post(`${API_BASE_URL}/api/whatsapp/disconnect`, null, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+      });
       setQrCode(null);
     } catch (error) {
       console.error('Error desconectando:', error);
@@ -225,6 +294,20 @@ function App() {
 
   const systemStatusInfo = getSystemStatusInfo();
 
+  // El kiosko ocupa toda la pantalla (se muestra en un monitor del sitio)
+  if (page === 'kiosco') {
+    return <KioskPage apiBaseUrl={API_BASE_URL} />;
+  }
+
+  if (!adminToken) {
+    return <AdminLoginPage apiBaseUrl={API_BASE_URL} onLogin={login} />;
+  }
+
+  const changePage = (event, value) => {
+    setPage(value);
+    window.location.hash = value === 'dashboard' ? '' : value;
+  };
+
   return (
     <Container maxWidth="xl" sx={{ py: 4 }}>
       {/* Header con estado del sistema */}
@@ -239,17 +322,40 @@ function App() {
             </Typography>
           </Box>
           
-          <Chip
-            icon={systemStatusInfo.icon}
-            label={systemStatusInfo.text}
-            color={systemStatusInfo.color}
-            variant="filled"
-            size="large"
-            sx={{ fontSize: '1.1rem', px: 2, py: 1 }}
-          />
+          <Box display="flex" alignItems="center" gap={2}>
+            <Chip
+              icon={systemStatusInfo.icon}
+              label={systemStatusInfo.text}
+              color={systemStatusInfo.color}
+              variant="filled"
+              size="large"
+              sx={{ fontSize: '1.1rem', px: 2, py: 1 }}
+            />
+            <Button startIcon={<Logout />} onClick={logout}>
+              Salir
+            </Button>
+          </Box>
         </Box>
+
+        <Tabs value={page} onChange={changePage} sx={{ mt: 2 }}>
+          <Tab value="dashboard" label="Panel de Control" />
+          <Tab value="registros" label="Registros" />
+          <Tab value="revision" label="Revisión Anti-Fraude" />
+          <Tab value="fotos" label="Fotos de Entrada" />
+          <Tab value="correcciones" label="Correcciones" />
+          <Tab value="kiosco" label="Kiosko de Códigos" />
+        </Tabs>
       </Paper>
 
+      {page === 'registros' ? (
+        <RecordsPage apiBaseUrl={API_BASE_URL} adminToken={adminToken} timezone={timezone} socket={socket} />
+      ) : page === 'revision' ? (
+        <FraudReviewPage apiBaseUrl={API_BASE_URL} adminToken={adminToken} timezone={timezone} />
+      ) : page === 'fotos' ? (
+        <PhotoReviewPage apiBaseUrl={API_BASE_URL} adminToken={adminToken} timezone={timezone} />
+      ) : page === 'correcciones' ? (
+        <CorrectionsPage apiBaseUrl={API_BASE_URL} adminToken={adminToken} timezone={timezone} socket={socket} />
+      ) : (
       <Grid container spacing={4}>
         {/* Panel de WhatsApp */}
         <Grid item xs={12} md={8}>
@@ -373,7 +479,9 @@ function App() {
                           primary={
                             <Typography variant="caption" color="text.secondary">
                               {message.type === 'received' ? 'Recibido' : 'Enviado'} • {
-                                new Date(message.timestamp).toLocaleTimeString()
+                                message.employeeName || 'No registrado'
+                              } • {
+                                new Date(message.timestamp).toLocaleTimeString('es-AR', { timeZone: timezone, hourCycle: 'h23' })
                               }
                             </Typography>
                           }
@@ -404,6 +512,11 @@ function App() {
           </Card>
         </Grid>
 
+        {/* Bloqueos anti-fraude */}
+        <Grid item xs={12}>
+          <BlockedUsersPanel apiBaseUrl={API_BASE_URL} adminToken={adminToken} timezone={timezone} />
+        </Grid>
+
         {/* Panel de Información */}
         <Grid item xs={12}>
           <Card elevation={2}>
@@ -424,6 +537,18 @@ function App() {
                     <Typography variant="body2">Registrar salida</Typography>
                   </Paper>
                 </Grid>
+                <Grid item xs={12} md={3}>
+                  <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                    <Typography variant="h6" color="secondary.main">pausa</Typography>
+                    <Typography variant="body2">Iniciar pausa</Typography>
+                  </Paper>
+                </Grid>
+                <Grid item xs={12} md={3}>
+                  <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                    <Typography variant="h6" color="primary.main">regreso</Typography>
+                    <Typography variant="body2">Volver de la pausa</Typography>
+                  </Paper>
+                </Grid>
                 <Grid item xs={12} md={3}>
                   <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
                     <Typography variant="h6" color="info.main">ayuda</Typography>
@@ -441,6 +566,7 @@ function App() {
           </Card>
         </Grid>
       </Grid>
+      )}
     </Container>
   );
 }
@@ -0,0 +1,166 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Button,
+  Alert,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  FormControlLabel,
+  Switch,
+  CircularProgress
+} from '@mui/material';
+import {
+  Refresh,
+  LockOpen,
+  Lock,
+  RestartAlt
+} from '@mui/icons-material';
+
+function BlockedUsersPanel({ apiBaseUrl, adminToken, timezone }) {
+  const [users, setUsers] = useState([]);
+  const [maxWarnings, setMaxWarnings] = useState(null);
+  const [includeWarnings, setIncludeWarnings] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const adminRequest = useCallback((method, path, data) => axios({
+    method,
+    url: `${apiBaseUrl}/api/admin${path}`,
+    data,
+    headers: { Authorization: `Bearer ${adminToken}` }
+  }), [apiBaseUrl, adminToken]);
+
+  const fetchBlockedUsers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await adminRequest('get', `/fraud/blocked?includeWarnings=${includeWarnings}`);
+      if (response.data.success) {
+        setUsers(response.data.data);
+        setMaxWarnings(response.data.maxWarnings);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Error obteniendo usuarios bloqueados:', err);
+      setError(err.response?.data?.error || 'No se pudo cargar el estado de bloqueos');
+    } finally {
+      setLoading(false);
+    }
+  }, [adminRequest, includeWarnings]);
+
+  useEffect(() => {
+    fetchBlockedUsers();
+  }, [fetchBlockedUsers]);
+
+  const runAction = async (method, path, successText) => {
+    try {
+      await adminRequest(method, path);
+      setNotice(successText);
+      await fetchBlockedUsers();
+    } catch (err) {
+      console.error('Error ejecutando acción de administración:', err);
+      setError(err.response?.data?.error || 'No se pudo completar la acción');
+    }
+  };
+
+  const phoneParam = (user) => encodeURIComponent(user.phoneNumber.split('@')[0]);
+
+  return (
+    <Card elevation={2}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+          <Typography variant="h6" component="h2">
+            🔒 Bloqueos Anti-Fraude
+          </Typography>
+          <Box display="flex" alignItems="center" gap={1}>
+            <FormControlLabel
+              control={<Switch size="small" checked={includeWarnings} onChange={(event) => setIncludeWarnings(event.target.checked)} />}
+              label="Con advertencias"
+            />
+            <Button size="small" startIcon={<Refresh />} onClick={fetchBlockedUsers}>
+              Actualizar
+            </Button>
+          </Box>
+        </Box>
+
+        <Divider sx={{ mb: 2 }} />
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+        {notice && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>{notice}</Alert>}
+
+        {loading ? (
+          <Box textAlign="center" py={4}>
+            <CircularProgress />
+          </Box>
+        ) : users.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" textAlign="center" py={4}>
+            No hay empleados bloqueados
+          </Typography>
+        ) : (
+          <List dense>
+            {users.map((user) => (
+              <ListItem
+                key={user.phoneNumber}
+                sx={{ mb: 1, borderRadius: 1, border: '1px solid', borderColor: 'divider', flexWrap: 'wrap', gap: 1 }}
+              >
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1}>
+                      <Typography variant="body2" fontWeight="bold">
+                        {user.employeeName || 'No registrado'} • {user.phoneNumber.split('@')[0]}
+                      </Typography>
+                      {user.isBlocked
+                        ? <Chip label="Bloqueado" color="error" size="small" />
+                        : <Chip label="Activo" color="success" size="small" variant="outlined" />}
+                    </Box>
+                  }
+                  secondary={
+                    <Typography variant="caption" color="text.secondary">
+                      {user.warnings}{maxWarnings ? `/${maxWarnings}` : ''} advertencias{
+                        user.isBlocked && ` • Hasta ${new Date(user.blockUntil).toLocaleString('es-AR', { timeZone: timezone, hourCycle: 'h23' })}`
+                      }
+                    </Typography>
+                  }
+                />
+                <Box display="flex" gap={1}>
+                  <Button
+                    size="small"
+                    color="success"
+                    startIcon={<LockOpen />}
+                    onClick={() => runAction('post', `/fraud/users/${phoneParam(user)}/unblock`, 'Empleado desbloqueado')}
+                  >
+                    Desbloquear
+                  </Button>
+                  <Button
+                    size="small"
+                    color="error"
+                    startIcon={<Lock />}
+                    onClick={() => runAction('post', `/fraud/users/${phoneParam(user)}/block`, 'Bloqueo extendido')}
+                  >
+                    Extender
+                  </Button>
+                  <Button
+                    size="small"
+                    startIcon={<RestartAlt />}
+                    onClick={() => runAction('delete', `/sessions/${phoneParam(user)}`, 'Sesión reiniciada')}
+                  >
+                    Reiniciar sesión
+                  </Button>
+                </Box>
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default BlockedUsersPanel;
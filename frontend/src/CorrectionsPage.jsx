@@ -0,0 +1,204 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Button,
+  Alert,
+  Chip,
+  Divider,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress
+} from '@mui/material';
+import {
+  Refresh,
+  CheckCircle,
+  Cancel
+} from '@mui/icons-material';
+
+// Textos y colores de los estados de una corrección
+const CORRECTION_STATUS_INFO = {
+  PENDING: { label: 'Pendiente', color: 'warning' },
+  APPROVED: { label: 'Aprobada', color: 'success' },
+  REJECTED: { label: 'Rechazada', color: 'error' }
+};
+
+function CorrectionsPage({ apiBaseUrl, adminToken, timezone, socket }) {
+  const [statusFilter, setStatusFilter] = useState('PENDING');
+  const [corrections, setCorrections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [comments, setComments] = useState({});
+  const [decider, setDecider] = useState('');
+  const [savingId, setSavingId] = useState(null);
+
+  const formatDateTime = (value) => new Date(value).toLocaleString('es-AR', { timeZone: timezone, hourCycle: 'h23' });
+
+  const fetchCorrections = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${apiBaseUrl}/api/admin/corrections?status=${statusFilter}`, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+      });
+      if (response.data.success) {
+        setCorrections(response.data.data);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Error obteniendo correcciones:', err);
+      setError(err.response?.data?.error || 'No se pudieron cargar las correcciones');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBaseUrl, adminToken, statusFilter]);
+
+  useEffect(() => {
+    fetchCorrections();
+  }, [fetchCorrections]);
+
+  // Las solicitudes nuevas y las respondidas por WhatsApp actualizan la lista
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    socket.on('correction-request', fetchCorrections);
+    socket.on('correction-decided', fetchCorrections);
+    return () => {
+      socket.off('correction-request', fetchCorrections);
+      socket.off('correction-decided', fetchCorrections);
+    };
+  }, [socket, fetchCorrections]);
+
+  const submitDecision = async (correction, decision) => {
+    setSavingId(correction.id);
+    try {
+      const response = await axios.put(`${apiBaseUrl}/api/admin/corrections/${correction.id}`, {
+        decision,
+        decided_by: decider,
+        comment: comments[correction.id] || null
+      }, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+      });
+      if (response.data.success) {
+        setError(null);
+        await fetchCorrections();
+      }
+    } catch (err) {
+      console.error('Error guardando decisión de corrección:', err);
+      setError(err.response?.data?.error || 'No se pudo guardar la decisión');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <Card elevation={2}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+          <Typography variant="h6" component="h2">
+            ✏️ Correcciones de Horario
+          </Typography>
+          <Button size="small" startIcon={<Refresh />} onClick={fetchCorrections}>
+            Actualizar
+          </Button>
+        </Box>
+
+        <Box display="flex" flexWrap="wrap" gap={2} alignItems="center" mb={2}>
+          <ToggleButtonGroup
+            value={statusFilter}
+            exclusive
+            size="small"
+            onChange={(event, value) => value && setStatusFilter(value)}
+          >
+            <ToggleButton value="PENDING">Pendientes</ToggleButton>
+            <ToggleButton value="APPROVED">Aprobadas</ToggleButton>
+            <ToggleButton value="REJECTED">Rechazadas</ToggleButton>
+            <ToggleButton value="ALL">Todas</ToggleButton>
+          </ToggleButtonGroup>
+          <TextField
+            label="Decidido por"
+            value={decider}
+            onChange={(event) => setDecider(event.target.value)}
+            size="small"
+          />
+        </Box>
+
+        <Divider sx={{ mb: 2 }} />
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {loading ? (
+          <Box textAlign="center" py={4}>
+            <CircularProgress />
+          </Box>
+        ) : corrections.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" textAlign="center" py={4}>
+            No hay correcciones en esta lista
+          </Typography>
+        ) : (
+          corrections.map((correction) => (
+            <Box key={correction.id} sx={{ mb: 2, p: 2, borderRadius: 1, border: '1px solid', borderColor: 'divider' }}>
+              <Box display="flex" justifyContent="space-between" alignItems="center" gap={1} mb={1}>
+                <Typography variant="body1" fontWeight="bold">
+                  #C{correction.id} • {correction.employee_name || correction.phone_number} • {correction.action_type.toUpperCase()} {formatDateTime(correction.requested_time)}
+                </Typography>
+                <Chip
+                  label={CORRECTION_STATUS_INFO[correction.status].label}
+                  color={CORRECTION_STATUS_INFO[correction.status].color}
+                  size="small"
+                />
+              </Box>
+              <Typography variant="body2" color="text.secondary">
+                Motivo: {correction.reason}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" display="block">
+                Pedida el {formatDateTime(correction.created_at)}
+              </Typography>
+
+              {correction.status === 'PENDING' ? (
+                <Box display="flex" flexWrap="wrap" gap={2} alignItems="center" mt={2}>
+                  <TextField
+                    label="Comentario (obligatorio al rechazar)"
+                    value={comments[correction.id] || ''}
+                    onChange={(event) => setComments(prev => ({ ...prev, [correction.id]: event.target.value }))}
+                    size="small"
+                    sx={{ flexGrow: 1 }}
+                  />
+                  <Button
+                    variant="contained"
+                    color="success"
+                    startIcon={<CheckCircle />}
+                    disabled={savingId === correction.id || !decider.trim()}
+                    onClick={() => submitDecision(correction, 'APPROVED')}
+                  >
+                    Aprobar
+                  </Button>
+                  <Button
+                    variant="contained"
+                    color="error"
+                    startIcon={<Cancel />}
+                    disabled={savingId === correction.id || !decider.trim() || !(comments[correction.id] || '').trim()}
+                    onClick={() => submitDecision(correction, 'REJECTED')}
+                  >
+                    Rechazar
+                  </Button>
+                </Box>
+              ) : (
+                <Typography variant="caption" color="text.secondary" display="block" mt={1}>
+                  {CORRECTION_STATUS_INFO[correction.status].label} por {correction.decided_by} el {formatDateTime(correction.decided_at)}
+                  {correction.decision_comment && ` — ${correction.decision_comment}`}
+                  {correction.record_id && ` • Registro #${correction.record_id}`}
+                </Typography>
+              )}
+            </Box>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default CorrectionsPage;
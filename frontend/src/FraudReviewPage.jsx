@@ -0,0 +1,336 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Paper,
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Button,
+  Grid,
+  Alert,
+  Chip,
+  Divider,
+  List,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress
+} from '@mui/material';
+import {
+  Refresh,
+  VerifiedUser,
+  GppBad
+} from '@mui/icons-material';
+
+// Colores por nivel de riesgo
+const RISK_COLORS = {
+  MEDIUM: 'warning',
+  HIGH: 'error',
+  BLOCKED: 'error'
+};
+
+// Textos de los estados de revisión
+const REVIEW_LABELS = {
+  PENDING: 'Pendiente',
+  LEGITIMATE: 'Legítimo',
+  FRAUD_CONFIRMED: 'Fraude confirmado'
+};
+
+function FraudReviewPage({ apiBaseUrl, adminToken, timezone }) {
+  const [statusFilter, setStatusFilter] = useState('PENDING');
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [comment, setComment] = useState('');
+  const [reviewer, setReviewer] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const formatDateTime = (value) => new Date(value).toLocaleString('es-AR', { timeZone: timezone, hourCycle: 'h23' });
+
+  const adminRequest = useCallback((method, path, options = {}) => axios({
+    method,
+    url: `${apiBaseUrl}/api/admin${path}`,
+    headers: { Authorization: `Bearer ${adminToken}` },
+    ...options
+  }), [apiBaseUrl, adminToken]);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await adminRequest('get', `/fraud/reviews?status=${statusFilter}`);
+      if (response.data.success) {
+        setItems(response.data.data);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Error obteniendo cola de revisión:', err);
+      setError(err.response?.data?.error || 'No se pudo cargar la cola de revisión');
+    } finally {
+      setLoading(false);
+    }
+  }, [adminRequest, statusFilter]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const selectItem = async (id) => {
+    try {
+      const response = await adminRequest('get', `/fraud/reviews/${id}`);
+      if (response.data.success) {
+        setSelected(response.data.data);
+        setComment(response.data.data.review_comment || '');
+      }
+    } catch (err) {
+      console.error('Error obteniendo registro:', err);
+      setError('No se pudo cargar el registro');
+    }
+  };
+
+  const submitReview = async (decision) => {
+    setSaving(true);
+    try {
+      const response = await adminRequest('put', `/fraud/reviews/${selected.id}`, {
+        data: { decision, comment, reviewed_by: reviewer || null }
+      });
+      if (response.data.success) {
+        setSelected(response.data.data);
+        setError(null);
+        await fetchQueue();
+      }
+    } catch (err) {
+      console.error('Error guardando revisión:', err);
+      setError(err.response?.data?.error || 'No se pudo guardar la revisión');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Grid container spacing={4}>
+      {/* Cola de registros sospechosos */}
+      <Grid item xs={12} md={5}>
+        <Card elevation={2}>
+          <CardContent>
+            <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+              <Typography variant="h6" component="h2">
+                🚨 Registros Sospechosos
+              </Typography>
+              <Button size="small" startIcon={<Refresh />} onClick={fetchQueue}>
+                Actualizar
+              </Button>
+            </Box>
+
+            <ToggleButtonGroup
+              value={statusFilter}
+              exclusive
+              size="small"
+              onChange={(event, value) => value && setStatusFilter(value)}
+              sx={{ mb: 2 }}
+            >
+              <ToggleButton value="PENDING">Pendientes</ToggleButton>
+              <ToggleButton value="LEGITIMATE">Legítimos</ToggleButton>
+              <ToggleButton value="FRAUD_CONFIRMED">Fraude</ToggleButton>
+              <ToggleButton value="ALL">Todos</ToggleButton>
+            </ToggleButtonGroup>
+
+            <Divider sx={{ mb: 2 }} />
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {loading ? (
+              <Box textAlign="center" py={4}>
+                <CircularProgress />
+              </Box>
+            ) : items.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" textAlign="center" py={4}>
+                No hay registros en esta cola
+              </Typography>
+            ) : (
+              <List dense sx={{ maxHeight: 600, overflow: 'auto' }}>
+                {items.map((item) => (
+                  <ListItemButton
+                    key={item.id}
+                    selected={selected?.id === item.id}
+                    onClick={() => selectItem(item.id)}
+                    sx={{ mb: 1, borderRadius: 1, border: '1px solid', borderColor: 'divider' }}
+                  >
+                    <ListItemText
+                      primary={
+                        <Box display="flex" justifyContent="space-between" alignItems="center" gap={1}>
+                          <Typography variant="body2" fontWeight="bold">
+                            {item.employee_name || item.phone_number} • {item.action_type.toUpperCase()}
+                          </Typography>
+                          <Chip label={item.fraud_risk} color={RISK_COLORS[item.fraud_risk]} size="small" />
+                        </Box>
+                      }
+                      secondary={
+                        <Typography variant="caption" color="text.secondary">
+                          {formatDateTime(item.timestamp)} • {item.validation_status === 'VALID' ? 'Aceptado' : 'Rechazado'} • {
+                            item.fraud_flags.length} señales • {item.incident_count} incidentes • {REVIEW_LABELS[item.review_status]}
+                        </Typography>
+                      }
+                    />
+                  </ListItemButton>
+                ))}
+              </List>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+
+      {/* Detalle y decisión */}
+      <Grid item xs={12} md={7}>
+        <Card elevation={2}>
+          <CardContent>
+            {!selected ? (
+              <Typography variant="body2" color="text.secondary" textAlign="center" py={4}>
+                Selecciona un registro para revisarlo
+              </Typography>
+            ) : (
+              <>
+                <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+                  <Box>
+                    <Typography variant="h6" component="h2">
+                      {selected.employee_name || 'No registrado'} — {selected.action_type.toUpperCase()}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {selected.phone_number} • {formatDateTime(selected.timestamp)} • {selected.location_name || 'Fuera de ubicaciones autorizadas'}
+                    </Typography>
+                  </Box>
+                  <Chip label={REVIEW_LABELS[selected.review_status]} variant="outlined" />
+                </Box>
+
+                <Divider sx={{ mb: 2 }} />
+
+                <Typography variant="subtitle2" gutterBottom>
+                  Señales detectadas (riesgo {selected.fraud_risk})
+                </Typography>
+                {selected.fraud_flags.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary" mb={2}>Sin señales registradas</Typography>
+                ) : (
+                  <List dense>
+                    {selected.fraud_flags.map((flag, index) => (
+                      <ListItemText
+                        key={index}
+                        primary={flag.message}
+                        secondary={`${flag.type} • ${flag.severity}`}
+                      />
+                    ))}
+                  </List>
+                )}
+
+                {selected.rejection_reasons.length > 0 && (
+                  <Alert severity="warning" sx={{ my: 2 }}>
+                    <Typography variant="subtitle2">Motivos del rechazo ({selected.failed_step}):</Typography>
+                    {selected.rejection_reasons.map((reason, index) => (
+                      <Typography key={index} variant="body2">{reason}</Typography>
+                    ))}
+                  </Alert>
+                )}
+
+                <Typography variant="subtitle2" gutterBottom>
+                  Estado del empleado
+                </Typography>
+                <Typography variant="body2" mb={2}>
+                  {selected.suspicious_status.warnings} advertencias • {selected.incident_count} incidentes • {
+                    selected.suspicious_status.isBlocked
+                      ? `Bloqueado hasta ${formatDateTime(selected.suspicious_status.blockUntil)}`
+                      : 'No bloqueado'
+                  }
+                </Typography>
+
+                {selected.collusion_incidents.length > 0 && (
+                  <Alert severity="error" sx={{ mb: 2 }}>
+                    <Typography variant="subtitle2">Coincidencias con otros empleados:</Typography>
+                    {selected.collusion_incidents.map((incident) => incident.flags
+                      .filter((flag) => flag.details?.employees)
+                      .map((flag, index) => (
+                        <Typography key={`${incident.id}-${index}`} variant="body2">
+                          {formatDateTime(incident.timestamp)} • {flag.message} • {
+                            flag.details.employees
+                              .map((employee) => employee.employeeName || employee.phoneNumber)
+                              .join(', ')
+                          }
+                        </Typography>
+                      )))}
+                  </Alert>
+                )}
+
+                <Typography variant="subtitle2" gutterBottom>
+                  Últimas ubicaciones
+                </Typography>
+                <Paper variant="outlined" sx={{ p: 1, mb: 2, maxHeight: 200, overflow: 'auto' }}>
+                  {selected.location_history.length === 0 ? (
+                    <Typography variant="body2" color="text.secondary">Sin historial</Typography>
+                  ) : (
+                    selected.location_history.slice().reverse().map((location, index) => (
+                      <Typography key={index} variant="body2" fontFamily="monospace">
+                        {formatDateTime(location.timestamp)} • {location.lat.toFixed(6)}, {location.lng.toFixed(6)}
+                        {location.accuracy !== null && ` • ±${Math.round(location.accuracy)}m`}
+                      </Typography>
+                    ))
+                  )}
+                </Paper>
+
+                <Divider sx={{ mb: 2 }} />
+
+                {selected.reviewed_at && (
+                  <Typography variant="caption" color="text.secondary" display="block" mb={1}>
+                    Revisado por {selected.reviewed_by || 'sin nombre'} el {formatDateTime(selected.reviewed_at)}
+                  </Typography>
+                )}
+
+                <TextField
+                  label="Comentario"
+                  value={comment}
+                  onChange={(event) => setComment(event.target.value)}
+                  fullWidth
+                  multiline
+                  minRows={2}
+                  required
+                  sx={{ mb: 2 }}
+                />
+                <TextField
+                  label="Revisado por"
+                  value={reviewer}
+                  onChange={(event) => setReviewer(event.target.value)}
+                  fullWidth
+                  size="small"
+                  sx={{ mb: 2 }}
+                />
+
+                <Box display="flex" gap={2}>
+                  <Button
+                    variant="contained"
+                    color="success"
+                    startIcon={<VerifiedUser />}
+                    disabled={saving || !comment.trim()}
+                    onClick={() => submitReview('LEGITIMATE')}
+                  >
+                    Legítimo
+                  </Button>
+                  <Button
+                    variant="contained"
+                    color="error"
+                    startIcon={<GppBad />}
+                    disabled={saving || !comment.trim()}
+                    onClick={() => submitReview('FRAUD_CONFIRMED')}
+                  >
+                    Fraude confirmado
+                  </Button>
+                </Box>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+    </Grid>
+  );
+}
+
+export default FraudReviewPage;
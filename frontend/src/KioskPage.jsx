@@ -0,0 +1,199 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Paper,
+  Typography,
+  Box,
+  Alert,
+  LinearProgress,
+  MenuItem,
+  TextField,
+  Button,
+  CircularProgress
+} from '@mui/material';
+
+// Ubicación elegida en este kiosko (se recuerda en el navegador)
+const KIOSK_LOCATION_KEY = 'kioskLocationId';
+// Token del kiosko (KIOSK_API_TOKEN del backend), se ingresa una vez en cada pantalla
+const KIOSK_TOKEN_KEY = 'kioskApiToken';
+
+function KioskPage({ apiBaseUrl }) {
+  const [kioskToken, setKioskToken] = useState(localStorage.getItem(KIOSK_TOKEN_KEY) || '');
+  const [tokenInput, setTokenInput] = useState('');
+  const [locations, setLocations] = useState([]);
+  const [locationId, setLocationId] = useState(localStorage.getItem(KIOSK_LOCATION_KEY) || '');
+  const [siteCode, setSiteCode] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [error, setError] = useState(null);
+
+  const kioskRequest = useCallback((path) => axios.get(`${apiBaseUrl}/api/kiosk${path}`, {
+    headers: { Authorization: `Bearer ${kioskToken}` }
+  }), [apiBaseUrl, kioskToken]);
+
+  // Un token rechazado se descarta para poder ingresar otro
+  const handleRequestError = useCallback((err, message) => {
+    if (err.response?.status === 401) {
+      localStorage.removeItem(KIOSK_TOKEN_KEY);
+      setKioskToken('');
+    }
+    setError(err.response?.data?.error || message);
+  }, []);
+
+  // Cargar ubicaciones con código rotativo
+  useEffect(() => {
+    if (!kioskToken) return;
+    kioskRequest('/locations')
+      .then((response) => {
+        if (response.data.success) {
+          setLocations(response.data.data);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        console.error('Error obteniendo ubicaciones del kiosko:', err);
+        handleRequestError(err, 'No se pudieron cargar las ubicaciones');
+      });
+  }, [kioskToken, kioskRequest, handleRequestError]);
+
+  const fetchCode = useCallback(async () => {
+    if (!kioskToken || !locationId) return;
+    try {
+      const response = await kioskRequest(`/locations/${locationId}/code`);
+      if (response.data.success) {
+        setSiteCode(response.data.data);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Error obteniendo código del sitio:', err);
+      handleRequestError(err, 'No se pudo obtener el código');
+    }
+  }, [kioskToken, kioskRequest, locationId, handleRequestError]);
+
+  useEffect(() => {
+    fetchCode();
+  }, [fetchCode]);
+
+  // Cuenta regresiva; al vencer se pide el código siguiente
+  useEffect(() => {
+    if (!siteCode) return undefined;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((new Date(siteCode.expiresAt) - Date.now()) / 1000));
+      setSecondsLeft(remaining);
+      if (remaining === 0) {
+        fetchCode();
+      }
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [siteCode, fetchCode]);
+
+  const selectLocation = (event) => {
+    setLocationId(event.target.value);
+    setSiteCode(null);
+    localStorage.setItem(KIOSK_LOCATION_KEY, event.target.value);
+  };
+
+  const saveToken = (event) => {
+    event.preventDefault();
+    localStorage.setItem(KIOSK_TOKEN_KEY, tokenInput.trim());
+    setKioskToken(tokenInput.trim());
+    setTokenInput('');
+    setError(null);
+  };
+
+  if (!kioskToken) {
+    return (
+      <Box minHeight="100vh" display="flex" alignItems="center" justifyContent="center" p={4}>
+        <Paper elevation={3} component="form" onSubmit={saveToken} sx={{ p: 6, width: '100%', maxWidth: 480, textAlign: 'center' }}>
+          {error && <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>}
+          <Typography variant="h6" gutterBottom>
+            Configurar kiosko
+          </Typography>
+          <TextField
+            label="Token del kiosko"
+            type="password"
+            value={tokenInput}
+            onChange={(event) => setTokenInput(event.target.value)}
+            fullWidth
+            autoFocus
+            sx={{ mb: 2 }}
+          />
+          <Button type="submit" variant="contained" disabled={!tokenInput.trim()}>
+            Guardar
+          </Button>
+        </Paper>
+      </Box>
+    );
+  }
+
+  return (
+    <Box minHeight="100vh" display="flex" alignItems="center" justifyContent="center" p={4}>
+      <Paper elevation={3} sx={{ p: 6, width: '100%', maxWidth: 720, textAlign: 'center' }}>
+        {error && <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>}
+
+        <TextField
+          select
+          label="Ubicación"
+          value={locations.some((location) => String(location.id) === String(locationId)) ? locationId : ''}
+          onChange={selectLocation}
+          size="small"
+          sx={{ minWidth: 280, mb: 4 }}
+        >
+          {locations.map((location) => (
+            <MenuItem key={location.id} value={String(location.id)}>{location.name}</MenuItem>
+          ))}
+        </TextField>
+
+        {!locationId ? (
+          <Typography variant="h6" color="text.secondary">
+            Selecciona la ubicación de este kiosko
+          </Typography>
+        ) : !siteCode ? (
+          <CircularProgress />
+        ) : (
+          <>
+            <Typography variant="h5" gutterBottom>
+              🏢 {siteCode.location.name}
+            </Typography>
+            <Typography variant="subtitle1" color="text.secondary" gutterBottom>
+              Envía por WhatsApp: <strong>entrada {siteCode.code}</strong>
+            </Typography>
+
+            <Typography
+              variant="h1"
+              component="p"
+              fontFamily="monospace"
+              fontWeight="bold"
+              letterSpacing="0.2em"
+              sx={{ my: 3 }}
+            >
+              {siteCode.code}
+            </Typography>
+
+            <LinearProgress
+              variant="determinate"
+              value={(secondsLeft / siteCode.stepSeconds) * 100}
+              sx={{ height: 8, borderRadius: 4, mb: 1 }}
+            />
+            <Typography variant="body2" color="text.secondary" mb={3}>
+              Cambia en {secondsLeft}s
+            </Typography>
+
+            {siteCode.qrCode && (
+              <Box>
+                <img src={siteCode.qrCode} alt="QR para registrar entrada" style={{ width: 220, height: 220 }} />
+                <Typography variant="body2" color="text.secondary">
+                  O escanea el QR para abrir WhatsApp con el mensaje listo
+                </Typography>
+              </Box>
+            )}
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+}
+
+export default KioskPage;
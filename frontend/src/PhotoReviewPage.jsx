@@ -0,0 +1,309 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Button,
+  Grid,
+  Alert,
+  Chip,
+  Divider,
+  List,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress
+} from '@mui/material';
+import {
+  Refresh,
+  CheckCircle,
+  Cancel
+} from '@mui/icons-material';
+
+// Textos de los estados de revisión de la foto
+const PHOTO_REVIEW_LABELS = {
+  PENDING: 'Pendiente',
+  APPROVED: 'Aprobada',
+  REJECTED: 'Rechazada'
+};
+
+function PhotoReviewPage({ apiBaseUrl, adminToken, timezone }) {
+  const [statusFilter, setStatusFilter] = useState('PENDING');
+  const [photos, setPhotos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [comment, setComment] = useState('');
+  const [reviewer, setReviewer] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const formatDateTime = (value) => new Date(value).toLocaleString('es-AR', { timeZone: timezone, hourCycle: 'h23' });
+
+  const adminRequest = useCallback((method, path, options = {}) => axios({
+    method,
+    url: `${apiBaseUrl}/api/admin${path}`,
+    headers: { Authorization: `Bearer ${adminToken}` },
+    ...options
+  }), [apiBaseUrl, adminToken]);
+
+  const fetchPhotos = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await adminRequest('get', `/photos?status=${statusFilter}`);
+      if (response.data.success) {
+        setPhotos(response.data.data);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Error obteniendo fotos:', err);
+      setError(err.response?.data?.error || 'No se pudieron cargar las fotos');
+    } finally {
+      setLoading(false);
+    }
+  }, [adminRequest, statusFilter]);
+
+  useEffect(() => {
+    fetchPhotos();
+  }, [fetchPhotos]);
+
+  // La imagen exige el token: se descarga como blob y se muestra con una URL local
+  const selectedPhotoId = selected?.photo_status === 'RECEIVED' ? selected.id : null;
+
+  useEffect(() => {
+    if (!selectedPhotoId) {
+      setImageUrl(null);
+      return undefined;
+    }
+
+    let objectUrl = null;
+    adminRequest('get', `/photos/${selectedPhotoId}/image`, { responseType: 'blob' })
+      .then((response) => {
+        objectUrl = URL.createObjectURL(response.data);
+        setImageUrl(objectUrl);
+      })
+      .catch((err) => {
+        console.error('Error obteniendo imagen:', err);
+        setImageUrl(null);
+      });
+
+    return () => {
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [adminRequest, selectedPhotoId]);
+
+  const selectPhoto = (photo) => {
+    setSelected(photo);
+    setComment(photo.photo_review_comment || '');
+  };
+
+  const submitReview = async (decision) => {
+    setSaving(true);
+    try {
+      const response = await adminRequest('put', `/photos/${selected.id}`, {
+        data: { decision, comment, reviewed_by: reviewer || null }
+      });
+      if (response.data.success) {
+        setSelected(response.data.data);
+        setError(null);
+        await fetchPhotos();
+      }
+    } catch (err) {
+      console.error('Error guardando revisión de foto:', err);
+      setError(err.response?.data?.error || 'No se pudo guardar la revisión');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Grid container spacing={4}>
+      {/* Entradas con foto */}
+      <Grid item xs={12} md={5}>
+        <Card elevation={2}>
+          <CardContent>
+            <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+              <Typography variant="h6" component="h2">
+                📸 Fotos de Entrada
+              </Typography>
+              <Button size="small" startIcon={<Refresh />} onClick={fetchPhotos}>
+                Actualizar
+              </Button>
+            </Box>
+
+            <ToggleButtonGroup
+              value={statusFilter}
+              exclusive
+              size="small"
+              onChange={(event, value) => value && setStatusFilter(value)}
+              sx={{ mb: 2 }}
+            >
+              <ToggleButton value="PENDING">Pendientes</ToggleButton>
+              <ToggleButton value="APPROVED">Aprobadas</ToggleButton>
+              <ToggleButton value="REJECTED">Rechazadas</ToggleButton>
+              <ToggleButton value="INCOMPLETE">Sin foto</ToggleButton>
+              <ToggleButton value="ALL">Todas</ToggleButton>
+            </ToggleButtonGroup>
+
+            <Divider sx={{ mb: 2 }} />
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {loading ? (
+              <Box textAlign="center" py={4}>
+                <CircularProgress />
+              </Box>
+            ) : photos.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" textAlign="center" py={4}>
+                No hay registros en esta lista
+              </Typography>
+            ) : (
+              <List dense sx={{ maxHeight: 600, overflow: 'auto' }}>
+                {photos.map((photo) => (
+                  <ListItemButton
+                    key={photo.id}
+                    selected={selected?.id === photo.id}
+                    onClick={() => selectPhoto(photo)}
+                    sx={{ mb: 1, borderRadius: 1, border: '1px solid', borderColor: 'divider' }}
+                  >
+                    <ListItemText
+                      primary={
+                        <Box display="flex" justifyContent="space-between" alignItems="center" gap={1}>
+                          <Typography variant="body2" fontWeight="bold">
+                            {photo.employee_name || photo.phone_number} • {photo.action_type.toUpperCase()}
+                          </Typography>
+                          {photo.photo_status === 'RECEIVED' ? (
+                            <Chip label={PHOTO_REVIEW_LABELS[photo.photo_review_status]} size="small" variant="outlined" />
+                          ) : (
+                            <Chip
+                              label={photo.photo_status === 'MISSING' ? 'Incompleto' : 'Esperando foto'}
+                              color="warning"
+                              size="small"
+                            />
+                          )}
+                        </Box>
+                      }
+                      secondary={
+                        <Typography variant="caption" color="text.secondary">
+                          {formatDateTime(photo.timestamp)} • {photo.location_name || 'Sin ubicación'}
+                        </Typography>
+                      }
+                    />
+                  </ListItemButton>
+                ))}
+              </List>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+
+      {/* Foto y decisión */}
+      <Grid item xs={12} md={7}>
+        <Card elevation={2}>
+          <CardContent>
+            {!selected ? (
+              <Typography variant="body2" color="text.secondary" textAlign="center" py={4}>
+                Selecciona un registro para ver la foto
+              </Typography>
+            ) : (
+              <>
+                <Box mb={2}>
+                  <Typography variant="h6" component="h2">
+                    {selected.employee_name || 'No registrado'} — {selected.action_type.toUpperCase()}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {selected.phone_number} • {formatDateTime(selected.timestamp)} • {selected.location_name || 'Sin ubicación'}
+                  </Typography>
+                </Box>
+
+                <Divider sx={{ mb: 2 }} />
+
+                {selected.photo_forwarded_attempts > 0 && (
+                  <Alert severity="error" sx={{ mb: 2 }}>
+                    Se rechazaron {selected.photo_forwarded_attempts} foto(s) reenviada(s) de otro chat para este registro: posible registro por otra persona.
+                  </Alert>
+                )}
+
+                {selected.photo_status !== 'RECEIVED' ? (
+                  <Alert severity="warning">
+                    {selected.photo_status === 'MISSING'
+                      ? 'El empleado no envió la foto a tiempo: el registro quedó incompleto y no cuenta como entrada.'
+                      : 'El empleado todavía no envió la foto.'}
+                  </Alert>
+                ) : (
+                  <>
+                    <Box textAlign="center" mb={2}>
+                      {imageUrl ? (
+                        <img
+                          src={imageUrl}
+                          alt={`Foto de ${selected.employee_name || selected.phone_number}`}
+                          style={{ maxWidth: '100%', maxHeight: 480, borderRadius: 8 }}
+                        />
+                      ) : (
+                        <CircularProgress />
+                      )}
+                      <Typography variant="caption" color="text.secondary" display="block" mt={1}>
+                        Recibida el {formatDateTime(selected.photo_received_at)}
+                      </Typography>
+                    </Box>
+
+                    {selected.photo_reviewed_at && (
+                      <Typography variant="caption" color="text.secondary" display="block" mb={1}>
+                        {PHOTO_REVIEW_LABELS[selected.photo_review_status]} por {selected.photo_reviewed_by || 'sin nombre'} el {formatDateTime(selected.photo_reviewed_at)}
+                      </Typography>
+                    )}
+
+                    <TextField
+                      label="Comentario (obligatorio al rechazar)"
+                      value={comment}
+                      onChange={(event) => setComment(event.target.value)}
+                      fullWidth
+                      multiline
+                      minRows={2}
+                      sx={{ mb: 2 }}
+                    />
+                    <TextField
+                      label="Revisado por"
+                      value={reviewer}
+                      onChange={(event) => setReviewer(event.target.value)}
+                      fullWidth
+                      size="small"
+                      sx={{ mb: 2 }}
+                    />
+
+                    <Box display="flex" gap={2}>
+                      <Button
+                        variant="contained"
+                        color="success"
+                        startIcon={<CheckCircle />}
+                        disabled={saving}
+                        onClick={() => submitReview('APPROVED')}
+                      >
+                        Aprobar
+                      </Button>
+                      <Button
+                        variant="contained"
+                        color="error"
+                        startIcon={<Cancel />}
+                        disabled={saving || !comment.trim()}
+                        onClick={() => submitReview('REJECTED')}
+                      >
+                        Rechazar
+                      </Button>
+                    </Box>
+                  </>
+                )}
+              </>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+    </Grid>
+  );
+}
+
+export default PhotoReviewPage;
@@ -0,0 +1,220 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  Button,
+  Alert,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress
+} from '@mui/material';
+import {
+  Refresh,
+  History
+} from '@mui/icons-material';
+
+// Textos y colores del estado de validación de un registro
+const VALIDATION_STATUS_INFO = {
+  VALID: { label: 'Válido', color: 'success' },
+  INVALID: { label: 'Rechazado', color: 'error' },
+  PENDING_PHOTO: { label: 'Esperando foto', color: 'warning' },
+  INCOMPLETE: { label: 'Incompleto', color: 'warning' },
+  VOID: { label: 'Anulado', color: 'default' }
+};
+
+// Origen del registro (EMPLOYEE = enviado por el empleado, no se muestra)
+const SOURCE_LABELS = {
+  AUTO_CLOSE: 'Salida automática',
+  CORRECTION: 'Corrección',
+  MANUAL: 'Manual'
+};
+
+// Textos de los cambios registrados en la auditoría
+const AUDIT_ACTION_LABELS = {
+  APPROVED: 'Aprobado por supervisor',
+  REJECTED: 'Rechazo confirmado por supervisor',
+  CORRECTION_APPROVED: 'Creado por corrección aprobada',
+  MANUAL_CREATED: 'Alta manual',
+  TIME_EDITED: 'Hora modificada',
+  VOIDED: 'Anulado',
+  REVALIDATED: 'Revalidado',
+  AUTO_EXIT_CONFIRMED: 'Salida automática confirmada'
+};
+
+function RecordsPage({ apiBaseUrl, adminToken, timezone, socket }) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [historyRecord, setHistoryRecord] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+
+  const formatDateTime = (value) => new Date(value).toLocaleString('es-AR', { timeZone: timezone, hourCycle: 'h23' });
+
+  // Valores del antes/después de la auditoría (las horas vienen en ISO 8601)
+  const formatAuditValue = (field, value) => {
+    if (value === null || value === undefined) return '—';
+    return ['timestamp', 'voided_at', 'approved_at', 'confirmed_at'].includes(field) ? formatDateTime(value) : String(value);
+  };
+
+  const fetchRecords = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${apiBaseUrl}/api/attendance/records?limit=100`, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+      });
+      if (response.data.success) {
+        setRecords(response.data.data);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Error obteniendo registros:', err);
+      setError(err.response?.data?.error || 'No se pudieron cargar los registros');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBaseUrl, adminToken]);
+
+  useEffect(() => {
+    fetchRecords();
+  }, [fetchRecords]);
+
+  // Los cambios manuales hechos desde la API actualizan la lista
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    socket.on('attendance-record-updated', fetchRecords);
+    return () => socket.off('attendance-record-updated', fetchRecords);
+  }, [socket, fetchRecords]);
+
+  const openHistory = async (record) => {
+    setHistoryRecord(record);
+    setHistory(null);
+    setHistoryError(null);
+    try {
+      const response = await axios.get(`${apiBaseUrl}/api/admin/attendance/records/${record.id}/history`, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+      });
+      if (response.data.success) {
+        setHistory(response.data.data.history);
+      }
+    } catch (err) {
+      console.error('Error obteniendo historial del registro:', err);
+      setHistoryError(err.response?.data?.error || 'No se pudo cargar el historial');
+    }
+  };
+
+  return (
+    <Card elevation={2}>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+          <Typography variant="h6" component="h2">
+            🗂️ Registros de Asistencia
+          </Typography>
+          <Button size="small" startIcon={<Refresh />} onClick={fetchRecords}>
+            Actualizar
+          </Button>
+        </Box>
+
+        <Divider sx={{ mb: 2 }} />
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {loading ? (
+          <Box textAlign="center" py={4}>
+            <CircularProgress />
+          </Box>
+        ) : records.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" textAlign="center" py={4}>
+            No hay registros de asistencia
+          </Typography>
+        ) : (
+          <List dense>
+            {records.map((record) => (
+              <ListItem
+                key={record.id}
+                divider
+                secondaryAction={
+                  <Button size="small" startIcon={<History />} onClick={() => openHistory(record)}>
+                    Historial
+                  </Button>
+                }
+              >
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                      <Typography variant="body2" fontWeight="bold">
+                        #{record.id} • {record.employee_name || record.phone_number} • {record.action_type.toUpperCase()}
+                      </Typography>
+                      <Chip
+                        label={VALIDATION_STATUS_INFO[record.validation_status]?.label || record.validation_status}
+                        color={VALIDATION_STATUS_INFO[record.validation_status]?.color || 'default'}
+                        size="small"
+                      />
+                      {SOURCE_LABELS[record.source] && (
+                        <Chip label={SOURCE_LABELS[record.source]} size="small" variant="outlined" />
+                      )}
+                    </Box>
+                  }
+                  secondary={`${formatDateTime(record.timestamp)} • ${record.location_name || 'Sin ubicación'}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+
+      <Dialog open={!!historyRecord} onClose={() => setHistoryRecord(null)} fullWidth maxWidth="sm">
+        <DialogTitle>
+          Historial del registro #{historyRecord?.id}
+        </DialogTitle>
+        <DialogContent dividers>
+          {historyError ? (
+            <Alert severity="error">{historyError}</Alert>
+          ) : !history ? (
+            <Box textAlign="center" py={2}>
+              <CircularProgress />
+            </Box>
+          ) : history.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              El registro no tuvo cambios manuales
+            </Typography>
+          ) : (
+            history.map((entry) => (
+              <Box key={entry.id} mb={2}>
+                <Typography variant="body2" fontWeight="bold">
+                  {AUDIT_ACTION_LABELS[entry.action] || entry.action} — {entry.changed_by}
+                </Typography>
+                <Typography variant="caption" color="text.secondary" display="block">
+                  {formatDateTime(entry.created_at)}{entry.reason && ` • ${entry.reason}`}
+                </Typography>
+                {Object.keys(entry.after_data || entry.before_data || {})
+                  .filter((field) => (entry.before_data?.[field] ?? null) !== (entry.after_data?.[field] ?? null))
+                  .map((field) => (
+                    <Typography key={field} variant="caption" display="block">
+                      {field}: {formatAuditValue(field, entry.before_data?.[field])} → {formatAuditValue(field, entry.after_data?.[field])}
+                    </Typography>
+                  ))}
+              </Box>
+            ))
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setHistoryRecord(null)}>Cerrar</Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+}
+
+export default RecordsPage;